@@ -0,0 +1,241 @@
+const fetch = require('node-fetch');
+const { getArgValue } = require('./lib/args');
+const { assertTableSchema, verifyTableSchema } = require('./lib/schema-check');
+const { MARKET_GROUPS } = require('./lib/odds-markets');
+const { createStorage } = require('./lib/storage');
+const { PLAYER_STAT_PLAY_COLUMNS, aggregatePlayerStats, completedGames, statsKey } = require('./lib/player-stats');
+const { loadGamePlays } = require('./lib/game-plays');
+const { loadParticipation } = require('./lib/player-participation');
+const { GRADES_TABLE, gradeLine, toGradeRow } = require('./lib/prop-grading');
+
+// Check for test mode from command line
+const testMode = process.argv.includes('--test');
+const skipSchemaCheck = process.argv.includes('--skip-schema-check');
+
+console.log('🏈 NFL Prop Grader');
+console.log('===============================================================================');
+
+if (testMode) {
+  console.log('🧪 TEST MODE: No database changes will be made');
+}
+
+// ─────────────────────────────────────────────────────────────
+// CONFIG
+// ─────────────────────────────────────────────────────────────
+// Player-prop tables to settle (alternate ladders and main lines)
+const SOURCE_TABLES = Object.values(MARKET_GROUPS)
+  .filter(group => group.kind === 'player')
+  .map(group => group.table);
+
+// Games that kicked off in the last PROP_GRADE_DAYS days (or --days) are
+// (re)graded, so nflverse stat corrections flow through
+const GRADE_DAYS = Number(getArgValue(process.argv, 'days') || process.env.PROP_GRADE_DAYS || 7);
+// Give games time to finish before looking for their play-by-play
+const GRADE_DELAY_HOURS = 4;
+
+const PAGE_SIZE = 1000;
+const UPSERT_BATCH_SIZE = 500;
+const USER_AGENT = 'nfl-prop-grader/1.0';
+
+const LINE_COLUMNS = [
+  'id', 'event_id', 'game_id', 'commence_time', 'player_id', 'player_name', 'bookmaker_key',
+  'market_key', 'prop_type', 'bet_type', 'line_value', 'decimal_price', 'american_price'
+];
+
+if (!Number.isInteger(GRADE_DAYS) || GRADE_DAYS < 1) {
+  console.error(`❌ Error: PROP_GRADE_DAYS / --days must be a positive integer (got "${getArgValue(process.argv, 'days') || process.env.PROP_GRADE_DAYS}")`);
+  process.exit(1);
+}
+
+// Storage backend (STORAGE / --storage, default Supabase) - lib/storage.js
+let storage;
+try {
+  storage = createStorage();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+console.log(`🗄️ Storage: ${storage.description}`);
+
+// ─────────────────────────────────────────────────────────────
+// Helper Functions
+// ─────────────────────────────────────────────────────────────
+async function checkTableSchema() {
+  if (skipSchemaCheck) {
+    console.log('⏭️ Schema check skipped (--skip-schema-check)');
+    return;
+  }
+  if (testMode) {
+    try {
+      await verifyTableSchema(storage, GRADES_TABLE);
+    } catch (e) {
+      console.log(`⚠️ ${e?.message || e}`);
+    }
+    return;
+  }
+  await assertTableSchema(storage, GRADES_TABLE);
+}
+
+// Every row of a select, PAGE_SIZE at a time
+async function selectAll(table, options) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await storage.select(table, { ...options, range: [from, from + PAGE_SIZE - 1] });
+    if (error) throw new Error(`${table} load failed: ${error.message}`);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+// Lines with a player ID and game ID from games in the window
+async function loadLines(table, start, end) {
+  return selectAll(table, {
+    columns: LINE_COLUMNS,
+    where: {
+      commence_time: { gte: start.toISOString(), lt: end.toISOString() },
+      player_id: { not: null },
+      game_id: { not: null }
+    },
+    order: ['id']
+  });
+}
+
+// Snap counts for the finished games, needed only for lines whose player has
+// no stat row. A failed download leaves those lines ungraded until next run.
+async function loadGameParticipation(lines, finished, stats) {
+  const gameIds = [...new Set(lines
+    .filter(line => finished.has(line.game_id) && !stats.has(statsKey(line.game_id, line.player_id)))
+    .map(line => line.game_id))];
+  if (!gameIds.length) return { games: new Set(), played: new Set() };
+  try {
+    const participation = await loadParticipation(gameIds, { fetch, userAgent: USER_AGENT });
+    console.log(`👟 Snap counts for ${participation.games.size} of ${gameIds.length} games with players missing from play-by-play`);
+    return participation;
+  } catch (error) {
+    console.log(`⚠️ ${error.message}`);
+    return { games: new Set(), played: new Set() };
+  }
+}
+
+async function saveGrades(rows) {
+  for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + UPSERT_BATCH_SIZE);
+    const { error } = await storage.upsert(GRADES_TABLE, batch);
+    if (error) throw new Error(`Grade save failed: ${error.message}`);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Main Grading Function
+// ─────────────────────────────────────────────────────────────
+async function runGrader() {
+  try {
+    const now = new Date();
+    const start = new Date(now.getTime() - GRADE_DAYS * 24 * 60 * 60 * 1000);
+    const end = new Date(now.getTime() - GRADE_DELAY_HOURS * 60 * 60 * 1000);
+    console.log(`📅 Games from ${start.toISOString()} → ${end.toISOString()}`);
+    
+    await checkTableSchema();
+    
+    // 1) Lines to settle
+    const linesByTable = new Map();
+    for (const table of SOURCE_TABLES) {
+      const lines = await loadLines(table, start, end);
+      linesByTable.set(table, lines);
+      console.log(`📥 ${table}: ${lines.length} lines with player and game IDs`);
+    }
+    const allLines = [...linesByTable.values()].flat();
+    const gameIds = [...new Set(allLines.map(line => line.game_id))];
+    
+    if (!allLines.length) {
+      return { success: true, message: 'No lines to grade', graded: 0, timestamp: now.toISOString(), testMode };
+    }
+    
+    // 2) Per-player stats from the games' play-by-play
+    const plays = await loadGamePlays(storage, gameIds, PLAYER_STAT_PLAY_COLUMNS);
+    const finished = completedGames(plays);
+    const stats = aggregatePlayerStats(plays);
+    console.log(`🏟️ ${gameIds.length} games, ${finished.size} final in nflfastr_pbp (${plays.length} plays)`);
+    
+    // 3) Who played, for players without a stat row
+    const participation = await loadGameParticipation(allLines, finished, stats);
+    
+    // 4) Grade every line from a finished game
+    const gradedAt = new Date().toISOString();
+    const rows = [];
+    const byResult = { won: 0, lost: 0, push: 0, void: 0 };
+    let pending = 0;
+    let awaitingSnapCounts = 0;
+    let ungradable = 0;
+    
+    for (const [table, lines] of linesByTable) {
+      for (const line of lines) {
+        if (!finished.has(line.game_id)) {
+          pending++;
+          continue;
+        }
+        const key = statsKey(line.game_id, line.player_id);
+        const playerStats = stats.get(key);
+        // Without a stat row, void vs. zero depends on the snap counts
+        if (!playerStats && !participation.games.has(line.game_id)) {
+          awaitingSnapCounts++;
+          continue;
+        }
+        const grade = gradeLine(line, playerStats, { played: Boolean(playerStats) || participation.played.has(key) });
+        if (!grade) {
+          ungradable++;
+          continue;
+        }
+        byResult[grade.result]++;
+        rows.push(toGradeRow(table, line, grade, gradedAt));
+      }
+    }
+    
+    console.log(`⚖️ ${rows.length} lines graded: ${byResult.won} won, ${byResult.lost} lost, ${byResult.push} push, ${byResult.void} void`);
+    if (pending) console.log(`⏳ ${pending} lines waiting for final play-by-play`);
+    if (awaitingSnapCounts) console.log(`⏳ ${awaitingSnapCounts} lines waiting for snap counts (player has no plays)`);
+    if (ungradable) console.log(`⚠️ ${ungradable} lines without a gradable prop type or line`);
+    
+    if (!testMode) await saveGrades(rows);
+    
+    const result = {
+      success: true,
+      message: 'Completed',
+      days: GRADE_DAYS,
+      games: gameIds.length,
+      gamesFinal: finished.size,
+      linesLoaded: allLines.length,
+      graded: rows.length,
+      byResult,
+      pending,
+      awaitingSnapCounts,
+      ungradable,
+      timestamp: new Date().toISOString(),
+      testMode
+    };
+    
+    console.log('\n🎉 PROP GRADER FINISHED!');
+    return result;
+  
+  } catch (err) {
+    console.error('❌ Fatal error:', err?.message || err);
+    return {
+      success: false,
+      error: String(err?.message || err),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Run the grader
+runGrader()
+  .then(async result => {
+    console.log('\n📋 Final Result:', JSON.stringify(result, null, 2));
+    await storage.close();
+    process.exit(result.success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('❌ Fatal error:', error);
+    process.exit(1);
+  });
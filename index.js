@@ -1,155 +1,338 @@
-const { createClient } = require('@supabase/supabase-js');
+const fs = require('fs');
 const fetch = require('node-fetch');
+const { createRejectStats } = require('./lib/csv');
+const { FORMATS, FORMAT_PREFERENCE, readRows } = require('./lib/pbp-formats');
+const { getArgValue, parseSeasons } = require('./lib/args');
+const { getSeasonWindow, getWeekInfo } = require('./lib/season-calendar');
+const { PBP_COLUMNS, createTransform, detectSchemaDrift } = require('./lib/pbp-schema');
+const { assertTableSchema, verifyTableSchema } = require('./lib/schema-check');
+const { DEFAULT_CACHE_DIR, createSourceCache } = require('./lib/source-cache');
+const { SYNC_STATE_TABLE, classifyPlays, createFileSyncState, createTableSyncState } = require('./lib/sync-state');
+const { emptyState, loadBackfillState, saveBackfillState, clearBackfillState } = require('./lib/backfill-state');
+const { normalizeTeamAbbr } = require('./lib/teams');
+const { createStorage } = require('./lib/storage');
+const { PLAYER_STATS_TABLE, PLAYER_STAT_PLAY_COLUMNS, aggregatePlayerStats, toPlayerGameRow } = require('./lib/player-stats');
+const { TEAM_STATS_TABLE, TEAM_STAT_PLAY_COLUMNS, aggregateTeamStats, toTeamGameRow } = require('./lib/team-stats');
+const { DRIVE_SUMMARY_TABLE, DRIVE_PLAY_COLUMNS, summarizeDrives, toDriveRow } = require('./lib/drive-stats');
+const { GAME_CHUNK_SIZE, loadGamePlays } = require('./lib/game-plays');
+const { createDryRun } = require('./lib/dry-run');
+const { upsertWithRetry } = require('./lib/upsert-retry');
+const { DEAD_LETTER_TABLE, openDeadLetters, replayDeadLetters } = require('./lib/dead-letter');
 
-// Check for test mode from command line
-const testMode = process.argv.includes('--test');
+// Check for test mode from command line. --dry-run is test mode that also
+// compares what would be written with the stored plays (lib/dry-run.js).
+const dryRunMode = process.argv.includes('--dry-run');
+const testMode = dryRunMode || process.argv.includes('--test');
 
-console.log('🏈 Complete NFLfastR Play-by-Play Updater - All 372 Columns - 2025 Season');
-console.log('===============================================================================');
+// Backfill mode: --season 2019..2025 or --seasons 2019,2021
+const seasonSpec = getArgValue(process.argv, 'seasons') ?? getArgValue(process.argv, 'season');
+let backfillSeasons = null;
+if (seasonSpec !== null) {
+  try {
+    backfillSeasons = parseSeasons(seasonSpec);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+const restartBackfill = process.argv.includes('--restart');
+const BACKFILL_STATE_FILE = process.env.BACKFILL_STATE_FILE || '.backfill-state.json';
 
-if (testMode) {
-  console.log('🧪 TEST MODE: No database changes will be made');
+const skipSchemaCheck = process.argv.includes('--skip-schema-check');
+
+// Plays an upsert still rejects after retries are dead-lettered (DEAD_LETTER,
+// lib/dead-letter.js); --replay-failed writes them again
+const replayFailed = process.argv.includes('--replay-failed');
+
+// Derived tables rebuilt for the games a sync touched: player_game_stats
+// unless skipped, team_game_stats and drive_summary with --aggregates
+const skipPlayerStats = process.argv.includes('--skip-player-stats');
+const buildAggregates = process.argv.includes('--aggregates') || process.env.PBP_AGGREGATES === 'true';
+
+// Incremental mode: only upsert plays whose fingerprint changed since the last
+// sync. State lives in a local file (default) or the nflfastr_pbp_sync_state table.
+const incrementalMode = process.argv.includes('--incremental') || process.env.PBP_SYNC_MODE === 'incremental';
+const SYNC_STATE_STORE = process.env.PBP_SYNC_STATE || 'file';
+const SYNC_STATE_FILE = process.env.PBP_SYNC_STATE_FILE || '.pbp-sync-state.json';
+
+if (incrementalMode && !['file', 'table'].includes(SYNC_STATE_STORE)) {
+  console.error(`❌ Error: PBP_SYNC_STATE must be "file" or "table" (got "${SYNC_STATE_STORE}")`);
+  process.exit(1);
 }
 
-// Get environment variables
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Source cache: downloads are kept on disk with their ETag / Last-Modified and
+// re-requested conditionally. --offline replays the cache without network,
+// --no-cache streams straight from the network, --force ignores "unchanged".
+const offlineMode = process.argv.includes('--offline');
+const noCache = process.argv.includes('--no-cache');
+const forceSync = process.argv.includes('--force');
+const SOURCE_CACHE_DIR = process.env.SOURCE_CACHE_DIR || DEFAULT_CACHE_DIR;
 
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  console.error('❌ Error: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables are required');
+// Source format: auto (smallest available release asset) or csv / csv.gz / parquet
+const PBP_FORMAT = process.env.PBP_FORMAT || 'auto';
+
+if (PBP_FORMAT !== 'auto' && !FORMATS[PBP_FORMAT]) {
+  console.error(`❌ Error: PBP_FORMAT must be auto, ${Object.keys(FORMATS).join(', ')} (got "${PBP_FORMAT}")`);
   process.exit(1);
 }
 
-// Create Supabase client with service role
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+if (noCache && PBP_FORMAT === 'parquet') {
+  console.error('❌ Error: parquet needs the source cache (random access) and cannot be combined with --no-cache');
+  process.exit(1);
+}
 
-// --- HELPER FUNCTIONS (Strict Type Safety) ---
-const safeNumeric = (value) => {
-  if (value === null || value === undefined || value === '' || value === 'NA') return null;
-  const num = Number(value);
-  return isNaN(num) ? null : num;
-};
+if (offlineMode && noCache) {
+  console.error('❌ Error: --offline replays the source cache and cannot be combined with --no-cache');
+  process.exit(1);
+}
 
-const safeText = (value) => {
-  if (value === null || value === undefined || value === '' || value === 'NA') return null;
-  return String(value).trim();
-};
+// Unknown CSV columns go into this JSONB column when set (--overflow uses extra_columns)
+const OVERFLOW_COLUMN = process.env.PBP_OVERFLOW_COLUMN || (process.argv.includes('--overflow') ? 'extra_columns' : null);
 
-const safeDouble = (value) => {
-  if (value === null || value === undefined || value === '' || value === 'NA') return null;
-  const num = parseFloat(value);
-  return isNaN(num) ? null : num;
-};
+console.log('🏈 Complete NFLfastR Play-by-Play Updater - All 372 Columns');
+console.log('===============================================================================');
 
-// NFLfastR data sources
+if (dryRunMode) {
+  console.log('🔎 DRY RUN: No database changes will be made; writes are diffed against the stored plays');
+} else if (testMode) {
+  console.log('🧪 TEST MODE: No database changes will be made');
+}
+
+if (backfillSeasons) {
+  console.log(`📚 BACKFILL MODE: Seasons ${backfillSeasons.join(', ')}`);
+}
+
+// Storage backend (STORAGE / --storage, default Supabase) - lib/storage.js
+let storage;
+try {
+  storage = createStorage();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+console.log(`🗄️ Storage: ${storage.description}`);
+const dryRun = dryRunMode ? createDryRun(storage, { script: 'pbp' }) : null;
+let deadLetters;
+try {
+  deadLetters = openDeadLetters(storage);
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+
+// NFLfastR data sources (one file per season). The nflverse-data release has
+// parquet, csv.gz and csv assets; the mirrors only have plain CSV.
 const NFLVERSE_SOURCES = {
-  pbp: 'https://github.com/nflverse/nflverse-data/releases/download/pbp/play_by_play_2025.csv'
+  pbp: (season, format = 'csv') => `https://github.com/nflverse/nflverse-data/releases/download/pbp/play_by_play_${season}${FORMATS[format].extension}`
 };
 
 const ALT_SOURCES = {
-  pbp: 'https://raw.githubusercontent.com/nflverse/nflverse-pbp/master/data/play_by_play_2025.csv'
+  pbp: (season) => `https://raw.githubusercontent.com/nflverse/nflverse-pbp/master/data/play_by_play_${season}.csv`
 };
 
 const FALLBACK_SOURCES = [
-  'https://github.com/nflverse/nfldata/raw/master/data/play_by_play_2025.csv',
-  'https://raw.githubusercontent.com/nflverse/nfldata/master/data/play_by_play_2025.csv'
+  (season) => `https://github.com/nflverse/nfldata/raw/master/data/play_by_play_${season}.csv`,
+  (season) => `https://raw.githubusercontent.com/nflverse/nfldata/master/data/play_by_play_${season}.csv`
 ];
 
-// --- FIX: SEASON LOGIC ---
-// The 2025 Season spans two calendar years (Sept 2025 -> Feb 2026).
-// We must hardcode the start/end to capture the full season window correctly.
+function getPbpSources(season) {
+  return [
+    ...FORMAT_PREFERENCE.map(format => ({ url: NFLVERSE_SOURCES.pbp(season, format), format, release: true })),
+    { url: ALT_SOURCES.pbp(season), format: 'csv' },
+    ...FALLBACK_SOURCES.map(source => ({ url: source(season), format: 'csv' }))
+  ];
+}
+
+// --- SEASON LOGIC ---
+// The season window comes from the shared calendar (lib/season-calendar.js),
+// so it rolls over by itself each September. NFL_SEASON / NFL_SEASON_START /
+// NFL_SEASON_END override it. We keep syncing for a week after the Super Bowl
+// to pick up late stat corrections.
+const SEASON_TRAIL_DAYS = 7;
 const now = new Date();
-const nflSeasonStart = new Date('2025-09-04'); // Official 2025 Kickoff
-const nflSeasonEnd = new Date('2026-02-15');   // Post-Super Bowl 2026
+let seasonWindow;
+try {
+  seasonWindow = getSeasonWindow(now);
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+const CURRENT_SEASON = seasonWindow.season;
+const nflSeasonStart = seasonWindow.start;
+const nflSeasonEnd = new Date(seasonWindow.end.getTime() + SEASON_TRAIL_DAYS * 24 * 60 * 60 * 1000);
+const weekInfo = getWeekInfo(now, { season: CURRENT_SEASON });
 
 console.log(`\n📅 Current date: ${now.toISOString()}`);
-console.log(`🏈 NFL 2025 Season Window: ${nflSeasonStart.toDateString()} to ${nflSeasonEnd.toDateString()}`);
+console.log(`🏈 NFL ${CURRENT_SEASON} Season Window: ${nflSeasonStart.toDateString()} to ${nflSeasonEnd.toDateString()}${seasonWindow.overridden ? ' (override)' : ''}`);
+console.log(`🏈 Season phase: ${weekInfo.seasonType}${weekInfo.week ? ` week ${weekInfo.week}` : ''}`);
 
 const inNflSeason = now >= nflSeasonStart && now <= nflSeasonEnd;
-console.log(`🏈 In NFL Season Window: ${inNflSeason}`); // This will now be TRUE
+console.log(`🏈 In NFL Season Window: ${inNflSeason}`);
 
 // Date filtering: Only process games from last 7 days
 const cutoffDate = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
 console.log(`📅 Date filter: Only processing games from ${cutoffDate.toDateString()} onwards`);
 
-// Fetch and parse function
-async function fetchAndParsePbp() {
-  const sources = [NFLVERSE_SOURCES.pbp, ALT_SOURCES.pbp, ...FALLBACK_SOURCES];
+// Streaming settings: rows are handed to the transform/upsert stage in bounded
+// batches so peak memory stays flat regardless of the CSV size
+const PARSE_BATCH_SIZE = 1000;
+const UPSERT_BATCH_SIZE = 100;
+
+const USER_AGENT = 'nflfastr-complete-updater/1.0';
+
+const sourceCache = noCache ? null : createSourceCache({ dir: SOURCE_CACHE_DIR, fetch });
+
+// Size of a release asset via HEAD (null when unknown, false when missing)
+async function probeSourceSize(url) {
+  try {
+    const response = await fetch(url, { method: 'HEAD', headers: { 'User-Agent': USER_AGENT } });
+    if (!response.ok) return false;
+    const length = Number(response.headers.get('content-length'));
+    return length > 0 ? length : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Order the season's sources: release assets smallest first (by HEAD size),
+// then the plain CSV mirrors as fallbacks. Parquet is skipped with --no-cache.
+async function planSources(season) {
+  const candidates = getPbpSources(season).filter(source =>
+    (PBP_FORMAT === 'auto' || source.format === PBP_FORMAT) &&
+    (sourceCache || FORMATS[source.format].streamable));
+  
+  const release = candidates.filter(source => source.release);
+  const mirrors = candidates.filter(source => !source.release);
+  
+  // Offline there is nothing to probe; keep the preference order
+  if (offlineMode || release.length < 2) return release.concat(mirrors);
+  
+  for (const source of release) {
+    source.size = await probeSourceSize(source.url);
+  }
+  const available = release.filter(source => source.size !== false);
+  available.sort((a, b) => (a.size ?? Infinity) - (b.size ?? Infinity));
+  
+  const sizes = available.map(source => `${source.format} ${source.size ? `${(source.size / 1024 / 1024).toFixed(1)}MB` : '?'}`);
+  console.log(`📦 Release assets: ${sizes.join(', ') || 'none found'}`);
+  
+  return available.concat(mirrors);
+}
+
+// Open a source as a byte stream (or cached file), through the cache unless
+// --no-cache. Returns null when the source is unavailable.
+async function openSource({ url, format }) {
+  const headers = { 'Accept': FORMATS[format].accept, 'User-Agent': USER_AGENT };
+  
+  if (!sourceCache) {
+    const response = await fetch(url, { headers });
+    console.log(`  → Response: ${response.status} ${response.statusText}`);
+    return response.ok ? { body: response.body, unchanged: false } : null;
+  }
+  
+  const cached = await sourceCache.get(url, { headers, offline: offlineMode });
+  
+  if (cached.status === 'missing') {
+    console.log('  → Not in cache (offline)');
+    return null;
+  }
+  if (cached.status === 'http_error') {
+    console.log(`  → Response: ${cached.response.status} ${cached.response.statusText}`);
+    return null;
+  }
+  if (cached.status === 'offline') {
+    console.log(`  → Offline: replaying cached copy from ${cached.meta.fetchedAt}`);
+  } else if (cached.status === 'not_modified') {
+    console.log(`  → Response: 304 Not Modified (cached copy from ${cached.meta.fetchedAt})`);
+  } else {
+    console.log(`  → Response: ${cached.response.status} ${cached.response.statusText} (${(cached.meta.size / 1024 / 1024).toFixed(1)}MB cached)`);
+  }
+  
+  // Parquet decoders read the file directly; only streamable formats get a body
+  const body = FORMATS[format].streamable ? fs.createReadStream(cached.file) : null;
+  return { file: cached.file, body, unchanged: cached.unchanged };
+}
+
+function markSourceSynced(url) {
+  if (sourceCache) sourceCache.markSynced(url);
+}
+
+// Fetch and parse function: streams the season's file and calls onBatch(rows)
+// for every PARSE_BATCH_SIZE plays instead of buffering the whole file.
+// `cutoff: null` disables the date filter; `skipRows` skips rows already
+// committed by an earlier (resumed) run; `skipUnchanged` returns early when
+// the source content matches the last successful sync. A source that fails
+// before any batch was handed on falls back to the next one; once batches have
+// been written the error is rethrown, since a fallback would replay them.
+async function fetchAndParsePbp(season, onBatch, { cutoff = cutoffDate, skipRows = 0, onHeaders, skipUnchanged = false } = {}) {
+  const sources = await planSources(season);
+  // Rows of the current source already passed to onBatch
+  let delivered = 0;
   
-  for (const [index, url] of sources.entries()) {
-    console.log(`📡 Source ${index + 1}/${sources.length}: ${url}`);
+  for (const [index, candidate] of sources.entries()) {
+    const { url, format } = candidate;
+    console.log(`📡 Source ${index + 1}/${sources.length} [${format}]: ${url}`);
     
     try {
-      const response = await fetch(url, {
-        headers: {
-          'Accept': 'text/csv,application/csv,text/plain',
-          'User-Agent': 'nflfastr-complete-updater/1.0'
-        }
-      });
-      
-      console.log(`  → Response: ${response.status} ${response.statusText}`);
-      
-      if (!response.ok) continue;
-      
-      const csvText = await response.text();
-      console.log(`📄 CSV size: ${(csvText.length / 1024 / 1024).toFixed(1)}MB`);
-      
-      if (!csvText || csvText.length < 10000) continue;
+      const source = await openSource(candidate);
+      if (!source) continue;
       
-      console.log('🔍 Parsing CSV data...');
-      const lines = csvText.split('\n').filter(line => line.trim());
-      
-      if (lines.length < 2) continue;
+      if (skipUnchanged && source.unchanged) {
+        if (source.body) source.body.destroy();
+        console.log('⏭️ Source content unchanged since the last successful sync');
+        return { url, unchanged: true, totalProcessed: 0, validPlays: 0, rejects: createRejectStats() };
+      }
       
-      // Clean headers to remove quotes and whitespace
-      const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-      const pbpData = [];
+      console.log(`🔍 Streaming ${format} data...`);
+      const rejects = createRejectStats();
+      let batch = [];
       let totalProcessed = 0;
       let validPlays = 0;
       
-      for (let i = 1; i < lines.length; i++) {
+      for await (const row of readRows(format, source, rejects, { onHeaders })) {
         totalProcessed++;
         
-        // Basic CSV parsing handling quotes
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let j = 0; j < lines[i].length; j++) {
-          const char = lines[i][j];
-          if (char === '"') {
-            inQuotes = !inQuotes;
-          } else if (char === ',' && !inQuotes) {
-            values.push(current.trim());
-            current = '';
-          } else {
-            current += char;
+        // Date filtering logic
+        const gameDate = row.game_date;
+        if (gameDate) {
+          const gameDateObj = new Date(gameDate);
+          if (!cutoff || gameDateObj >= cutoff) {
+            validPlays++;
+            if (validPlays > skipRows) batch.push(row);
           }
         }
-        values.push(current.trim());
         
-        if (values.length === headers.length) {
-          const row = {};
-          headers.forEach((header, index) => {
-            row[header] = values[index] || null;
-          });
-          
-          // Date filtering logic
-          const gameDate = row.game_date;
-          if (gameDate) {
-            const gameDateObj = new Date(gameDate);
-            if (gameDateObj >= cutoffDate) {
-              validPlays++;
-              pbpData.push(row);
-            }
-          }
+        if (batch.length >= PARSE_BATCH_SIZE) {
+          delivered += batch.length;
+          await onBatch(batch);
+          batch = [];
         }
       }
       
-      console.log(`✅ Parsing complete: ${totalProcessed} total, ${validPlays} recent plays`);
-      return pbpData;
+      if (batch.length) {
+        delivered += batch.length;
+        await onBatch(batch);
+      }
+      
+      if (totalProcessed === 0) {
+        console.log(`⚠️ Source ${index + 1} returned no rows`);
+        continue;
+      }
+      
+      if (rejects.total > 0) {
+        console.log(`⚠️ Rejected ${rejects.total} malformed rows: ${JSON.stringify(rejects.byReason)}`);
+        for (const sample of rejects.samples) {
+          console.log(`   line ${sample.line}: ${sample.reason} (${sample.fields} fields) ${sample.preview}`);
+        }
+      }
+      
+      console.log(`✅ Parsing complete: ${totalProcessed} total, ${validPlays} ${cutoff ? 'recent ' : ''}plays`);
+      return { url, unchanged: false, totalProcessed, validPlays, rejects };
       
     } catch (error) {
+      if (delivered > 0) {
+        throw new Error(`Source ${index + 1} failed after ${delivered} plays were processed: ${error.message}`);
+      }
       console.log(`🔴 Source ${index + 1} failed: ${error.message}`);
       continue;
     }
@@ -158,448 +341,501 @@ async function fetchAndParsePbp() {
   throw new Error(`Failed to fetch data from all ${sources.length} sources`);
 }
 
+// --- SCHEMA DRIFT ---
+// Compare the CSV headers with lib/pbp-schema.js and log what changed upstream
+function logSchemaDrift(drift) {
+  if (!drift.hasDrift) {
+    console.log('🧬 CSV headers match the column schema');
+    return;
+  }
+  console.log('🧬 Schema drift detected:');
+  if (drift.added.length) console.log(`   ➕ New columns (${drift.added.length}): ${drift.added.join(', ')}`);
+  if (drift.missing.length) console.log(`   ➖ Missing columns (${drift.missing.length}): ${drift.missing.join(', ')}`);
+  for (const { from, to } of drift.renamed) console.log(`   🔀 Possible rename: ${from} → ${to}`);
+  if (drift.added.length) {
+    console.log(OVERFLOW_COLUMN
+      ? `   📦 New columns are stored in ${OVERFLOW_COLUMN}`
+      : '   📦 New columns are ignored (set PBP_OVERFLOW_COLUMN or --overflow to keep them)');
+  }
+}
+
+// --- TEAMS ---
+// Team columns use nflverse abbreviations (lib/teams.js). Codes other sources
+// use (LAR, JAC, WSH) are mapped to nflverse's; unknown codes are kept as-is
+// and reported in the result as `unknownTeams`.
+const TEAM_COLUMNS = ['home_team', 'away_team', 'posteam', 'defteam'];
+
+function normalizePlayTeams(play, stats) {
+  for (const column of TEAM_COLUMNS) {
+    const value = play[column];
+    if (value === null || value === undefined) continue;
+    const abbr = normalizeTeamAbbr(value);
+    if (abbr) play[column] = abbr;
+    else stats.unknownTeams.add(value);
+  }
+}
+
+function unknownTeamsSummary(stats) {
+  if (!stats.unknownTeams.size) return undefined;
+  console.log(`⚠️ Unknown team abbreviations: ${[...stats.unknownTeams].join(', ')}`);
+  return [...stats.unknownTeams];
+}
+
+// Upsert one batch of transformed plays in UPSERT_BATCH_SIZE chunks. Transient
+// errors are retried with backoff and a rejected chunk is split until the bad
+// plays are isolated (lib/upsert-retry.js); those go to the dead-letter store.
+// Written plays drop any dead-letter entry, so a replay can't revert them.
+// Returns the plays that were written successfully.
+async function upsertPlays(plays, stats) {
+  const written = [];
+  for (let i = 0; i < plays.length; i += UPSERT_BATCH_SIZE) {
+    const batch = plays.slice(i, i + UPSERT_BATCH_SIZE);
+    const batchNum = ++stats.batches;
+    
+    const outcome = await upsertWithRetry(storage, 'nflfastr_pbp', batch, {
+      onRetry: ({ attempt, delay, error }) => console.log(`  🔁 Batch ${batchNum} retry ${attempt} in ${delay}ms: ${error}`)
+    });
+    stats.processed += outcome.written.length;
+    written.push(...outcome.written);
+    await clearDeadLetters(outcome.written);
+    
+    if (outcome.failed.length) {
+      console.error(`  ❌ Batch ${batchNum}: ${outcome.failed.length} of ${batch.length} plays failed: ${outcome.failed[0].error}`);
+      stats.failed += outcome.failed.length;
+      await deadLetterPlays(outcome.failed, stats);
+    } else {
+      console.log(`  ✅ Batch ${batchNum} success: ${batch.length} plays`);
+    }
+    
+    // Rate limiting protection
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return written;
+}
+
+// Failed plays are safe once dead-lettered; only a failed dead-letter write
+// loses them (and counts as an error)
+async function deadLetterPlays(failed, stats) {
+  try {
+    await deadLetters.add(failed.map(({ row, error }) => ({ table: 'nflfastr_pbp', row, error })), 'pbp');
+    stats.deadLettered += failed.length;
+    console.log(`  📮 ${failed.length} plays dead-lettered to ${deadLetters.description}`);
+  } catch (error) {
+    console.error(`  ❌ ${error.message}`);
+    stats.errors.push(`${failed[0].error} (${error.message})`);
+  }
+}
+
+// The plays are already stored; a stale entry left behind only costs a warning
+async function clearDeadLetters(written) {
+  try {
+    await deadLetters.clear('nflfastr_pbp', written);
+  } catch (error) {
+    console.log(`  ⚠️ ${error.message}`);
+  }
+}
+
+function lostPlays(stats) {
+  return stats.failed - stats.deadLettered;
+}
+
+// --- SCHEMA CHECK ---
+// Make sure nflfastr_pbp has every column we write and the unique index the
+// upsert conflict target needs before anything is written. Test mode only
+// reports problems.
+async function checkTableSchema() {
+  if (skipSchemaCheck) {
+    console.log('⏭️ Schema check skipped (--skip-schema-check)');
+    return;
+  }
+  const columns = PBP_COLUMNS.map(c => c.name).concat(OVERFLOW_COLUMN ? [OVERFLOW_COLUMN] : []);
+  
+  if (testMode) {
+    try {
+      await verifyTableSchema(storage, 'nflfastr_pbp', { columns });
+      if (incrementalMode && SYNC_STATE_STORE === 'table') {
+        await verifyTableSchema(storage, SYNC_STATE_TABLE);
+      }
+      if (process.env.DEAD_LETTER === 'table') await verifyTableSchema(storage, DEAD_LETTER_TABLE);
+      for (const aggregate of GAME_AGGREGATES) await verifyTableSchema(storage, aggregate.table);
+    } catch (error) {
+      console.log(`⚠️ ${error.message}`);
+    }
+    return;
+  }
+  await assertTableSchema(storage, 'nflfastr_pbp', { columns });
+  if (incrementalMode && SYNC_STATE_STORE === 'table') {
+    await assertTableSchema(storage, SYNC_STATE_TABLE);
+  }
+  if (process.env.DEAD_LETTER === 'table') await assertTableSchema(storage, DEAD_LETTER_TABLE);
+  for (const aggregate of GAME_AGGREGATES) await assertTableSchema(storage, aggregate.table);
+}
+
+// --- INCREMENTAL SYNC ---
+let syncState = null;
+
+function openSyncState() {
+  if (!incrementalMode) return null;
+  const store = SYNC_STATE_STORE === 'table'
+    ? createTableSyncState(storage)
+    : createFileSyncState(SYNC_STATE_FILE);
+  console.log(`🔁 Incremental mode: change detection against ${store.description}`);
+  return store;
+}
+
+// Transform a parsed batch and upsert it (counts only in test mode, diffs in a
+// dry run). In incremental mode unchanged plays are skipped and written
+// fingerprints recorded.
+async function processRows(rows, stats) {
+  const plays = [];
+  for (const row of rows) {
+    const play = stats.transform(row);
+    if (!play) continue;
+    normalizePlayTeams(play, stats);
+    plays.push(play);
+  }
+  stats.transformed += plays.length;
+  
+  let toWrite = plays;
+  let changes = null;
+  if (syncState) {
+    await syncState.prime(plays);
+    const diff = classifyPlays(plays, syncState);
+    stats.sync.new += diff.new.length;
+    stats.sync.changed += diff.changed.length;
+    stats.sync.unchanged += diff.unchanged.length;
+    changes = new Map(diff.new.concat(diff.changed).map(entry => [entry.play, entry]));
+    toWrite = [...changes.keys()];
+  }
+  stats.toWrite += toWrite.length;
+  
+  if (testMode) {
+    if (dryRun && toWrite.length) await dryRun.compare('nflfastr_pbp', toWrite, play => play.game_id);
+    for (const play of toWrite) stats.touchedGames.add(play.game_id);
+    return;
+  }
+  if (!toWrite.length) return;
+  
+  const written = await upsertPlays(toWrite, stats);
+  for (const play of written) stats.touchedGames.add(play.game_id);
+  if (syncState) {
+    for (const play of written) {
+      const { key, fingerprint } = changes.get(play);
+      syncState.set(key, fingerprint, play);
+    }
+  }
+}
+
+async function flushSyncState() {
+  if (syncState && !testMode) await syncState.flush();
+}
+
+// --- GAME AGGREGATES ---
+// After a sync the derived per-game tables are rebuilt for every game it wrote
+// plays for. A sync may change only a few of a game's plays, so the game is
+// read back whole from nflfastr_pbp and handed to the pure builders in lib/.
+// Rows left over from an earlier rebuild (a stat correction credited another
+// player, drives renumbered) are deleted.
+const AGGREGATE_BATCH_SIZE = 500;
+
+const GAME_AGGREGATES = [
+  {
+    table: PLAYER_STATS_TABLE,
+    columns: PLAYER_STAT_PLAY_COLUMNS,
+    enabled: !skipPlayerStats,
+    build: (plays, now) => [...aggregatePlayerStats(plays).values()].map(stats => toPlayerGameRow(stats, now))
+  },
+  {
+    table: TEAM_STATS_TABLE,
+    columns: TEAM_STAT_PLAY_COLUMNS,
+    enabled: buildAggregates,
+    build: (plays, now) => [...aggregateTeamStats(plays).values()].map(stats => toTeamGameRow(stats, now))
+  },
+  {
+    table: DRIVE_SUMMARY_TABLE,
+    columns: DRIVE_PLAY_COLUMNS,
+    enabled: buildAggregates,
+    build: (plays, now) => summarizeDrives(plays).map(drive => toDriveRow(drive, now))
+  }
+].filter(aggregate => aggregate.enabled);
+
+async function saveAggregate(table, gameIds, rows, updatedAt) {
+  for (let i = 0; i < rows.length; i += AGGREGATE_BATCH_SIZE) {
+    const { error } = await storage.upsert(table, rows.slice(i, i + AGGREGATE_BATCH_SIZE));
+    if (error) throw new Error(`${table} upsert failed: ${error.message}`);
+  }
+  
+  const { error } = await storage.delete(table, {
+    where: { game_id: { in: gameIds }, updated_at: { lt: updatedAt } }
+  });
+  if (error) throw new Error(`${table} cleanup failed: ${error.message}`);
+}
+
+async function rebuildGameAggregates(touchedGames) {
+  if (!GAME_AGGREGATES.length || !touchedGames.size) return undefined;
+  const games = [...touchedGames].sort();
+  const tables = GAME_AGGREGATES.map(aggregate => aggregate.table);
+  
+  if (testMode) {
+    console.log(`🧪 TEST: Would rebuild ${tables.join(', ')} for ${games.length} games`);
+    return { games: games.length };
+  }
+  
+  console.log(`\n🧮 Rebuilding ${tables.join(', ')} for ${games.length} games...`);
+  const columns = [...new Set(GAME_AGGREGATES.flatMap(aggregate => aggregate.columns))];
+  const updatedAt = new Date().toISOString();
+  const rows = Object.fromEntries(tables.map(table => [table, 0]));
+  try {
+    for (let i = 0; i < games.length; i += GAME_CHUNK_SIZE) {
+      const chunk = games.slice(i, i + GAME_CHUNK_SIZE);
+      const plays = await loadGamePlays(storage, chunk, columns);
+      for (const aggregate of GAME_AGGREGATES) {
+        const built = aggregate.build(plays, updatedAt);
+        await saveAggregate(aggregate.table, chunk, built, updatedAt);
+        rows[aggregate.table] += built.length;
+      }
+    }
+  } catch (error) {
+    console.error(`  ❌ ${error.message}`);
+    return { games: games.length, rows, error: error.message };
+  }
+  
+  for (const table of tables) console.log(`  ✅ ${table}: ${rows[table]} rows`);
+  return { games: games.length, rows };
+}
+
+// Print the dry-run summary and write its report (undefined outside --dry-run)
+function finishDryRun() {
+  if (!dryRun) return undefined;
+  dryRun.print();
+  return dryRun.save();
+}
+
+function syncSummary(stats) {
+  return incrementalMode ? { mode: 'incremental', ...stats.sync } : undefined;
+}
+
+// Header hook for fetchAndParsePbp: report drift and build the transform.
+// A source missing a required column (play_id, game_id) is rejected.
+function prepareSchema(headers, stats) {
+  const drift = detectSchemaDrift(headers);
+  logSchemaDrift(drift);
+  if (drift.requiredMissing.length) {
+    throw new Error(`CSV is missing required columns: ${drift.requiredMissing.join(', ')}`);
+  }
+  stats.drift = drift;
+  stats.transform = createTransform(headers, { overflowColumn: OVERFLOW_COLUMN });
+}
+
+function driftSummary(drift) {
+  if (!drift || !drift.hasDrift) return undefined;
+  return { added: drift.added, missing: drift.missing, renamed: drift.renamed };
+}
+
+function newStats() {
+  return {
+    transformed: 0,
+    toWrite: 0,
+    processed: 0,
+    failed: 0,
+    deadLettered: 0,
+    batches: 0,
+    errors: [],
+    transform: null,
+    drift: null,
+    unknownTeams: new Set(),
+    touchedGames: new Set(),
+    sync: { new: 0, changed: 0, unchanged: 0 }
+  };
+}
+
+// Backfill whole seasons with no date filter. Progress is checkpointed to
+// BACKFILL_STATE_FILE after every committed batch so an interrupted run resumes
+// where it stopped; --restart discards the checkpoint.
+async function runBackfill(seasons) {
+  if (restartBackfill && !testMode) clearBackfillState(BACKFILL_STATE_FILE);
+  const state = restartBackfill || testMode ? emptyState() : loadBackfillState(BACKFILL_STATE_FILE);
+  const summary = [];
+  
+  for (const [i, season] of seasons.entries()) {
+    console.log(`\n📆 Season ${season} (${i + 1}/${seasons.length})`);
+    
+    if (state.completed.includes(season)) {
+      console.log(`  ⏭️ Already backfilled (use --restart to redo)`);
+      summary.push({ season, skipped: true });
+      continue;
+    }
+    
+    const resumeFrom = state.current && state.current.season === season ? state.current.rowsCommitted : 0;
+    if (resumeFrom > 0) {
+      console.log(`  ↪️ Resuming after ${resumeFrom} committed rows`);
+    }
+    
+    const stats = newStats();
+    let committed = resumeFrom;
+    
+    const parsed = await fetchAndParsePbp(season, async (rows) => {
+      await processRows(rows, stats);
+      
+      // Only advance the resume point while every play so far was written or
+      // dead-lettered
+      if (lostPlays(stats) === 0) committed += rows.length;
+      if (!testMode) {
+        state.current = { season, rowsCommitted: committed };
+        saveBackfillState(BACKFILL_STATE_FILE, state);
+      }
+      console.log(`  📈 ${season}: ${resumeFrom + stats.transformed} plays so far`);
+    }, { cutoff: null, skipRows: resumeFrom, onHeaders: (headers) => prepareSchema(headers, stats) });
+    
+    await flushSyncState();
+    const aggregates = await rebuildGameAggregates(stats.touchedGames);
+    
+    const seasonResult = {
+      season,
+      plays: parsed.validPlays,
+      processed: testMode ? stats.toWrite : stats.processed,
+      failed: stats.failed,
+      deadLettered: stats.deadLettered,
+      resumedFrom: resumeFrom,
+      rejected: parsed.rejects.total,
+      sync: syncSummary(stats),
+      schemaDrift: driftSummary(stats.drift),
+      unknownTeams: unknownTeamsSummary(stats),
+      aggregates
+    };
+    summary.push(seasonResult);
+    
+    if (stats.deadLettered) {
+      console.log(`  📮 ${stats.deadLettered} plays dead-lettered - rerun them with --replay-failed`);
+    }
+    if (lostPlays(stats) === 0) {
+      if (!testMode) markSourceSynced(parsed.url);
+      state.completed.push(season);
+      state.current = null;
+      if (!testMode) saveBackfillState(BACKFILL_STATE_FILE, state);
+      console.log(`  ✅ Season ${season} complete: ${seasonResult.processed} plays`);
+    } else {
+      console.log(`  ⚠️ Season ${season} finished with ${lostPlays(stats)} lost plays - rerun to resume`);
+    }
+  }
+  
+  return {
+    success: summary.every(s => s.skipped || (s.failed === s.deadLettered && !s.aggregates?.error)),
+    mode: 'backfill',
+    seasons: summary,
+    dryRun: finishDryRun(),
+    testMode
+  };
+}
+
+// --replay-failed: write the dead-lettered plays again, then rebuild the
+// aggregates of their games. Plays that still fail stay dead-lettered.
+async function runReplay() {
+  await checkTableSchema();
+  console.log(`\n📮 Replaying dead-lettered plays from ${deadLetters.description}...`);
+  
+  if (testMode) {
+    const pending = await deadLetters.list(['nflfastr_pbp']);
+    console.log(`🧪 TEST: Would replay ${pending.length} plays`);
+    return { success: true, mode: 'replay', pending: pending.length, testMode };
+  }
+  
+  const replay = await replayDeadLetters(storage, deadLetters, ['nflfastr_pbp'], { source: 'pbp' });
+  console.log(`📮 ${replay.written.length} of ${replay.pending} plays replayed, ${replay.failed} still failing`);
+  const aggregates = await rebuildGameAggregates(new Set(replay.written.map(({ row }) => row.game_id)));
+  
+  return {
+    success: replay.failed === 0 && !aggregates?.error,
+    mode: 'replay',
+    pending: replay.pending,
+    replayed: replay.written.length,
+    stillFailing: replay.failed,
+    aggregates
+  };
+}
+
 // Main execution function
 async function runUpdater() {
   try {
+    if (replayFailed) {
+      return await runReplay();
+    }
+    
+    if (backfillSeasons) {
+      await checkTableSchema();
+      syncState = openSyncState();
+      return await runBackfill(backfillSeasons);
+    }
+    
     if (!inNflSeason && !testMode) {
       console.log('📅 Outside NFL season - skipping sync (use --test flag to override)');
       return { success: true, message: 'Outside NFL season - sync skipped' };
     }
     
-    console.log('\n📦 Fetching complete NFLfastR data...');
-    const pbpData = await fetchAndParsePbp();
-    
-    console.log(`📊 Found ${pbpData.length} play records to process`);
+    await checkTableSchema();
+    syncState = openSyncState();
     
-    if (pbpData.length === 0) {
-      return { success: true, message: 'No recent plays found' };
+    if (testMode) {
+      console.log(`\n🧪 TEST MODE: Simulating database updates...`);
     }
     
-    console.log('\n🔄 Transforming dataset...');
-    const transformedPlays = [];
+    console.log('\n📦 Fetching complete NFLfastR data...');
+    const stats = newStats();
     
-    for (const play of pbpData) {
-      if (!play.game_id || !play.play_id) continue;
-      
-      // --- TRANSFORMATION MAPPING ---
-      // We use safeNumeric/safeDouble for numbers to prevent DB errors
-      transformedPlays.push({
-        play_id: safeNumeric(play.play_id),
-        game_id: safeText(play.game_id),
-        old_game_id: safeNumeric(play.old_game_id),
-        home_team: safeText(play.home_team),
-        away_team: safeText(play.away_team),
-        season_type: safeText(play.season_type),
-        week: safeNumeric(play.week),
-        posteam: safeText(play.posteam),
-        posteam_type: safeText(play.posteam_type),
-        defteam: safeText(play.defteam),
-        side_of_field: safeText(play.side_of_field),
-        yardline_100: safeNumeric(play.yardline_100), // Fixed: Numeric
-        game_date: safeText(play.game_date),
-        quarter_seconds_remaining: safeNumeric(play.quarter_seconds_remaining), // Fixed: Numeric
-        half_seconds_remaining: safeNumeric(play.half_seconds_remaining), // Fixed: Numeric
-        game_seconds_remaining: safeNumeric(play.game_seconds_remaining), // Fixed: Numeric
-        game_half: safeText(play.game_half),
-        quarter_end: safeNumeric(play.quarter_end), // Fixed: Numeric
-        drive: safeNumeric(play.drive), // Fixed: Numeric
-        sp: safeNumeric(play.sp), // Fixed: Numeric
-        qtr: safeNumeric(play.qtr), // Fixed: Numeric
-        down: safeNumeric(play.down), // Fixed: Numeric
-        goal_to_go: safeNumeric(play.goal_to_go), // Fixed: Numeric
-        time: safeText(play.time),
-        yrdln: safeText(play.yrdln),
-        ydstogo: safeNumeric(play.ydstogo), // Fixed: Numeric
-        ydsnet: safeNumeric(play.ydsnet), // Fixed: Numeric
-        desc: safeText(play.desc),
-        play_type: safeText(play.play_type),
-        yards_gained: safeNumeric(play.yards_gained), // Fixed: Numeric
-        shotgun: safeNumeric(play.shotgun), // Fixed: Numeric
-        no_huddle: safeNumeric(play.no_huddle), // Fixed: Numeric
-        qb_dropback: safeNumeric(play.qb_dropback), // Fixed: Numeric
-        qb_kneel: safeNumeric(play.qb_kneel), // Fixed: Numeric
-        qb_spike: safeNumeric(play.qb_spike), // Fixed: Numeric
-        qb_scramble: safeNumeric(play.qb_scramble), // Fixed: Numeric
-        pass_length: safeText(play.pass_length),
-        pass_location: safeText(play.pass_location),
-        air_yards: safeNumeric(play.air_yards), // Fixed: Numeric
-        yards_after_catch: safeNumeric(play.yards_after_catch), // Fixed: Numeric
-        run_location: safeText(play.run_location),
-        run_gap: safeText(play.run_gap),
-        field_goal_result: safeText(play.field_goal_result),
-        kick_distance: safeNumeric(play.kick_distance), // Fixed: Numeric
-        extra_point_result: safeText(play.extra_point_result),
-        two_point_conv_result: safeText(play.two_point_conv_result),
-        home_timeouts_remaining: safeNumeric(play.home_timeouts_remaining), // Fixed: Numeric
-        away_timeouts_remaining: safeNumeric(play.away_timeouts_remaining), // Fixed: Numeric
-        timeout: safeNumeric(play.timeout), // Fixed: Numeric
-        timeout_team: safeText(play.timeout_team),
-        td_team: safeText(play.td_team),
-        td_player_name: safeText(play.td_player_name),
-        td_player_id: safeText(play.td_player_id),
-        posteam_timeouts_remaining: safeNumeric(play.posteam_timeouts_remaining), // Fixed: Numeric
-        defteam_timeouts_remaining: safeNumeric(play.defteam_timeouts_remaining), // Fixed: Numeric
-        total_home_score: safeNumeric(play.total_home_score), // Fixed: Numeric
-        total_away_score: safeNumeric(play.total_away_score), // Fixed: Numeric
-        posteam_score: safeNumeric(play.posteam_score), // Fixed: Numeric
-        defteam_score: safeNumeric(play.defteam_score), // Fixed: Numeric
-        score_differential: safeNumeric(play.score_differential), // Fixed: Numeric
-        posteam_score_post: safeNumeric(play.posteam_score_post), // Fixed: Numeric
-        defteam_score_post: safeNumeric(play.defteam_score_post), // Fixed: Numeric
-        score_differential_post: safeNumeric(play.score_differential_post), // Fixed: Numeric
-        no_score_prob: safeDouble(play.no_score_prob), // Fixed: Double
-        opp_fg_prob: safeDouble(play.opp_fg_prob), // Fixed: Double
-        opp_safety_prob: safeDouble(play.opp_safety_prob), // Fixed: Double
-        opp_td_prob: safeDouble(play.opp_td_prob), // Fixed: Double
-        fg_prob: safeDouble(play.fg_prob), // Fixed: Double
-        safety_prob: safeDouble(play.safety_prob), // Fixed: Double
-        td_prob: safeDouble(play.td_prob), // Fixed: Double
-        extra_point_prob: safeDouble(play.extra_point_prob), // Fixed: Double
-        two_point_conversion_prob: safeDouble(play.two_point_conversion_prob), // Fixed: Double
-        ep: safeDouble(play.ep), // Fixed: Double
-        epa: safeDouble(play.epa), // Fixed: Double
-        total_home_epa: safeDouble(play.total_home_epa), // Fixed: Double
-        total_away_epa: safeDouble(play.total_away_epa), // Fixed: Double
-        total_home_rush_epa: safeDouble(play.total_home_rush_epa), // Fixed: Double
-        total_away_rush_epa: safeDouble(play.total_away_rush_epa), // Fixed: Double
-        total_home_pass_epa: safeDouble(play.total_home_pass_epa), // Fixed: Double
-        total_away_pass_epa: safeDouble(play.total_away_pass_epa), // Fixed: Double
-        air_epa: safeDouble(play.air_epa), // Fixed: Double
-        yac_epa: safeDouble(play.yac_epa), // Fixed: Double
-        comp_air_epa: safeDouble(play.comp_air_epa), // Fixed: Double
-        comp_yac_epa: safeDouble(play.comp_yac_epa), // Fixed: Double
-        total_home_comp_air_epa: safeDouble(play.total_home_comp_air_epa), // Fixed: Double
-        total_away_comp_air_epa: safeDouble(play.total_away_comp_air_epa), // Fixed: Double
-        total_home_comp_yac_epa: safeDouble(play.total_home_comp_yac_epa), // Fixed: Double
-        total_away_comp_yac_epa: safeDouble(play.total_away_comp_yac_epa), // Fixed: Double
-        total_home_raw_air_epa: safeDouble(play.total_home_raw_air_epa), // Fixed: Double
-        total_away_raw_air_epa: safeDouble(play.total_away_raw_air_epa), // Fixed: Double
-        total_home_raw_yac_epa: safeDouble(play.total_home_raw_yac_epa), // Fixed: Double
-        total_away_raw_yac_epa: safeDouble(play.total_away_raw_yac_epa), // Fixed: Double
-        wp: safeDouble(play.wp),
-        def_wp: safeDouble(play.def_wp),
-        home_wp: safeDouble(play.home_wp),
-        away_wp: safeDouble(play.away_wp),
-        vegas_wp: safeDouble(play.vegas_wp),
-        vegas_home_wp: safeDouble(play.vegas_home_wp),
-        wpa: safeDouble(play.wpa), // Fixed: Double
-        vegas_wpa: safeDouble(play.vegas_wpa), // Fixed: Double
-        vegas_home_wpa: safeDouble(play.vegas_home_wpa), // Fixed: Double
-        home_wp_post: safeDouble(play.home_wp_post), // Fixed: Double
-        away_wp_post: safeDouble(play.away_wp_post), // Fixed: Double
-        total_home_rush_wpa: safeDouble(play.total_home_rush_wpa), // Fixed: Double
-        total_away_rush_wpa: safeDouble(play.total_away_rush_wpa), // Fixed: Double
-        total_home_pass_wpa: safeDouble(play.total_home_pass_wpa), // Fixed: Double
-        total_away_pass_wpa: safeDouble(play.total_away_pass_wpa), // Fixed: Double
-        air_wpa: safeDouble(play.air_wpa), // Fixed: Double
-        yac_wpa: safeDouble(play.yac_wpa), // Fixed: Double
-        comp_air_wpa: safeDouble(play.comp_air_wpa), // Fixed: Double
-        comp_yac_wpa: safeDouble(play.comp_yac_wpa), // Fixed: Double
-        total_home_comp_air_wpa: safeDouble(play.total_home_comp_air_wpa), // Fixed: Double
-        total_away_comp_air_wpa: safeDouble(play.total_away_comp_air_wpa), // Fixed: Double
-        total_home_comp_yac_wpa: safeDouble(play.total_home_comp_yac_wpa), // Fixed: Double
-        total_away_comp_yac_wpa: safeDouble(play.total_away_comp_yac_wpa), // Fixed: Double
-        total_home_raw_air_wpa: safeDouble(play.total_home_raw_air_wpa), // Fixed: Double
-        total_away_raw_air_wpa: safeDouble(play.total_away_raw_air_wpa), // Fixed: Double
-        total_home_raw_yac_wpa: safeDouble(play.total_home_raw_yac_wpa), // Fixed: Double
-        total_away_raw_yac_wpa: safeDouble(play.total_away_raw_yac_wpa), // Fixed: Double
-        // ... (Remaining text fields kept as safeText) ...
-        punt_blocked: safeText(play.punt_blocked),
-        first_down_rush: safeText(play.first_down_rush),
-        first_down_pass: safeText(play.first_down_pass),
-        first_down_penalty: safeText(play.first_down_penalty),
-        third_down_converted: safeText(play.third_down_converted),
-        third_down_failed: safeText(play.third_down_failed),
-        fourth_down_converted: safeText(play.fourth_down_converted),
-        fourth_down_failed: safeText(play.fourth_down_failed),
-        incomplete_pass: safeText(play.incomplete_pass),
-        touchback: safeText(play.touchback),
-        interception: safeText(play.interception),
-        punt_inside_twenty: safeText(play.punt_inside_twenty),
-        punt_in_endzone: safeText(play.punt_in_endzone),
-        punt_out_of_bounds: safeText(play.punt_out_of_bounds),
-        punt_downed: safeText(play.punt_downed),
-        punt_fair_catch: safeText(play.punt_fair_catch),
-        kickoff_inside_twenty: safeText(play.kickoff_inside_twenty),
-        kickoff_in_endzone: safeText(play.kickoff_in_endzone),
-        kickoff_out_of_bounds: safeText(play.kickoff_out_of_bounds),
-        kickoff_downed: safeText(play.kickoff_downed),
-        kickoff_fair_catch: safeText(play.kickoff_fair_catch),
-        fumble_forced: safeText(play.fumble_forced),
-        fumble_not_forced: safeText(play.fumble_not_forced),
-        fumble_out_of_bounds: safeText(play.fumble_out_of_bounds),
-        solo_tackle: safeText(play.solo_tackle),
-        safety: safeText(play.safety),
-        penalty: safeText(play.penalty),
-        tackled_for_loss: safeText(play.tackled_for_loss),
-        fumble_lost: safeText(play.fumble_lost),
-        own_kickoff_recovery: safeText(play.own_kickoff_recovery),
-        own_kickoff_recovery_td: safeText(play.own_kickoff_recovery_td),
-        qb_hit: safeText(play.qb_hit),
-        rush_attempt: safeText(play.rush_attempt),
-        pass_attempt: safeText(play.pass_attempt),
-        sack: safeText(play.sack),
-        touchdown: safeText(play.touchdown),
-        pass_touchdown: safeText(play.pass_touchdown),
-        rush_touchdown: safeText(play.rush_touchdown),
-        return_touchdown: safeText(play.return_touchdown),
-        extra_point_attempt: safeText(play.extra_point_attempt),
-        two_point_attempt: safeText(play.two_point_attempt),
-        field_goal_attempt: safeText(play.field_goal_attempt),
-        kickoff_attempt: safeText(play.kickoff_attempt),
-        punt_attempt: safeText(play.punt_attempt),
-        fumble: safeText(play.fumble),
-        complete_pass: safeText(play.complete_pass),
-        assist_tackle: safeText(play.assist_tackle),
-        lateral_reception: safeText(play.lateral_reception),
-        lateral_rush: safeText(play.lateral_rush),
-        lateral_return: safeText(play.lateral_return),
-        lateral_recovery: safeText(play.lateral_recovery),
-        passer_player_id: safeText(play.passer_player_id),
-        passer_player_name: safeText(play.passer_player_name),
-        passing_yards: safeNumeric(play.passing_yards), // Fixed: Numeric
-        receiver_player_id: safeText(play.receiver_player_id),
-        receiver_player_name: safeText(play.receiver_player_name),
-        receiving_yards: safeNumeric(play.receiving_yards), // Fixed: Numeric
-        rusher_player_id: safeText(play.rusher_player_id),
-        rusher_player_name: safeText(play.rusher_player_name),
-        rushing_yards: safeNumeric(play.rushing_yards), // Fixed: Numeric
-        lateral_receiver_player_id: safeText(play.lateral_receiver_player_id),
-        lateral_receiver_player_name: safeText(play.lateral_receiver_player_name),
-        lateral_receiving_yards: safeNumeric(play.lateral_receiving_yards), // Fixed: Numeric
-        lateral_rusher_player_id: safeText(play.lateral_rusher_player_id),
-        lateral_rusher_player_name: safeText(play.lateral_rusher_player_name),
-        lateral_rushing_yards: safeNumeric(play.lateral_rushing_yards), // Fixed: Numeric
-        lateral_sack_player_id: safeText(play.lateral_sack_player_id),
-        lateral_sack_player_name: safeText(play.lateral_sack_player_name),
-        interception_player_id: safeText(play.interception_player_id),
-        interception_player_name: safeText(play.interception_player_name),
-        lateral_interception_player_id: safeText(play.lateral_interception_player_id),
-        lateral_interception_player_name: safeText(play.lateral_interception_player_name),
-        punt_returner_player_id: safeText(play.punt_returner_player_id),
-        punt_returner_player_name: safeText(play.punt_returner_player_name),
-        lateral_punt_returner_player_id: safeText(play.lateral_punt_returner_player_id),
-        lateral_punt_returner_player_name: safeText(play.lateral_punt_returner_player_name),
-        kickoff_returner_player_name: safeText(play.kickoff_returner_player_name),
-        kickoff_returner_player_id: safeText(play.kickoff_returner_player_id),
-        lateral_kickoff_returner_player_id: safeText(play.lateral_kickoff_returner_player_id),
-        lateral_kickoff_returner_player_name: safeText(play.lateral_kickoff_returner_player_name),
-        punter_player_id: safeText(play.punter_player_id),
-        punter_player_name: safeText(play.punter_player_name),
-        kicker_player_name: safeText(play.kicker_player_name),
-        kicker_player_id: safeText(play.kicker_player_id),
-        own_kickoff_recovery_player_id: safeText(play.own_kickoff_recovery_player_id),
-        own_kickoff_recovery_player_name: safeText(play.own_kickoff_recovery_player_name),
-        blocked_player_id: safeText(play.blocked_player_id),
-        blocked_player_name: safeText(play.blocked_player_name),
-        tackle_for_loss_1_player_id: safeText(play.tackle_for_loss_1_player_id),
-        tackle_for_loss_1_player_name: safeText(play.tackle_for_loss_1_player_name),
-        tackle_for_loss_2_player_id: safeText(play.tackle_for_loss_2_player_id),
-        tackle_for_loss_2_player_name: safeText(play.tackle_for_loss_2_player_name),
-        qb_hit_1_player_id: safeText(play.qb_hit_1_player_id),
-        qb_hit_1_player_name: safeText(play.qb_hit_1_player_name),
-        qb_hit_2_player_id: safeText(play.qb_hit_2_player_id),
-        qb_hit_2_player_name: safeText(play.qb_hit_2_player_name),
-        forced_fumble_player_1_team: safeText(play.forced_fumble_player_1_team),
-        forced_fumble_player_1_player_id: safeText(play.forced_fumble_player_1_player_id),
-        forced_fumble_player_1_player_name: safeText(play.forced_fumble_player_1_player_name),
-        forced_fumble_player_2_team: safeText(play.forced_fumble_player_2_team),
-        forced_fumble_player_2_player_id: safeText(play.forced_fumble_player_2_player_id),
-        forced_fumble_player_2_player_name: safeText(play.forced_fumble_player_2_player_name),
-        solo_tackle_1_team: safeText(play.solo_tackle_1_team),
-        solo_tackle_2_team: safeText(play.solo_tackle_2_team),
-        solo_tackle_1_player_id: safeText(play.solo_tackle_1_player_id),
-        solo_tackle_2_player_id: safeText(play.solo_tackle_2_player_id),
-        solo_tackle_1_player_name: safeText(play.solo_tackle_1_player_name),
-        solo_tackle_2_player_name: safeText(play.solo_tackle_2_player_name),
-        assist_tackle_1_player_id: safeText(play.assist_tackle_1_player_id),
-        assist_tackle_1_player_name: safeText(play.assist_tackle_1_player_name),
-        assist_tackle_1_team: safeText(play.assist_tackle_1_team),
-        assist_tackle_2_player_id: safeText(play.assist_tackle_2_player_id),
-        assist_tackle_2_player_name: safeText(play.assist_tackle_2_player_name),
-        assist_tackle_2_team: safeText(play.assist_tackle_2_team),
-        assist_tackle_3_player_id: safeText(play.assist_tackle_3_player_id),
-        assist_tackle_3_player_name: safeText(play.assist_tackle_3_player_name),
-        assist_tackle_3_team: safeText(play.assist_tackle_3_team),
-        assist_tackle_4_player_id: safeText(play.assist_tackle_4_player_id),
-        assist_tackle_4_player_name: safeText(play.assist_tackle_4_player_name),
-        assist_tackle_4_team: safeText(play.assist_tackle_4_team),
-        tackle_with_assist: safeText(play.tackle_with_assist),
-        tackle_with_assist_1_player_id: safeText(play.tackle_with_assist_1_player_id),
-        tackle_with_assist_1_player_name: safeText(play.tackle_with_assist_1_player_name),
-        tackle_with_assist_1_team: safeText(play.tackle_with_assist_1_team),
-        tackle_with_assist_2_player_id: safeText(play.tackle_with_assist_2_player_id),
-        tackle_with_assist_2_player_name: safeText(play.tackle_with_assist_2_player_name),
-        tackle_with_assist_2_team: safeText(play.tackle_with_assist_2_team),
-        pass_defense_1_player_id: safeText(play.pass_defense_1_player_id),
-        pass_defense_1_player_name: safeText(play.pass_defense_1_player_name),
-        pass_defense_2_player_id: safeText(play.pass_defense_2_player_id),
-        pass_defense_2_player_name: safeText(play.pass_defense_2_player_name),
-        fumbled_1_team: safeText(play.fumbled_1_team),
-        fumbled_1_player_id: safeText(play.fumbled_1_player_id),
-        fumbled_1_player_name: safeText(play.fumbled_1_player_name),
-        fumbled_2_player_id: safeText(play.fumbled_2_player_id),
-        fumbled_2_player_name: safeText(play.fumbled_2_player_name),
-        fumbled_2_team: safeText(play.fumbled_2_team),
-        fumble_recovery_1_team: safeText(play.fumble_recovery_1_team),
-        fumble_recovery_1_yards: safeNumeric(play.fumble_recovery_1_yards), // Fixed: Numeric
-        fumble_recovery_1_player_id: safeText(play.fumble_recovery_1_player_id),
-        fumble_recovery_1_player_name: safeText(play.fumble_recovery_1_player_name),
-        fumble_recovery_2_team: safeText(play.fumble_recovery_2_team),
-        fumble_recovery_2_yards: safeNumeric(play.fumble_recovery_2_yards), // Fixed: Numeric
-        fumble_recovery_2_player_id: safeText(play.fumble_recovery_2_player_id),
-        fumble_recovery_2_player_name: safeText(play.fumble_recovery_2_player_name),
-        sack_player_id: safeText(play.sack_player_id),
-        sack_player_name: safeText(play.sack_player_name),
-        half_sack_1_player_id: safeText(play.half_sack_1_player_id),
-        half_sack_1_player_name: safeText(play.half_sack_1_player_name),
-        half_sack_2_player_id: safeText(play.half_sack_2_player_id),
-        half_sack_2_player_name: safeText(play.half_sack_2_player_name),
-        return_team: safeText(play.return_team),
-        return_yards: safeNumeric(play.return_yards), // Fixed: Numeric
-        penalty_team: safeText(play.penalty_team),
-        penalty_player_id: safeText(play.penalty_player_id),
-        penalty_player_name: safeText(play.penalty_player_name),
-        penalty_yards: safeNumeric(play.penalty_yards), // Fixed: Numeric
-        replay_or_challenge: safeText(play.replay_or_challenge),
-        replay_or_challenge_result: safeText(play.replay_or_challenge_result),
-        penalty_type: safeText(play.penalty_type),
-        defensive_two_point_attempt: safeText(play.defensive_two_point_attempt),
-        defensive_two_point_conv: safeText(play.defensive_two_point_conv),
-        defensive_extra_point_attempt: safeText(play.defensive_extra_point_attempt),
-        defensive_extra_point_conv: safeText(play.defensive_extra_point_conv),
-        safety_player_name: safeText(play.safety_player_name),
-        safety_player_id: safeText(play.safety_player_id),
-        season: safeNumeric(play.season),
-        cp: safeDouble(play.cp), // Fixed: Double
-        cpoe: safeDouble(play.cpoe), // Fixed: Double
-        series: safeNumeric(play.series),
-        series_success: safeText(play.series_success),
-        series_result: safeText(play.series_result),
-        order_sequence: safeNumeric(play.order_sequence),
-        start_time: safeText(play.start_time),
-        time_of_day: safeText(play.time_of_day),
-        stadium: safeText(play.stadium),
-        weather: safeText(play.weather),
-        nfl_api_id: safeText(play.nfl_api_id),
-        play_clock: safeNumeric(play.play_clock), // Fixed: Numeric
-        play_deleted: safeText(play.play_deleted),
-        play_type_nfl: safeText(play.play_type_nfl),
-        special_teams_play: safeText(play.special_teams_play),
-        st_play_type: safeText(play.st_play_type),
-        end_clock_time: safeText(play.end_clock_time),
-        end_yard_line: safeText(play.end_yard_line),
-        fixed_drive: safeNumeric(play.fixed_drive),
-        fixed_drive_result: safeText(play.fixed_drive_result),
-        drive_real_start_time: safeText(play.drive_real_start_time),
-        drive_play_count: safeNumeric(play.drive_play_count), // Fixed: Numeric
-        drive_time_of_possession: safeText(play.drive_time_of_possession),
-        drive_first_downs: safeNumeric(play.drive_first_downs), // Fixed: Numeric
-        drive_inside20: safeText(play.drive_inside20),
-        drive_ended_with_score: safeText(play.drive_ended_with_score),
-        drive_quarter_start: safeNumeric(play.drive_quarter_start), // Fixed: Numeric
-        drive_quarter_end: safeNumeric(play.drive_quarter_end), // Fixed: Numeric
-        drive_yards_penalized: safeNumeric(play.drive_yards_penalized), // Fixed: Numeric
-        drive_start_transition: safeText(play.drive_start_transition),
-        drive_end_transition: safeText(play.drive_end_transition),
-        drive_game_clock_start: safeText(play.drive_game_clock_start),
-        drive_game_clock_end: safeText(play.drive_game_clock_end),
-        drive_start_yard_line: safeText(play.drive_start_yard_line),
-        drive_end_yard_line: safeText(play.drive_end_yard_line),
-        drive_play_id_started: safeText(play.drive_play_id_started),
-        drive_play_id_ended: safeText(play.drive_play_id_ended),
-        away_score: safeNumeric(play.away_score), // Fixed: Numeric
-        home_score: safeNumeric(play.home_score), // Fixed: Numeric
-        location: safeText(play.location),
-        result: safeNumeric(play.result),
-        total: safeNumeric(play.total),
-        spread_line: safeDouble(play.spread_line), // Fixed: Double
-        total_line: safeDouble(play.total_line), // Fixed: Double
-        div_game: safeText(play.div_game),
-        roof: safeText(play.roof),
-        surface: safeText(play.surface),
-        temp: safeNumeric(play.temp), // Fixed: Numeric
-        wind: safeNumeric(play.wind), // Fixed: Numeric
-        home_coach: safeText(play.home_coach),
-        away_coach: safeText(play.away_coach),
-        stadium_id: safeText(play.stadium_id),
-        game_stadium: safeText(play.game_stadium),
-        aborted_play: safeText(play.aborted_play),
-        success: safeText(play.success),
-        passer: safeText(play.passer),
-        passer_jersey_number: safeText(play.passer_jersey_number),
-        rusher: safeText(play.rusher),
-        rusher_jersey_number: safeText(play.rusher_jersey_number),
-        receiver: safeText(play.receiver),
-        receiver_jersey_number: safeText(play.receiver_jersey_number),
-        pass: safeText(play.pass),
-        rush: safeText(play.rush),
-        first_down: safeText(play.first_down),
-        special: safeText(play.special),
-        play: safeText(play.play),
-        passer_id: safeText(play.passer_id),
-        rusher_id: safeText(play.rusher_id),
-        receiver_id: safeText(play.receiver_id),
-        name: safeText(play.name),
-        jersey_number: safeText(play.jersey_number),
-        id: safeText(play.id),
-        fantasy_player_name: safeText(play.fantasy_player_name),
-        fantasy_player_id: safeText(play.fantasy_player_id),
-        fantasy: safeText(play.fantasy),
-        fantasy_id: safeText(play.fantasy_id),
-        out_of_bounds: safeText(play.out_of_bounds),
-        home_opening_kickoff: safeText(play.home_opening_kickoff),
-        qb_epa: safeDouble(play.qb_epa), // Fixed: Double
-        xyac_epa: safeDouble(play.xyac_epa), // Fixed: Double
-        xyac_mean_yardage: safeDouble(play.xyac_mean_yardage), // Fixed: Double
-        xyac_median_yardage: safeDouble(play.xyac_median_yardage), // Fixed: Double
-        xyac_success: safeDouble(play.xyac_success), // Fixed: Double
-        xyac_fd: safeDouble(play.xyac_fd), // Fixed: Double
-        xpass: safeDouble(play.xpass), // Fixed: Double
-        pass_oe: safeDouble(play.pass_oe) // Fixed: Double
-      });
+    // --- STREAMING TRANSFORM + DATABASE UPSERT ---
+    const parsed = await fetchAndParsePbp(CURRENT_SEASON, (rows) => processRows(rows, stats), {
+      onHeaders: (headers) => prepareSchema(headers, stats),
+      skipUnchanged: !forceSync && !offlineMode
+    });
+    
+    if (parsed.unchanged) {
+      return { success: true, message: 'Source unchanged since last sync - skipped (use --force to override)', skipped: true, dryRun: finishDryRun() };
     }
-
     
+    await flushSyncState();
+    const aggregates = await rebuildGameAggregates(stats.touchedGames);
     
-    // --- DATABASE UPSERT ---
-    if (testMode) {
-      console.log(`\n🧪 TEST MODE: Simulating database updates...`);
-      console.log(`✅ TEST: Would upsert ${transformedPlays.length} complete NFLfastR records`);
-      return { success: true, processed: transformedPlays.length };
+    // Remember this content as synced so an unchanged source is skipped next run
+    if (!testMode && stats.errors.length === 0) markSourceSynced(parsed.url);
+    
+    console.log(`📊 Found ${parsed.validPlays} play records to process`);
+    if (incrementalMode) {
+      console.log(`🔁 ${stats.sync.new} new, ${stats.sync.changed} changed, ${stats.sync.unchanged} unchanged`);
+    }
+    if (stats.deadLettered) {
+      console.log(`📮 ${stats.deadLettered} plays dead-lettered - rerun them with --replay-failed`);
     }
     
-    console.log(`\n💾 Updating ${transformedPlays.length} records in Supabase...`);
-    const batchSize = 100;
-    let totalProcessed = 0;
-    let errors = [];
+    if (parsed.validPlays === 0) {
+      return { success: true, message: 'No recent plays found', dryRun: finishDryRun() };
+    }
     
-    for (let i = 0; i < transformedPlays.length; i += batchSize) {
-      const batch = transformedPlays.slice(i, i + batchSize);
-      const batchNum = Math.floor(i / batchSize) + 1;
-      
-      const { error } = await supabase
-        .from('nflfastr_pbp')
-        .upsert(batch, { onConflict: 'play_id,game_id' });
-        
-      if (error) {
-        console.error(`  ❌ Batch ${batchNum} failed: ${error.message}`);
-        errors.push(error.message);
-      } else {
-        totalProcessed += batch.length;
-        console.log(`  ✅ Batch ${batchNum} success: ${batch.length} plays`);
-      }
-      
-      // Rate limiting protection
-      if (i + batchSize < transformedPlays.length) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
+    if (testMode) {
+      console.log(`✅ TEST: Would upsert ${stats.toWrite} complete NFLfastR records`);
+      return {
+        success: true,
+        processed: stats.toWrite,
+        dryRun: finishDryRun(),
+        rejected: parsed.rejects.total,
+        rejectReasons: parsed.rejects.byReason,
+        sync: syncSummary(stats),
+        schemaDrift: driftSummary(stats.drift),
+        unknownTeams: unknownTeamsSummary(stats),
+        aggregates
+      };
     }
     
     return { 
-      success: errors.length === 0, 
-      processed: totalProcessed, 
-      failed: transformedPlays.length - totalProcessed 
+      success: stats.errors.length === 0 && !aggregates?.error, 
+      processed: stats.processed, 
+      failed: stats.failed,
+      deadLettered: stats.deadLettered,
+      rejected: parsed.rejects.total,
+      rejectReasons: parsed.rejects.byReason,
+      sync: syncSummary(stats),
+      schemaDrift: driftSummary(stats.drift),
+      unknownTeams: unknownTeamsSummary(stats),
+      aggregates
     };
     
   } catch (error) {
@@ -610,7 +846,12 @@ async function runUpdater() {
 
 // Execute
 runUpdater()
-  .then(result => {
+  .then(async result => {
     console.log('\n📋 Final Result:', JSON.stringify(result, null, 2));
+    await storage.close();
     process.exit(result.success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('❌ Fatal error:', error);
+    process.exit(1);
   });
@@ -0,0 +1,48 @@
+// Command line helpers shared by the updaters
+
+// Value of `--name value` or `--name=value`, or null when the flag is absent
+function getArgValue(argv, name) {
+  const flag = `--${name}`;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      const next = argv[i + 1];
+      return next && !next.startsWith('--') ? next : '';
+    }
+    if (argv[i].startsWith(`${flag}=`)) return argv[i].slice(flag.length + 1);
+  }
+  return null;
+}
+
+// nflfastR play-by-play starts with the 1999 season
+const FIRST_PBP_SEASON = 1999;
+
+// Parse a season spec: "2019..2025" (range), "2019,2021" (list) or "2024"
+function parseSeasons(spec) {
+  const seasons = new Set();
+
+  for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+    const range = part.match(/^(\d{4})\.\.(\d{4})$/);
+    if (range) {
+      const from = Number(range[1]);
+      const to = Number(range[2]);
+      if (from > to) throw new Error(`Invalid season range "${part}" (start is after end)`);
+      for (let s = from; s <= to; s++) seasons.add(s);
+    } else if (/^\d{4}$/.test(part)) {
+      seasons.add(Number(part));
+    } else {
+      throw new Error(`Invalid season "${part}" (expected YYYY, YYYY..YYYY or a comma-separated list)`);
+    }
+  }
+
+  const list = [...seasons].sort((a, b) => a - b);
+  if (!list.length) throw new Error('No seasons given');
+  if (list[0] < FIRST_PBP_SEASON) {
+    throw new Error(`Play-by-play data starts in ${FIRST_PBP_SEASON} (got ${list[0]})`);
+  }
+  return list;
+}
+
+module.exports = {
+  getArgValue,
+  parseSeasons
+};
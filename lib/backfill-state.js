@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+// Resume point for multi-season backfills. Tracks finished seasons and, for the
+// season in progress, how many rows were committed in file order so a rerun
+// can skip straight past them.
+
+function emptyState() {
+  return { completed: [], current: null, updatedAt: null };
+}
+
+function loadBackfillState(file) {
+  try {
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ...emptyState(), ...state };
+  } catch (error) {
+    if (error.code === 'ENOENT') return emptyState();
+    throw new Error(`Unreadable backfill state ${file}: ${error.message}`);
+  }
+}
+
+function saveBackfillState(file, state) {
+  state.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  // Write-then-rename so a crash mid-write never leaves a truncated file
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function clearBackfillState(file) {
+  fs.rmSync(file, { force: true });
+}
+
+module.exports = {
+  emptyState,
+  loadBackfillState,
+  saveBackfillState,
+  clearBackfillState
+};
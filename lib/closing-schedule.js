@@ -0,0 +1,61 @@
+// Kickoff-aware polling plan for closing-line capture. Each event is polled
+// every `intervalMinutes` through its final hour, then once more `leadSeconds`
+// before kickoff; that last poll is the closing snapshot. Nothing is scheduled
+// at or after kickoff.
+//
+// Cron starts a run every `windowMinutes` and each run owns the polls that
+// fall in its slot: from the cron tick (now rounded down to the window) to the
+// next tick. A final hour usually spans two runs - a 20:25 UTC kickoff is
+// polled at 19:25-19:55 by the 19:00 run and at 20:05, 20:15 and 20:24 (the
+// closing poll) by the 20:00 run - so every poll is made by exactly one run
+// and no run outlasts its slot.
+
+const FINAL_HOUR_MS = 60 * 60 * 1000;
+
+// Poll times for one event's final hour: [{ at: Date, closing: boolean }].
+// The grid starts at kickoff minus an hour, so polls line up across runs.
+function planEventPolls(kickoff, { intervalMinutes = 10, leadSeconds = 60 } = {}) {
+  const kickoffMs = kickoff.getTime();
+  const closingMs = kickoffMs - leadSeconds * 1000;
+  const intervalMs = intervalMinutes * 60 * 1000;
+  const polls = [];
+  for (let at = kickoffMs - FINAL_HOUR_MS; at < closingMs; at += intervalMs) {
+    polls.push({ at: new Date(at), closing: false });
+  }
+  polls.push({ at: new Date(closingMs), closing: true });
+  return polls;
+}
+
+// Start of the run's slot: the cron tick `now` belongs to, so a run that
+// starts a few seconds (or minutes) late still owns the polls since the tick
+function slotStart(now, windowMinutes) {
+  const windowMs = windowMinutes * 60 * 1000;
+  return Math.floor(now.getTime() / windowMs) * windowMs;
+}
+
+// This run's polls, in time order: [{ event, at, closing }]. Polls already
+// due (between the tick and `now`) are merged into one immediate poll per
+// event, which is the closing one if the closing poll is among them.
+function buildClosingSchedule(events, now, { windowMinutes = 60, intervalMinutes = 10, leadSeconds = 60 } = {}) {
+  const nowMs = now.getTime();
+  const start = slotStart(now, windowMinutes);
+  const end = start + windowMinutes * 60 * 1000;
+  const schedule = [];
+
+  for (const event of events) {
+    const kickoff = new Date(event.commence_time);
+    if (kickoff.getTime() <= nowMs || kickoff.getTime() - FINAL_HOUR_MS >= end) continue;
+
+    const polls = planEventPolls(kickoff, { intervalMinutes, leadSeconds })
+      .filter(poll => poll.at.getTime() >= start && poll.at.getTime() < end);
+    const due = polls.filter(poll => poll.at.getTime() <= nowMs);
+    if (due.length) schedule.push({ event, at: now, closing: due.some(poll => poll.closing) });
+    for (const poll of polls.slice(due.length)) schedule.push({ event, ...poll });
+  }
+  return schedule.sort((a, b) => a.at - b.at);
+}
+
+module.exports = {
+  planEventPolls,
+  buildClosingSchedule
+};
@@ -0,0 +1,210 @@
+const { StringDecoder } = require('string_decoder');
+
+// RFC 4180 CSV parsing: quoted fields, "" escapes, CRLF/LF line endings and
+// newlines embedded in quoted fields. Input is consumed chunk by chunk so the
+// caller never needs the whole file in memory.
+
+const QUOTE = 34; // "
+const COMMA = 44; // ,
+const LF = 10;    // \n
+const CR = 13;    // \r
+
+const MAX_REJECT_SAMPLES = 10;
+
+// Low-level record parser: write(text) returns the records completed by that
+// chunk as { fields, line }, end() flushes the final record
+function createCsvParser() {
+  let field = '';
+  let fields = [];
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside a quoted field at a chunk boundary
+  let crPending = false;    // saw an unquoted CR at a chunk boundary
+  let line = 1;
+  let recordLine = 1;
+
+  function endRecord(records) {
+    fields.push(field);
+    records.push({ fields, line: recordLine });
+    field = '';
+    fields = [];
+    recordLine = line;
+  }
+
+  function write(text) {
+    const records = [];
+    let i = 0;
+    let start = 0;
+    const n = text.length;
+
+    if (n === 0) return records;
+
+    if (quotePending) {
+      quotePending = false;
+      if (text.charCodeAt(0) === QUOTE) {
+        field += '"';
+        i = start = 1;
+      } else {
+        inQuotes = false;
+      }
+    }
+
+    if (crPending) {
+      crPending = false;
+      if (text.charCodeAt(i) === LF) {
+        line++;
+        endRecord(records);
+        i = start = i + 1;
+      } else {
+        field += '\r';
+      }
+    }
+
+    while (i < n) {
+      const c = text.charCodeAt(i);
+
+      if (inQuotes) {
+        if (c === QUOTE) {
+          field += text.slice(start, i);
+          if (i + 1 === n) {
+            quotePending = true;
+            i = start = n;
+          } else if (text.charCodeAt(i + 1) === QUOTE) {
+            field += '"';
+            i = start = i + 2;
+          } else {
+            inQuotes = false;
+            i = start = i + 1;
+          }
+          continue;
+        }
+        if (c === LF) line++;
+        i++;
+        continue;
+      }
+
+      if (c === COMMA) {
+        fields.push(field + text.slice(start, i));
+        field = '';
+        i = start = i + 1;
+      } else if (c === LF) {
+        field += text.slice(start, i);
+        line++;
+        endRecord(records);
+        i = start = i + 1;
+      } else if (c === CR) {
+        field += text.slice(start, i);
+        if (i + 1 === n) {
+          crPending = true;
+        } else if (text.charCodeAt(i + 1) === LF) {
+          line++;
+          endRecord(records);
+          i++;
+        } else {
+          field += '\r';
+        }
+        i = start = i + 1;
+      } else if (c === QUOTE && i === start && field === '') {
+        // Opening quote is only special at the very start of a field
+        inQuotes = true;
+        i = start = i + 1;
+      } else {
+        i++;
+      }
+    }
+
+    field += text.slice(start, n);
+    return records;
+  }
+
+  function end() {
+    const records = [];
+    const unterminated = inQuotes && !quotePending;
+    quotePending = false;
+    crPending = false;
+    inQuotes = false;
+
+    if (unterminated) {
+      records.push({ fields: fields.concat(field), line: recordLine, error: 'unterminated_quote' });
+    } else if (field !== '' || fields.length) {
+      endRecord(records);
+    }
+    field = '';
+    fields = [];
+    return records;
+  }
+
+  return { write, end };
+}
+
+function createRejectStats() {
+  return { total: 0, byReason: {}, samples: [] };
+}
+
+function recordReject(stats, reason, record) {
+  stats.total++;
+  stats.byReason[reason] = (stats.byReason[reason] || 0) + 1;
+  if (stats.samples.length < MAX_REJECT_SAMPLES) {
+    stats.samples.push({
+      line: record.line,
+      reason,
+      fields: record.fields.length,
+      preview: record.fields.slice(0, 3).join(',').slice(0, 120)
+    });
+  }
+}
+
+// Stream a CSV byte stream as row objects keyed by the header record. Empty
+// fields become null. Rows that cannot be mapped onto the headers are counted
+// in `rejects` (total, byReason, samples) instead of being dropped silently.
+// `onHeaders(headers)` is called once the header record has been read.
+async function* readCsvRows(stream, rejects = createRejectStats(), { onHeaders } = {}) {
+  const decoder = new StringDecoder('utf8');
+  const parser = createCsvParser();
+  let headers = null;
+
+  function* emit(records) {
+    for (const record of records) {
+      if (record.error) {
+        recordReject(rejects, record.error, record);
+        continue;
+      }
+
+      // Blank line
+      if (record.fields.length === 1 && record.fields[0].trim() === '') continue;
+
+      if (!headers) {
+        headers = record.fields.map((h, idx) => {
+          const name = idx === 0 ? h.replace(/^\uFEFF/, '') : h;
+          return name.trim();
+        });
+        if (onHeaders) onHeaders(headers);
+        continue;
+      }
+
+      if (record.fields.length !== headers.length) {
+        const reason = record.fields.length < headers.length ? 'too_few_fields' : 'too_many_fields';
+        recordReject(rejects, reason, record);
+        continue;
+      }
+
+      const row = {};
+      for (let k = 0; k < headers.length; k++) {
+        const value = record.fields[k];
+        row[headers[k]] = value === '' ? null : value;
+      }
+      yield row;
+    }
+  }
+
+  for await (const chunk of stream) {
+    yield* emit(parser.write(typeof chunk === 'string' ? chunk : decoder.write(chunk)));
+  }
+  yield* emit(parser.write(decoder.end()));
+  yield* emit(parser.end());
+}
+
+module.exports = {
+  createCsvParser,
+  createRejectStats,
+  readCsvRows
+};
@@ -0,0 +1,133 @@
+// Render Postgres DDL from the table definitions in lib/tables.js. The SQL is
+// idempotent: an empty table is created if needed and every column / index is
+// added with IF NOT EXISTS, so the same file both bootstraps a new environment
+// and brings an older table up to date.
+
+const SQL_TYPES = {
+  text: 'text',
+  numeric: 'numeric',
+  double: 'double precision',
+  integer: 'integer',
+  bigint: 'bigint',
+  boolean: 'boolean',
+  timestamptz: 'timestamp with time zone',
+  date: 'date',
+  jsonb: 'jsonb'
+};
+
+const SCHEMA = 'public';
+
+// Quote identifiers that are Postgres reserved words (nflfastr has `desc`) or
+// not plain snake_case
+const RESERVED = new Set(['desc', 'asc', 'end', 'order', 'user', 'default', 'group', 'limit', 'offset', 'table', 'from', 'to', 'where', 'when', 'case', 'select', 'all', 'only']);
+
+function ident(name) {
+  return /^[a-z_][a-z0-9_]*$/.test(name) && !RESERVED.has(name) ? name : `"${name.replace(/"/g, '""')}"`;
+}
+
+function sqlType(type) {
+  const sql = SQL_TYPES[type];
+  if (!sql) throw new Error(`No SQL type for "${type}"`);
+  return sql;
+}
+
+function conflictIndexName(table) {
+  return `${table.name}_conflict_key`;
+}
+
+function indexName(table, columns) {
+  return `${table.name}_${columns.join('_')}_idx`;
+}
+
+function renderTable(table) {
+  const lines = [];
+  const qualified = `${SCHEMA}.${table.name}`;
+
+  lines.push(`-- ${table.name}: ${table.description}`);
+  lines.push(`CREATE TABLE IF NOT EXISTS ${qualified} ();`);
+  lines.push('');
+  lines.push(`ALTER TABLE ${qualified}`);
+  lines.push(table.columns
+    .map(c => `  ADD COLUMN IF NOT EXISTS ${ident(c.name)} ${sqlType(c.type)}${c.nullable === false ? ' NOT NULL' : ''}`)
+    .join(',\n') + ';');
+  lines.push('');
+
+  if (table.conflictKey) {
+    lines.push(`CREATE UNIQUE INDEX IF NOT EXISTS ${conflictIndexName(table)}`);
+    lines.push(`  ON ${qualified} (${table.conflictKey.map(ident).join(', ')});`);
+  }
+  for (const columns of table.indexes || []) {
+    lines.push(`CREATE INDEX IF NOT EXISTS ${indexName(table, columns)}`);
+    lines.push(`  ON ${qualified} (${columns.map(ident).join(', ')});`);
+  }
+
+  // Views over the table live in the same file so migration numbers only
+  // depend on the table list
+  for (const view of table.views || []) {
+    lines.push('');
+    lines.push(`-- ${view.name}: ${view.description}`);
+    lines.push(`CREATE OR REPLACE VIEW ${SCHEMA}.${view.name} AS`);
+    lines.push(`${view.sql.trim()};`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Introspection function used by the live schema check (lib/schema-check.js).
+// PostgREST can't read information_schema directly, so we expose it via RPC.
+function renderIntrospection() {
+  return `-- Schema introspection for the updaters' pre-write check
+CREATE OR REPLACE FUNCTION ${SCHEMA}.updater_table_schema(p_table text)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = ${SCHEMA}
+AS $$
+  SELECT jsonb_build_object(
+    'exists', EXISTS (
+      SELECT 1 FROM information_schema.tables
+      WHERE table_schema = '${SCHEMA}' AND table_name = p_table
+    ),
+    'columns', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'name', column_name,
+        'type', data_type,
+        'nullable', is_nullable = 'YES'
+      ) ORDER BY ordinal_position)
+      FROM information_schema.columns
+      WHERE table_schema = '${SCHEMA}' AND table_name = p_table
+    ), '[]'::jsonb),
+    'indexes', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('name', indexname, 'definition', indexdef))
+      FROM pg_indexes
+      WHERE schemaname = '${SCHEMA}' AND tablename = p_table
+    ), '[]'::jsonb)
+  );
+$$;
+
+REVOKE ALL ON FUNCTION ${SCHEMA}.updater_table_schema(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION ${SCHEMA}.updater_table_schema(text) TO service_role;
+`;
+}
+
+const GENERATED_HEADER = '-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.\n\n';
+
+// Migration files in apply order: introspection first, then one per table
+function renderMigrations(tables) {
+  const pad = (n) => String(n).padStart(3, '0');
+  return [
+    { file: `${pad(0)}_updater_table_schema.sql`, sql: GENERATED_HEADER + renderIntrospection() },
+    ...tables.map((table, i) => ({ file: `${pad(i + 1)}_${table.name}.sql`, sql: GENERATED_HEADER + renderTable(table) }))
+  ];
+}
+
+module.exports = {
+  SQL_TYPES,
+  sqlType,
+  conflictIndexName,
+  indexName,
+  renderTable,
+  renderIntrospection,
+  renderMigrations
+};
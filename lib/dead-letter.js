@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const { getTable } = require('./tables');
+const { upsertWithRetry } = require('./upsert-retry');
+
+// Dead-letter store for rows an upsert still rejected after retries and
+// bisection (lib/upsert-retry.js), so they aren't lost until the next cron.
+// `--replay-failed` writes them again. DEAD_LETTER picks the store - a local
+// file (default) or the nfl_dead_letter table - and both have the same methods:
+//   add(failures, source)   record [{ table, row, error }]
+//   list(tables)            pending entries for these tables
+//   remove(ids)             drop entries that have been written
+//   clear(table, rows)      drop the entries of rows a sync has since written
+// Entries are keyed by table and conflict key, so a row that keeps failing
+// has one entry with a growing `attempts`. Syncs clear the entries of rows
+// they write, so a later replay can't put a stale row back over a newer one.
+
+const DEAD_LETTER_TABLE = 'nfl_dead_letter';
+const DEFAULT_DEAD_LETTER_FILE = '.data/dead-letter.json';
+const PAGE_SIZE = 1000;
+const WRITE_BATCH_SIZE = 500;
+
+function deadLetterId(table, row) {
+  return `${table}:${JSON.stringify(getTable(table).conflictKey.map(column => row[column] ?? null))}`;
+}
+
+function toEntries(failures, source, previous, now = new Date().toISOString()) {
+  const entries = new Map();
+  for (const { table, row, error } of failures) {
+    const id = deadLetterId(table, row);
+    entries.set(id, {
+      id,
+      table_name: table,
+      row_data: row,
+      error,
+      source,
+      attempts: (previous(id)?.attempts || 0) + 1,
+      failed_at: now
+    });
+  }
+  return [...entries.values()];
+}
+
+// Local JSON file: { entries: { <id>: entry } }
+function createFileDeadLetters(file) {
+  let entries = {};
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8')).entries || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Unreadable dead-letter file ${file}: ${error.message}`);
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ updatedAt: new Date().toISOString(), entries }));
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    description: `file ${file}`,
+    async add(failures, source) {
+      if (!failures.length) return;
+      for (const entry of toEntries(failures, source, id => entries[id])) entries[entry.id] = entry;
+      save();
+    },
+    async list(tables) {
+      return Object.values(entries).filter(entry => tables.includes(entry.table_name));
+    },
+    async remove(ids) {
+      if (!ids.length) return;
+      for (const id of ids) delete entries[id];
+      save();
+    },
+    async clear(table, rows) {
+      await this.remove(rows.map(row => deadLetterId(table, row)).filter(id => entries[id]));
+    }
+  };
+}
+
+// nfl_dead_letter table
+function createTableDeadLetters(storage) {
+  // table → ids with an entry, for clear()
+  const pendingIds = new Map();
+
+  async function select(where, columns) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await storage.select(DEAD_LETTER_TABLE, {
+        columns,
+        where,
+        order: ['id'],
+        range: [from, from + PAGE_SIZE - 1]
+      });
+      if (error) throw new Error(`Dead-letter load failed: ${error.message}`);
+      rows.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  return {
+    description: `table ${DEAD_LETTER_TABLE}`,
+    async add(failures, source) {
+      if (!failures.length) return;
+      const ids = [...new Set(failures.map(({ table, row }) => deadLetterId(table, row)))];
+      const known = new Map();
+      for (let i = 0; i < ids.length; i += WRITE_BATCH_SIZE) {
+        for (const entry of await select({ id: { in: ids.slice(i, i + WRITE_BATCH_SIZE) } })) known.set(entry.id, entry);
+      }
+      const entries = toEntries(failures, source, id => known.get(id));
+      for (const entry of entries) pendingIds.get(entry.table_name)?.add(entry.id);
+      for (let i = 0; i < entries.length; i += WRITE_BATCH_SIZE) {
+        const { error } = await storage.upsert(DEAD_LETTER_TABLE, entries.slice(i, i + WRITE_BATCH_SIZE));
+        if (error) throw new Error(`Dead-letter save failed: ${error.message}`);
+      }
+    },
+    list: (tables) => select({ table_name: { in: tables } }),
+    async remove(ids) {
+      for (let i = 0; i < ids.length; i += WRITE_BATCH_SIZE) {
+        const { error } = await storage.delete(DEAD_LETTER_TABLE, { where: { id: { in: ids.slice(i, i + WRITE_BATCH_SIZE) } } });
+        if (error) throw new Error(`Dead-letter cleanup failed: ${error.message}`);
+      }
+      for (const id of ids) for (const pending of pendingIds.values()) pending.delete(id);
+    },
+    // Ids are loaded once per table, so syncs don't query the store per batch
+    async clear(table, rows) {
+      if (!pendingIds.has(table)) {
+        pendingIds.set(table, new Set((await select({ table_name: table }, ['id'])).map(entry => entry.id)));
+      }
+      const pending = pendingIds.get(table);
+      await this.remove(rows.map(row => deadLetterId(table, row)).filter(id => pending.has(id)));
+    }
+  };
+}
+
+// Store named by DEAD_LETTER (file | table); throws on anything else
+function openDeadLetters(storage, env = process.env) {
+  const store = env.DEAD_LETTER || 'file';
+  if (store === 'table') return createTableDeadLetters(storage);
+  if (store === 'file') return createFileDeadLetters(env.DEAD_LETTER_FILE || DEFAULT_DEAD_LETTER_FILE);
+  throw new Error(`DEAD_LETTER must be "file" or "table" (got "${store}")`);
+}
+
+// Write every pending entry for `tables` again (same retries and bisection as
+// a sync). Written entries are removed; the rest stay with the new error.
+// Resolves to { pending, written: [{ table, row }], failed }.
+async function replayDeadLetters(storage, store, tables, { source, batchSize = 100, retryOptions } = {}) {
+  const entries = await store.list(tables);
+  const result = { pending: entries.length, written: [], failed: 0 };
+
+  for (const table of tables) {
+    const rows = entries.filter(entry => entry.table_name === table);
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      const outcome = await upsertWithRetry(storage, table, batch.map(entry => entry.row_data), retryOptions);
+      await store.remove(outcome.written.map(row => deadLetterId(table, row)));
+      await store.add(outcome.failed.map(({ row, error }) => ({ table, row, error })), source);
+      result.written.push(...outcome.written.map(row => ({ table, row })));
+      result.failed += outcome.failed.length;
+      console.log(`  ${outcome.failed.length ? '⚠️' : '✅'} ${table}: ${outcome.written.length} replayed, ${outcome.failed.length} still failing`);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  DEAD_LETTER_TABLE,
+  openDeadLetters,
+  replayDeadLetters
+};
@@ -0,0 +1,126 @@
+// Drive summaries from nflfastR play-by-play rows as stored in nflfastr_pbp.
+// Pure functions, no database access; index.js materializes them into
+// drive_summary with --aggregates.
+//
+// Drives are keyed by `fixed_drive` (nflfastR's corrected numbering; the raw
+// `drive` is kept alongside). nflverse's drive_* columns are repeated on every
+// play of a drive and are taken from the first play that has them. Yardlines
+// are distance from the opponent's end zone (yardline_100): the start is the
+// first scrimmage snap, the end is where the last snap finished, so a
+// touchdown drive ends at 0.
+
+const { toNumber, flag, amount, round } = require('./play-values');
+
+const DRIVE_SUMMARY_TABLE = 'drive_summary';
+
+// nflfastr_pbp columns the summary reads
+const DRIVE_PLAY_COLUMNS = [
+  'play_id',
+  'game_id',
+  'season',
+  'week',
+  'posteam',
+  'defteam',
+  'play_type',
+  'two_point_attempt',
+  'yardline_100',
+  'yards_gained',
+  'epa',
+  'drive',
+  'fixed_drive',
+  'fixed_drive_result',
+  'drive_play_count',
+  'drive_time_of_possession',
+  'drive_first_downs',
+  'drive_inside20',
+  'drive_ended_with_score',
+  'drive_quarter_start',
+  'drive_quarter_end',
+  'drive_yards_penalized',
+  'drive_start_transition',
+  'drive_end_transition',
+  'drive_start_yard_line',
+  'drive_end_yard_line'
+];
+
+// Plays that belong to a drive but aren't snaps from its line of scrimmage
+const NON_SCRIMMAGE = new Set(['kickoff', 'extra_point']);
+
+function flagOrNull(value) {
+  return value === null ? null : flag(value);
+}
+
+function isSnap(play) {
+  return !NON_SCRIMMAGE.has(play.play_type) && !flag(play.two_point_attempt) && toNumber(play.yardline_100) !== null;
+}
+
+// Drive summaries in game / drive order
+function summarizeDrives(plays) {
+  const drives = new Map();
+
+  for (const play of plays) {
+    const number = toNumber(play.fixed_drive);
+    if (!play.game_id || number === null) continue;
+    const key = `${play.game_id}|${number}`;
+    if (!drives.has(key)) drives.set(key, { game_id: play.game_id, fixed_drive: number, plays: [] });
+    drives.get(key).plays.push(play);
+  }
+
+  return [...drives.values()]
+    .map(({ game_id, fixed_drive, plays: drivePlays }) => summarizeDrive(game_id, fixed_drive, drivePlays))
+    .sort((a, b) => a.game_id.localeCompare(b.game_id) || a.fixed_drive - b.fixed_drive);
+}
+
+function summarizeDrive(gameId, fixedDrive, plays) {
+  plays.sort((a, b) => toNumber(a.play_id) - toNumber(b.play_id));
+  const first = (column) => {
+    const play = plays.find(p => p[column] !== null && p[column] !== undefined && p[column] !== '');
+    return play ? play[column] : null;
+  };
+  const snaps = plays.filter(isSnap);
+  const lastSnap = snaps[snaps.length - 1];
+
+  return {
+    game_id: gameId,
+    fixed_drive: fixedDrive,
+    drive: toNumber(first('drive')),
+    season: toNumber(first('season')),
+    week: toNumber(first('week')),
+    posteam: (snaps[0] || plays[0]).posteam || first('posteam'),
+    defteam: (snaps[0] || plays[0]).defteam || first('defteam'),
+    result: first('fixed_drive_result'),
+    start_transition: first('drive_start_transition'),
+    end_transition: first('drive_end_transition'),
+    quarter_start: toNumber(first('drive_quarter_start')),
+    quarter_end: toNumber(first('drive_quarter_end')),
+    start_yard_line: first('drive_start_yard_line'),
+    end_yard_line: first('drive_end_yard_line'),
+    start_yardline_100: snaps.length ? toNumber(snaps[0].yardline_100) : null,
+    end_yardline_100: lastSnap
+      ? Math.min(100, Math.max(0, toNumber(lastSnap.yardline_100) - amount(lastSnap.yards_gained)))
+      : null,
+    plays: toNumber(first('drive_play_count')),
+    snaps: snaps.length,
+    yards: snaps.reduce((sum, play) => sum + (play.play_type === 'no_play' ? 0 : amount(play.yards_gained)), 0),
+    first_downs: toNumber(first('drive_first_downs')),
+    yards_penalized: toNumber(first('drive_yards_penalized')),
+    time_of_possession: first('drive_time_of_possession'),
+    inside_20: flagOrNull(first('drive_inside20')),
+    scored: flagOrNull(first('drive_ended_with_score')),
+    epa: round(snaps.reduce((sum, play) => sum + amount(play.epa), 0)),
+    first_play_id: toNumber(plays[0].play_id),
+    last_play_id: toNumber(plays[plays.length - 1].play_id)
+  };
+}
+
+// Row for DRIVE_SUMMARY_TABLE
+function toDriveRow(drive, now = new Date().toISOString()) {
+  return { ...drive, updated_at: now };
+}
+
+module.exports = {
+  DRIVE_SUMMARY_TABLE,
+  DRIVE_PLAY_COLUMNS,
+  summarizeDrives,
+  toDriveRow
+};
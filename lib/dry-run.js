@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { getArgValue } = require('./args');
+const { getTable } = require('./tables');
+const { columnType } = require('./storage-query');
+
+// Dry runs (--dry-run): instead of writing, each batch an updater would upsert
+// is compared with the rows already stored under the same conflict keys and
+// classified as an insert, an update (with the columns that would change) or
+// unchanged. The run ends with a per-game / per-event summary on the console
+// and a JSON report on disk:
+//
+//   { script, storage, generatedAt, totals,
+//     tables: { <table>: { key, totals, groups, inserts, updates, unchanged } } }
+//
+// inserts / unchanged list keys; updates list the key and { column: { from, to } }.
+// Columns every write stamps with the run time are not compared.
+
+const DEFAULT_REPORT_DIR = '.data/dry-run';
+const IGNORED_COLUMNS = ['updated_at', 'synced_at', 'captured_at', 'graded_at'];
+// Rows looked up per query; each key column becomes an IN list
+const KEY_CHUNK_SIZE = 100;
+const PAGE_SIZE = 1000;
+// Most-changed columns listed per group in the console summary
+const SUMMARY_COLUMNS = 5;
+
+const NUMERIC_TYPES = new Set(['numeric', 'double', 'integer', 'bigint']);
+const TIME_TYPES = new Set(['timestamptz', 'date']);
+
+function isBlank(value) {
+  return value === null || value === undefined;
+}
+
+// Stored and new values compared by column type: the backends hand numerics,
+// timestamps and booleans back in their own formats
+function sameValue(a, b, type) {
+  if (isBlank(a) || isBlank(b)) return isBlank(a) && isBlank(b);
+  if (NUMERIC_TYPES.has(type)) return Number(a) === Number(b);
+  if (TIME_TYPES.has(type)) return Date.parse(a) === Date.parse(b);
+  if (type === 'boolean') return Boolean(a) === Boolean(b);
+  if (type === 'jsonb' || typeof a === 'object' || typeof b === 'object') return stableJson(parseJson(a)) === stableJson(parseJson(b));
+  return String(a) === String(b);
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// JSON with object keys sorted, so key order doesn't count as a change
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// { column: { from, to } } for the columns `row` would change
+function diffRow(table, row, current) {
+  const changes = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (IGNORED_COLUMNS.includes(column)) continue;
+    const stored = current[column];
+    if (!sameValue(stored, value, columnType(table, column))) {
+      changes[column] = { from: stored ?? null, to: value ?? null };
+    }
+  }
+  return changes;
+}
+
+// Lookup key for a row; numeric key columns may come back as numbers or strings
+function keyOf(table, row, key) {
+  return JSON.stringify(key.map(column => {
+    const value = row[column];
+    if (isBlank(value)) return null;
+    return NUMERIC_TYPES.has(columnType(table, column)) ? Number(value) : String(value);
+  }));
+}
+
+function keyObject(row, key) {
+  return Object.fromEntries(key.map(column => [column, row[column] ?? null]));
+}
+
+// Stored rows for the keys of `rows`, by keyOf
+async function loadCurrentRows(storage, table, key, rows) {
+  const current = new Map();
+  for (let i = 0; i < rows.length; i += KEY_CHUNK_SIZE) {
+    const chunk = rows.slice(i, i + KEY_CHUNK_SIZE);
+    // The IN lists select a superset of the keys; exact matches are picked below
+    const where = Object.fromEntries(key.map(column => [column, { in: [...new Set(chunk.map(row => row[column]))] }]));
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await storage.select(table, { where, order: key, range: [from, from + PAGE_SIZE - 1] });
+      if (error) throw new Error(`${table} lookup failed: ${error.message}`);
+      for (const row of data) current.set(keyOf(table, row, key), row);
+      if (data.length < PAGE_SIZE) break;
+    }
+  }
+  return current;
+}
+
+function emptyCounts() {
+  return { insert: 0, update: 0, unchanged: 0 };
+}
+
+function defaultReportFile(script, now) {
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  return path.join(process.env.DRY_RUN_DIR || DEFAULT_REPORT_DIR, `${script}-${stamp}.json`);
+}
+
+// `script` names the report; --report <file> overrides where it is written
+function createDryRun(storage, { script, argv = process.argv, now = new Date() }) {
+  const file = getArgValue(argv, 'report') || defaultReportFile(script, now);
+  const tables = new Map();
+
+  function tableReport(table) {
+    if (!tables.has(table)) {
+      tables.set(table, {
+        key: getTable(table).conflictKey,
+        totals: emptyCounts(),
+        groups: {},
+        inserts: [],
+        updates: [],
+        unchanged: []
+      });
+    }
+    return tables.get(table);
+  }
+
+  return {
+    file,
+
+    // Classify the rows an upsert into `table` would write; `groupOf(row)`
+    // names the game or event a row is summarized under
+    async compare(table, rows, groupOf) {
+      const report = tableReport(table);
+      const current = await loadCurrentRows(storage, table, report.key, rows);
+      const counts = emptyCounts();
+
+      for (const row of rows) {
+        const group = groupOf(row);
+        const summary = report.groups[group] || (report.groups[group] = { ...emptyCounts(), columns: {} });
+        const key = keyObject(row, report.key);
+        const stored = current.get(keyOf(table, row, report.key));
+        let kind;
+        if (!stored) {
+          kind = 'insert';
+          report.inserts.push({ group, key });
+        } else {
+          const changes = diffRow(table, row, stored);
+          const columns = Object.keys(changes);
+          if (columns.length) {
+            kind = 'update';
+            report.updates.push({ group, key, changes });
+            for (const column of columns) summary.columns[column] = (summary.columns[column] || 0) + 1;
+          } else {
+            kind = 'unchanged';
+            report.unchanged.push({ group, key });
+          }
+        }
+        summary[kind]++;
+        report.totals[kind]++;
+        counts[kind]++;
+      }
+      return counts;
+    },
+
+    totals() {
+      const totals = emptyCounts();
+      for (const report of tables.values()) {
+        for (const kind of Object.keys(totals)) totals[kind] += report.totals[kind];
+      }
+      return totals;
+    },
+
+    // Console summary: one line per game / event and table
+    print() {
+      if (!tables.size) {
+        console.log('\n🔎 Dry run: nothing would be written');
+        return;
+      }
+      for (const [table, report] of tables) {
+        const { insert, update, unchanged } = report.totals;
+        console.log(`\n🔎 Dry run ${table}: ${insert} new, ${update} changed, ${unchanged} unchanged`);
+        for (const [group, summary] of Object.entries(report.groups).sort(([a], [b]) => a.localeCompare(b))) {
+          const columns = Object.entries(summary.columns)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, SUMMARY_COLUMNS)
+            .map(([column, count]) => `${column} ×${count}`);
+          console.log(`   ${group}: ${summary.insert} new, ${summary.update} changed, ${summary.unchanged} unchanged${columns.length ? ` (${columns.join(', ')})` : ''}`);
+        }
+      }
+    },
+
+    // Write the JSON report; returns { file, totals } for the result JSON
+    save() {
+      const report = {
+        script,
+        storage: storage.description,
+        generatedAt: new Date().toISOString(),
+        ignoredColumns: IGNORED_COLUMNS,
+        totals: this.totals(),
+        tables: Object.fromEntries(tables)
+      };
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(report, null, 2)}\n`);
+      console.log(`📝 Dry-run report: ${file}`);
+      return { file, totals: report.totals };
+    }
+  };
+}
+
+module.exports = {
+  createDryRun
+};
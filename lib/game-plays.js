@@ -0,0 +1,33 @@
+// Read stored play-by-play (nflfastr_pbp) back for whole games, used by the
+// post-sync aggregates in index.js and by grade-props.js. Games are queried a
+// few at a time and each query is paged, so a season's worth of game IDs is
+// fine.
+
+const PBP_TABLE = 'nflfastr_pbp';
+const PAGE_SIZE = 1000;
+const GAME_CHUNK_SIZE = 20;
+
+// Plays of `gameIds` in game / play order, only `columns`
+async function loadGamePlays(storage, gameIds, columns) {
+  const plays = [];
+  for (let i = 0; i < gameIds.length; i += GAME_CHUNK_SIZE) {
+    const chunk = gameIds.slice(i, i + GAME_CHUNK_SIZE);
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await storage.select(PBP_TABLE, {
+        columns,
+        where: { game_id: { in: chunk } },
+        order: ['game_id', 'play_id'],
+        range: [from, from + PAGE_SIZE - 1]
+      });
+      if (error) throw new Error(`${PBP_TABLE} load failed: ${error.message}`);
+      plays.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+  }
+  return plays;
+}
+
+module.exports = {
+  GAME_CHUNK_SIZE,
+  loadGamePlays
+};
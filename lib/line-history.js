@@ -0,0 +1,100 @@
+// Odds line-movement history. The current-odds tables are overwritten on every
+// run; nfl_odds_line_snapshots keeps a row each time a line's price (or, for
+// main lines, its point) changes, stamped with the bookmaker's last_update.
+// Opening / current / closing / movers views over it are defined in
+// lib/tables.js.
+//
+// A closing capture (nfl-odds-alternate.js --closing) snapshots every line
+// just before kickoff with `is_closing` set, whether or not it moved.
+
+const SNAPSHOT_TABLE = 'nfl_odds_line_snapshots';
+const PAGE_SIZE = 1000;
+const SNAPSHOT_UPSERT_BATCH_SIZE = 500;
+
+// Snapshot row for a current-odds record (player prop or game line)
+function toSnapshot(record, marketGroup, capturedAt = new Date().toISOString(), isClosing = false) {
+  return {
+    line_id: record.id,
+    event_id: record.event_id,
+    game_id: record.game_id ?? null,
+    commence_time: record.commence_time,
+    season_year: record.season_year,
+    market_group: marketGroup,
+    bookmaker_key: record.bookmaker_key,
+    market_key: record.market_key,
+    prop_type: record.prop_type ?? record.line_type ?? null,
+    player_name: record.player_name ?? null,
+    player_id: record.player_id ?? null,
+    outcome_name: record.outcome_name,
+    line_value: record.line_value ?? null,
+    decimal_price: record.decimal_price ?? null,
+    american_price: record.american_price ?? null,
+    fair_probability: record.fair_probability ?? null,
+    bookmaker_last_update: record.bookmaker_last_update || capturedAt,
+    captured_at: capturedAt,
+    is_closing: isClosing
+  };
+}
+
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return (a ?? null) === (b ?? null);
+  return Number(a) === Number(b);
+}
+
+// Tracks the latest snapshot per line_id, loaded one event at a time
+function createLineHistory(storage) {
+  const latest = new Map();
+  const loadedEvents = new Set();
+
+  // Load the most recent snapshot of every line for an event
+  async function prime(eventId) {
+    if (loadedEvents.has(eventId)) return;
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await storage.select(SNAPSHOT_TABLE, {
+        columns: ['line_id', 'line_value', 'decimal_price', 'bookmaker_last_update'],
+        where: { event_id: eventId },
+        order: ['bookmaker_last_update'],
+        range: [from, from + PAGE_SIZE - 1]
+      });
+      if (error) throw new Error(`Line history load failed: ${error.message}`);
+      // Ascending order, so the last row seen per line is the latest
+      for (const row of data) latest.set(row.line_id, row);
+      if (data.length < PAGE_SIZE) break;
+    }
+    loadedEvents.add(eventId);
+  }
+
+  // Snapshots for the records whose price or line differs from the latest
+  // one; every record when `closing`
+  function changes(records, marketGroup, { closing = false } = {}) {
+    const capturedAt = new Date().toISOString();
+    const snapshots = [];
+    for (const record of records) {
+      const previous = latest.get(record.id);
+      if (!closing && previous &&
+          sameValue(previous.decimal_price, record.decimal_price) &&
+          sameValue(previous.line_value, record.line_value)) continue;
+      snapshots.push(toSnapshot(record, marketGroup, capturedAt, closing));
+    }
+    return snapshots;
+  }
+
+  // Append snapshots; a repeat of the same bookmaker update is ignored, except
+  // that a closing capture flags the existing row instead
+  async function append(snapshots, { closing = false } = {}) {
+    for (let i = 0; i < snapshots.length; i += SNAPSHOT_UPSERT_BATCH_SIZE) {
+      const batch = snapshots.slice(i, i + SNAPSHOT_UPSERT_BATCH_SIZE);
+      const { error } = await storage.upsert(SNAPSHOT_TABLE, batch, { ignoreDuplicates: !closing });
+      if (error) throw new Error(`Line history save failed: ${error.message}`);
+    }
+    for (const snapshot of snapshots) latest.set(snapshot.line_id, snapshot);
+  }
+
+  return { prime, changes, append };
+}
+
+module.exports = {
+  SNAPSHOT_TABLE,
+  toSnapshot,
+  createLineHistory
+};
@@ -0,0 +1,222 @@
+// Cross-book analysis of one event's odds records (after lib/odds-math.js
+// pricing). Pure functions; nfl-odds-alternate.js writes the results.
+//
+//   best prices   best decimal price per selection (player / prop / line / side) across books
+//   arbitrage     a selection and its opposite side whose best prices imply < 100% combined
+//   middles       an over at a lower line and an under at a higher line from different
+//                 books, cheap enough to hold both (combined implied <= 1 + maxOverround)
+
+const { decimalToAmerican, impliedProbability } = require('./odds-math');
+
+const BEST_PRICES_TABLE = 'nfl_odds_best_prices';
+const OPPORTUNITIES_TABLE = 'nfl_odds_opportunities';
+const DEFAULT_MIDDLE_MAX_OVERROUND = 0.05;
+
+const OPPOSITE_SIDES = { over: 'under', yes: 'no', home: 'away' };
+const SIDES = new Set([...Object.keys(OPPOSITE_SIDES), ...Object.values(OPPOSITE_SIDES)]);
+
+function lineKey(value) {
+  return value === null || value === undefined ? '' : String(Number(value));
+}
+
+function selectionKey(record, line = record.line_value, side = record.bet_type) {
+  return [record.event_id, record.market_key, record.player_name ?? '', lineKey(line), side].join('|');
+}
+
+function sanitizeId(s) {
+  return String(s).replace(/[\s|]+/g, '_').replace(/[^a-zA-Z0-9_.\-]/g, '');
+}
+
+function round(value, digits = 6) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Best price per selection across books: Map(selectionKey → best)
+function findBestPrices(records) {
+  const best = new Map();
+  for (const record of records) {
+    if (!Number.isFinite(record.decimal_price) || !SIDES.has(record.bet_type)) continue;
+    const key = selectionKey(record);
+    let entry = best.get(key);
+    if (!entry) {
+      entry = { key, record, books: new Set(), prices: [] };
+      best.set(key, entry);
+    }
+    entry.books.add(record.bookmaker_key);
+    entry.prices.push(record.decimal_price);
+    if (record.decimal_price > entry.record.decimal_price) entry.record = record;
+  }
+
+  for (const entry of best.values()) {
+    const sorted = [...entry.prices].sort((a, b) => b - a);
+    entry.secondBest = sorted.length > 1 ? sorted[1] : null;
+  }
+  return best;
+}
+
+// The opposite selection's key: same line for over/under and yes/no, the
+// negated line for spreads (home -3.5 vs away +3.5)
+function oppositeKey(record) {
+  const side = OPPOSITE_SIDES[record.bet_type];
+  if (!side) return null;
+  const line = record.market_key === 'spreads' && record.line_value !== null ? -record.line_value : record.line_value;
+  return selectionKey(record, line, side);
+}
+
+function describeLeg(record) {
+  return {
+    side: record.bet_type,
+    outcome: record.outcome_name,
+    line: record.line_value ?? null,
+    bookmaker: record.bookmaker_key,
+    price: record.decimal_price,
+    american: decimalToAmerican(record.decimal_price)
+  };
+}
+
+// Arbitrage between a selection's best price and its opposite side's
+function findArbitrage(bestPrices) {
+  const opportunities = [];
+  for (const entry of bestPrices.values()) {
+    const key = oppositeKey(entry.record);
+    const opposite = key && bestPrices.get(key);
+    if (!opposite) continue;
+
+    const a = entry.record;
+    const b = opposite.record;
+    const combined = 1 / a.decimal_price + 1 / b.decimal_price;
+    if (combined >= 1) continue;
+
+    opportunities.push({
+      type: 'arbitrage',
+      a,
+      b,
+      combined: round(combined),
+      edge: round(1 - combined),
+      // Stake split that pays the same whichever side wins
+      stakeA: round((1 / a.decimal_price) / combined, 4),
+      stakeB: round((1 / b.decimal_price) / combined, 4)
+    });
+  }
+  return opportunities.sort((x, y) => y.edge - x.edge);
+}
+
+// Over at line L1 and under at L2 > L1 from different books: both win when the
+// result lands between the lines
+function findMiddles(bestPrices, { maxOverround = DEFAULT_MIDDLE_MAX_OVERROUND } = {}) {
+  const byProp = new Map();
+  for (const entry of bestPrices.values()) {
+    const r = entry.record;
+    if ((r.bet_type !== 'over' && r.bet_type !== 'under') || r.line_value === null || r.line_value === undefined) continue;
+    const key = [r.event_id, r.market_key, r.player_name ?? ''].join('|');
+    if (!byProp.has(key)) byProp.set(key, { over: [], under: [] });
+    byProp.get(key)[r.bet_type].push(r);
+  }
+
+  const middles = [];
+  for (const { over, under } of byProp.values()) {
+    for (const a of over) {
+      for (const b of under) {
+        if (Number(b.line_value) <= Number(a.line_value) || a.bookmaker_key === b.bookmaker_key) continue;
+        const combined = 1 / a.decimal_price + 1 / b.decimal_price;
+        if (combined > 1 + maxOverround) continue;
+        middles.push({
+          type: 'middle',
+          a,
+          b,
+          combined: round(combined),
+          edge: round(1 - combined),
+          width: round(Number(b.line_value) - Number(a.line_value), 4)
+        });
+      }
+    }
+  }
+  return middles.sort((x, y) => y.width - x.width || y.edge - x.edge);
+}
+
+// Rows for BEST_PRICES_TABLE
+function toBestPriceRows(bestPrices, now = new Date().toISOString()) {
+  return [...bestPrices.values()].map(({ record: r, books, secondBest }) => ({
+    selection_id: sanitizeId(selectionKey(r)),
+    event_id: r.event_id,
+    commence_time: r.commence_time,
+    market_key: r.market_key,
+    prop_type: r.prop_type ?? r.line_type ?? null,
+    player_name: r.player_name ?? null,
+    line_value: r.line_value ?? null,
+    bet_type: r.bet_type,
+    outcome_name: r.outcome_name,
+    best_bookmaker: r.bookmaker_key,
+    best_decimal_price: r.decimal_price,
+    best_american_price: decimalToAmerican(r.decimal_price),
+    best_implied_probability: impliedProbability(r.decimal_price),
+    second_best_price: secondBest,
+    books_quoted: books.size,
+    updated_at: now
+  }));
+}
+
+// Rows for OPPORTUNITIES_TABLE
+function toOpportunityRows(opportunities, now = new Date().toISOString()) {
+  return opportunities.map(o => ({
+    id: sanitizeId([o.type, selectionKey(o.a), o.a.bookmaker_key, lineKey(o.b.line_value), o.b.bet_type, o.b.bookmaker_key].join('|')),
+    event_id: o.a.event_id,
+    commence_time: o.a.commence_time,
+    opportunity_type: o.type,
+    market_key: o.a.market_key,
+    prop_type: o.a.prop_type ?? o.a.line_type ?? null,
+    player_name: o.a.player_name ?? null,
+    side_a: o.a.bet_type,
+    line_a: o.a.line_value ?? null,
+    bookmaker_a: o.a.bookmaker_key,
+    price_a: o.a.decimal_price,
+    side_b: o.b.bet_type,
+    line_b: o.b.line_value ?? null,
+    bookmaker_b: o.b.bookmaker_key,
+    price_b: o.b.decimal_price,
+    combined_implied_probability: o.combined,
+    edge: o.edge,
+    middle_width: o.width ?? null,
+    stake_a: o.stakeA ?? null,
+    stake_b: o.stakeB ?? null,
+    detected_at: now
+  }));
+}
+
+// Compact form for the run's result JSON
+function summarizeOpportunity(o) {
+  return {
+    type: o.type,
+    event_id: o.a.event_id,
+    market: o.a.market_key,
+    player: o.a.player_name ?? null,
+    legs: [describeLeg(o.a), describeLeg(o.b)],
+    combined: o.combined,
+    edge: o.edge,
+    ...(o.width !== undefined ? { width: o.width } : { stakes: [o.stakeA, o.stakeB] })
+  };
+}
+
+// Everything for one event's records
+function analyzeOdds(records, options = {}) {
+  const bestPrices = findBestPrices(records);
+  return {
+    bestPrices,
+    arbitrage: findArbitrage(bestPrices),
+    middles: findMiddles(bestPrices, options)
+  };
+}
+
+module.exports = {
+  BEST_PRICES_TABLE,
+  OPPORTUNITIES_TABLE,
+  DEFAULT_MIDDLE_MAX_OVERROUND,
+  findBestPrices,
+  findArbitrage,
+  findMiddles,
+  analyzeOdds,
+  toBestPriceRows,
+  toOpportunityRows,
+  summarizeOpportunity
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const { getArgValue } = require('./args');
+const { MARKET_GROUPS, DEFAULT_MARKET_GROUPS } = require('./odds-markets');
+const { DEFAULT_MAX_MARKETS_PER_REQUEST } = require('./odds-requests');
+
+// Settings for nfl-odds-alternate.js. Precedence, lowest first:
+//   defaults < config file (odds.config.json, or ODDS_CONFIG / --config)
+//   < environment variables < command-line flags
+// Every value is validated at startup so a typo in a bookmaker or market key
+// fails the run immediately instead of silently returning no lines.
+
+const DEFAULT_CONFIG_FILE = 'odds.config.json';
+
+// The Odds API bookmaker keys by region (https://the-odds-api.com/sports-odds-data/bookmaker-apis.html).
+// Add new books here when the API adds them.
+const BOOKMAKERS_BY_REGION = {
+  us: ['betonlineag', 'betmgm', 'betrivers', 'betus', 'bovada', 'williamhill_us', 'draftkings', 'fanatics', 'fanduel', 'lowvig', 'mybookieag'],
+  us2: ['ballybet', 'betanysports', 'betparx', 'espnbet', 'fliff', 'hardrockbet', 'windcreek'],
+  us_dfs: ['betr_us_dfs', 'pick6', 'prizepicks', 'underdog'],
+  us_ex: ['betopenly', 'kalshi', 'novig', 'prophetx'],
+  uk: ['betfair_ex_uk', 'betfair_sb_uk', 'betvictor', 'betway', 'boylesports', 'casumo', 'coral', 'grosvenor', 'ladbrokes_uk', 'leovegas', 'livescorebet', 'matchbook', 'paddypower', 'skybet', 'smarkets', 'unibet_uk', 'virginbet', 'williamhill'],
+  eu: ['onexbet', 'sport888', 'betclic_fr', 'betfair_ex_eu', 'betsson', 'coolbet', 'everygame', 'gtbets', 'marathonbet', 'nordicbet', 'pinnacle', 'suprabets', 'tipico_de', 'unibet_fr', 'unibet_it', 'unibet_nl', 'unibet_se', 'winamax_de', 'winamax_fr'],
+  au: ['betfair_ex_au', 'betr_au', 'betright', 'bet365_au', 'boombet', 'dabble_au', 'ladbrokes_au', 'neds', 'playup', 'pointsbetau', 'sportsbet', 'tab', 'tabtouch', 'unibet']
+};
+
+const BOOKMAKER_KEYS = [...new Set(Object.values(BOOKMAKERS_BY_REGION).flat())];
+const MARKET_KEYS = Object.values(MARKET_GROUPS).flatMap(group => group.markets);
+
+// name → { type, env, flag, default, allowed | min }
+const FIELDS = {
+  bookmakers: { type: 'list', env: 'ODDS_BOOKMAKERS', flag: 'bookmakers', default: ['draftkings', 'fanduel'], allowed: BOOKMAKER_KEYS },
+  regions: { type: 'list', env: 'ODDS_REGIONS', flag: 'regions', default: ['us'], allowed: Object.keys(BOOKMAKERS_BY_REGION) },
+  marketGroups: { type: 'list', env: 'ODDS_MARKET_GROUPS', flag: 'market-groups', default: DEFAULT_MARKET_GROUPS, allowed: Object.keys(MARKET_GROUPS) },
+  // Subset of the enabled groups' markets; null = all of them
+  markets: { type: 'list', env: 'ODDS_MARKETS', flag: 'markets', default: null, allowed: MARKET_KEYS },
+  windowDays: { type: 'int', env: 'ODDS_WINDOW_DAYS', flag: 'window-days', default: 4, min: 1 },
+  maxMarketsPerRequest: { type: 'int', env: 'ODDS_MAX_MARKETS_PER_REQUEST', flag: 'max-markets-per-request', default: DEFAULT_MAX_MARKETS_PER_REQUEST, min: 1 },
+  closingWindowMinutes: { type: 'int', env: 'ODDS_CLOSING_WINDOW_MINUTES', flag: 'closing-window', default: 60, min: 1 },
+  closingIntervalMinutes: { type: 'int', env: 'ODDS_CLOSING_INTERVAL_MINUTES', flag: 'poll-interval', default: 10, min: 1 },
+  closingLeadSeconds: { type: 'int', env: 'ODDS_CLOSING_LEAD_SECONDS', flag: 'closing-lead', default: 60, min: 0 }
+};
+
+function parseValue(name, value, source) {
+  const field = FIELDS[name];
+  const fail = (message) => { throw new Error(`${source}: ${name} ${message}`); };
+
+  if (field.type === 'int') {
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isInteger(n) || n < field.min) fail(`must be an integer >= ${field.min} (got ${JSON.stringify(value)})`);
+    return n;
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const keys = [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+  if (!keys.length) fail('must not be empty');
+  const unknown = keys.filter(key => !field.allowed.includes(key));
+  if (unknown.length) {
+    fail(`has unknown key(s) ${unknown.map(k => `"${k}"`).join(', ')} - expected one of: ${field.allowed.join(', ')}`);
+  }
+  return keys;
+}
+
+function readConfigFile(file, required) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`Config file ${file} not found`);
+    return { file: null, values: {} };
+  }
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file}: invalid JSON (${error.message})`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`${file}: expected a JSON object`);
+  }
+  const unknown = Object.keys(values).filter(key => !FIELDS[key] && !key.startsWith('$'));
+  if (unknown.length) {
+    throw new Error(`${file}: unknown setting(s) ${unknown.join(', ')} - expected ${Object.keys(FIELDS).join(', ')}`);
+  }
+  return { file, values };
+}
+
+// Resolve and validate the odds settings. Throws with a message naming the
+// offending source (file, env var or flag). Result has one property per
+// field plus `configFile` and the resolved `marketList` in priority order.
+function loadOddsConfig({ argv = process.argv, env = process.env } = {}) {
+  const flagFile = getArgValue(argv, 'config');
+  const explicitFile = flagFile || env.ODDS_CONFIG || null;
+  const { file, values } = readConfigFile(explicitFile || DEFAULT_CONFIG_FILE, Boolean(explicitFile));
+
+  const config = { configFile: file };
+  for (const [name, field] of Object.entries(FIELDS)) {
+    let value = field.default;
+    if (values[name] !== undefined && values[name] !== null) value = parseValue(name, values[name], file);
+    if (env[field.env] !== undefined && env[field.env] !== '') value = parseValue(name, env[field.env], field.env);
+    const flagValue = getArgValue(argv, field.flag);
+    if (flagValue !== null && flagValue !== '') value = parseValue(name, flagValue, `--${field.flag}`);
+    config[name] = value;
+  }
+
+  // Selected markets must belong to an enabled group; the list keeps group
+  // order (the budget trims from the end)
+  const enabled = config.marketGroups.flatMap(key => MARKET_GROUPS[key].markets);
+  if (config.markets) {
+    const orphans = config.markets.filter(market => !enabled.includes(market));
+    if (orphans.length) {
+      const owners = orphans.map(market => {
+        const group = Object.keys(MARKET_GROUPS).find(key => MARKET_GROUPS[key].markets.includes(market));
+        return `${market} (${group})`;
+      });
+      throw new Error(`markets: ${owners.join(', ')} not in the enabled market groups ${config.marketGroups.join(', ')}`);
+    }
+  }
+  config.marketList = config.markets ? enabled.filter(market => config.markets.includes(market)) : enabled;
+
+  return config;
+}
+
+// Quota cost multiplier: with explicit bookmakers the API bills every 10
+// books as one region
+function regionUnits(config) {
+  return config.bookmakers.length ? Math.ceil(config.bookmakers.length / 10) : config.regions.length;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  BOOKMAKERS_BY_REGION,
+  loadOddsConfig,
+  regionUnits
+};
@@ -0,0 +1,100 @@
+// Odds API market groups for nfl-odds-alternate.js. Each group lists its
+// markets (in priority order: the quota budget trims from the end) and the
+// table its rows go to. Enable groups with `marketGroups` (lib/odds-config.js).
+//
+//   kind: 'player'  one row per player / outcome, player in `description`
+//         'game'    one row per team (or over / under) outcome
+//   requirePoint    skip outcomes without a line (alternate ladders always have one,
+//                   anytime TD doesn't)
+
+const MARKET_GROUPS = {
+  alternate_props: {
+    table: 'nfl_odds_alternate_lines',
+    kind: 'player',
+    requirePoint: true,
+    markets: [
+      'player_pass_yds_alternate',
+      'player_pass_tds_alternate',
+      'player_pass_attempts_alternate',
+      'player_pass_completions_alternate',
+      'player_pass_interceptions_alternate',
+      'player_rush_yds_alternate',
+      'player_rush_attempts_alternate',
+      'player_rush_tds_alternate',
+      'player_rush_reception_yds_alternate',
+      'player_reception_yds_alternate',
+      'player_receptions_alternate',
+      'player_field_goals_alternate'
+    ]
+  },
+  player_props: {
+    table: 'nfl_odds_player_props',
+    kind: 'player',
+    requirePoint: false,
+    markets: [
+      'player_pass_yds',
+      'player_pass_tds',
+      'player_pass_attempts',
+      'player_pass_completions',
+      'player_pass_interceptions',
+      'player_rush_yds',
+      'player_rush_attempts',
+      'player_rush_tds',
+      'player_rush_reception_yds',
+      'player_reception_yds',
+      'player_receptions',
+      'player_reception_tds',
+      'player_anytime_td',
+      'player_field_goals'
+    ]
+  },
+  game_lines: {
+    table: 'nfl_odds_game_lines',
+    kind: 'game',
+    requirePoint: false,
+    markets: ['h2h', 'spreads', 'totals']
+  }
+};
+
+const DEFAULT_MARKET_GROUPS = ['alternate_props'];
+
+// Main and alternate markets share a prop type so they can be compared
+const PROP_TYPES = {
+  player_pass_yds: 'passing_yards',
+  player_pass_tds: 'passing_touchdowns',
+  player_pass_attempts: 'passing_attempts',
+  player_pass_completions: 'passing_completions',
+  player_pass_interceptions: 'pass_interceptions',
+  player_rush_yds: 'rushing_yards',
+  player_rush_attempts: 'rushing_attempts',
+  player_rush_tds: 'rushing_touchdowns',
+  player_rush_reception_yds: 'rush_reception_yards',
+  player_reception_yds: 'receiving_yards',
+  player_receptions: 'receptions',
+  player_reception_tds: 'receiving_touchdowns',
+  player_anytime_td: 'anytime_touchdown',
+  player_field_goals: 'field_goals',
+  h2h: 'moneyline',
+  spreads: 'spread',
+  totals: 'total'
+};
+
+function mapMarketToPropType(marketKey) {
+  return PROP_TYPES[marketKey.replace(/_alternate$/, '')] || marketKey;
+}
+
+// market key → group key for the enabled groups
+function indexMarkets(groupKeys) {
+  const index = new Map();
+  for (const key of groupKeys) {
+    for (const market of MARKET_GROUPS[key].markets) index.set(market, key);
+  }
+  return index;
+}
+
+module.exports = {
+  MARKET_GROUPS,
+  DEFAULT_MARKET_GROUPS,
+  mapMarketToPropType,
+  indexMarkets
+};
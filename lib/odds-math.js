@@ -0,0 +1,83 @@
+// Price conversions for odds records. The Odds API returns decimal prices;
+// we add American odds, the raw implied probability (which includes the
+// bookmaker's margin) and a de-vigged fair probability.
+//
+// De-vigging pairs the two sides of one proposition (over/under at the same
+// line, yes/no, home/away) from the same book and scales their implied
+// probabilities to sum to 1 (multiplicative method). Outcomes without exactly
+// one opposite side get no fair probability.
+
+const PROBABILITY_DIGITS = 6;
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// 2.5 → +150, 1.5 → -200
+function decimalToAmerican(decimal) {
+  if (!Number.isFinite(decimal) || decimal <= 1) return null;
+  return decimal >= 2
+    ? Math.round((decimal - 1) * 100)
+    : -Math.round(100 / (decimal - 1));
+}
+
+// +150 → 2.5, -200 → 1.5
+function americanToDecimal(american) {
+  if (!Number.isFinite(american) || american === 0) return null;
+  return american > 0 ? 1 + american / 100 : 1 + 100 / -american;
+}
+
+function impliedProbability(decimal) {
+  if (!Number.isFinite(decimal) || decimal <= 1) return null;
+  return round(1 / decimal, PROBABILITY_DIGITS);
+}
+
+// Fair probabilities for a set of mutually exclusive outcomes' decimal prices
+function devig(decimals) {
+  const implied = decimals.map(d => (Number.isFinite(d) && d > 1 ? 1 / d : null));
+  if (implied.some(p => p === null)) return decimals.map(() => null);
+  const total = implied.reduce((sum, p) => sum + p, 0);
+  return implied.map(p => round(p / total, PROBABILITY_DIGITS));
+}
+
+// Key that the two sides of one proposition share
+function propositionKey(record) {
+  const base = `${record.event_id}|${record.bookmaker_key}|${record.market_key}`;
+  if (record.player_name !== undefined) {
+    return `${base}|${record.player_name}|${record.line_value ?? ''}`;
+  }
+  // Game lines: spreads pair -3.5 with +3.5, totals share the point,
+  // moneylines have none
+  return `${base}|${record.line_value === null || record.line_value === undefined ? '' : Math.abs(record.line_value)}`;
+}
+
+// Add american_price, implied_probability and fair_probability to records
+// (in place) built from decimal_price
+function applyPricing(records) {
+  const sides = new Map();
+  for (const record of records) {
+    record.american_price = decimalToAmerican(record.decimal_price);
+    record.implied_probability = impliedProbability(record.decimal_price);
+    record.fair_probability = null;
+
+    const key = propositionKey(record);
+    if (!sides.has(key)) sides.set(key, []);
+    sides.get(key).push(record);
+  }
+
+  for (const pair of sides.values()) {
+    if (pair.length !== 2) continue;
+    const fair = devig(pair.map(r => r.decimal_price));
+    pair.forEach((record, i) => { record.fair_probability = fair[i]; });
+  }
+  return records;
+}
+
+module.exports = {
+  decimalToAmerican,
+  americanToDecimal,
+  impliedProbability,
+  devig,
+  applyPricing
+};
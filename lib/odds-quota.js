@@ -0,0 +1,105 @@
+// Quota accounting for The Odds API. Every response carries
+//   x-requests-remaining  credits left in the billing period
+//   x-requests-used       credits used in the billing period
+//   x-requests-last       cost of this request
+// An event-odds request costs (markets returned) x (regions), so the upper
+// bound for a run is events x markets x regions. The events list is free.
+
+function headerNumber(headers, name) {
+  const value = headers && typeof headers.get === 'function' ? headers.get(name) : null;
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function readQuotaHeaders(headers) {
+  return {
+    remaining: headerNumber(headers, 'x-requests-remaining'),
+    used: headerNumber(headers, 'x-requests-used'),
+    last: headerNumber(headers, 'x-requests-last')
+  };
+}
+
+// Worst-case credits for fetching `markets` for every event
+function estimateRunCost({ events, markets, regions = 1 }) {
+  return events * markets * regions;
+}
+
+// Fit the run into the budget by dropping markets from the end of the list
+// (so order markets by priority). The limit is the smaller of `budget` (per
+// run) and what's left above `minRemaining`. Result:
+//   { markets, dropped, estimatedCost, fullCost, limit, refused, reason }
+function planRunBudget({ events, markets, regions = 1, remaining = null, budget = null, minRemaining = 0, mode = 'trim' }) {
+  const fullCost = estimateRunCost({ events, markets: markets.length, regions });
+  const limits = [];
+  if (budget !== null) limits.push(budget);
+  if (remaining !== null) limits.push(Math.max(remaining - minRemaining, 0));
+  const limit = limits.length ? Math.min(...limits) : null;
+
+  const plan = { markets, dropped: [], estimatedCost: fullCost, fullCost, limit, refused: false, reason: null };
+  if (limit === null || fullCost <= limit) return plan;
+
+  const perMarket = estimateRunCost({ events, markets: 1, regions });
+  const affordable = perMarket > 0 ? Math.floor(limit / perMarket) : markets.length;
+  const reason = `estimated ${fullCost} credits exceeds the limit of ${limit}` +
+    (remaining !== null ? ` (${remaining} remaining, keeping ${minRemaining})` : '');
+
+  if (mode === 'refuse' || affordable === 0) {
+    return { ...plan, markets: [], dropped: markets, estimatedCost: 0, refused: true, reason };
+  }
+
+  return {
+    ...plan,
+    markets: markets.slice(0, affordable),
+    dropped: markets.slice(affordable),
+    estimatedCost: estimateRunCost({ events, markets: affordable, regions }),
+    reason
+  };
+}
+
+// Tracks the quota headers seen during a run. `summary()` goes into the run
+// result; `belowReserve()` lets the caller stop before eating into the reserve.
+function createQuotaTracker({ minRemaining = 0 } = {}) {
+  const state = {
+    requests: 0,
+    creditsUsed: 0,
+    startUsed: null,
+    remaining: null,
+    used: null
+  };
+
+  function record(response) {
+    const quota = readQuotaHeaders(response && response.headers);
+    state.requests++;
+    if (quota.last !== null) state.creditsUsed += quota.last;
+    if (quota.used !== null) {
+      // Start of period = used before the first request we made
+      if (state.startUsed === null) state.startUsed = quota.used - (quota.last || 0);
+      state.used = quota.used;
+    }
+    if (quota.remaining !== null) state.remaining = quota.remaining;
+    return quota;
+  }
+
+  function belowReserve() {
+    return state.remaining !== null && state.remaining <= minRemaining;
+  }
+
+  function summary() {
+    return {
+      requests: state.requests,
+      creditsUsed: state.used !== null && state.startUsed !== null ? state.used - state.startUsed : state.creditsUsed,
+      remaining: state.remaining,
+      usedThisPeriod: state.used
+    };
+  }
+
+  return { record, belowReserve, summary, get remaining() { return state.remaining; } };
+}
+
+module.exports = {
+  readQuotaHeaders,
+  estimateRunCost,
+  planRunBudget,
+  createQuotaTracker
+};
@@ -0,0 +1,72 @@
+// Request planning for The Odds API event-odds endpoint. One call can carry
+// several markets (`markets=a,b,c`) at the same credit cost as separate calls,
+// so markets are grouped into as few requests as the limits allow and the
+// combined response is split back into one payload per market.
+
+// Keeps the query string short and a failed call cheap to retry
+const DEFAULT_MAX_MARKETS_PER_REQUEST = 10;
+
+// Group markets into requests of at most `maxPerRequest`, preserving order
+function planMarketRequests(markets, { maxPerRequest = DEFAULT_MAX_MARKETS_PER_REQUEST } = {}) {
+  const size = Math.max(1, maxPerRequest);
+  const groups = [];
+  for (let i = 0; i < markets.length; i += size) {
+    groups.push(markets.slice(i, i + size));
+  }
+  return groups;
+}
+
+// Split an event-odds response into { market → response } where each response
+// has the same shape but only that market's entries. Markets with no lines
+// map to a response without bookmakers.
+function splitResponseByMarket(oddsData, markets) {
+  const books = Array.isArray(oddsData?.bookmakers) ? oddsData.bookmakers : [];
+  const byMarket = new Map();
+  for (const market of markets) {
+    const bookmakers = [];
+    for (const book of books) {
+      const entries = (book.markets ?? []).filter(m => m.key === market);
+      if (entries.length) bookmakers.push({ ...book, markets: entries });
+    }
+    byMarket.set(market, { ...oddsData, bookmakers });
+  }
+  return byMarket;
+}
+
+// Fetch a group of markets with one call; if the combined call fails, retry
+// the markets one at a time so a single bad market can't sink the others.
+// `fetchGroup(markets)` resolves to { ok, status, data }. Result:
+//   { byMarket: Map(market → response), failed: [{ market, status }], requests, fellBack }
+async function fetchMarketGroup(markets, fetchGroup) {
+  const result = { byMarket: new Map(), failed: [], requests: 0, fellBack: false };
+
+  const combined = await fetchGroup(markets);
+  result.requests++;
+  if (combined.ok) {
+    result.byMarket = splitResponseByMarket(combined.data, markets);
+    return result;
+  }
+  if (markets.length === 1) {
+    result.failed.push({ market: markets[0], status: combined.status });
+    return result;
+  }
+
+  result.fellBack = true;
+  for (const market of markets) {
+    const single = await fetchGroup([market]);
+    result.requests++;
+    if (single.ok) {
+      result.byMarket.set(market, splitResponseByMarket(single.data, [market]).get(market));
+    } else {
+      result.failed.push({ market, status: single.status });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_MAX_MARKETS_PER_REQUEST,
+  planMarketRequests,
+  splitResponseByMarket,
+  fetchMarketGroup
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { readCsvRows } = require('./csv');
+
+// nflverse publishes each play-by-play season as plain CSV, gzip-compressed
+// CSV and parquet. Every decoder yields the same row objects as the CSV
+// parser (header name → string value, null when missing) so the transform
+// doesn't care which format was downloaded.
+
+// Preference order when sizes are unknown (e.g. offline)
+const FORMAT_PREFERENCE = ['parquet', 'csv.gz', 'csv'];
+
+// Parquet rows decoded per read. nflverse writes a season as a single row
+// group, so reading whole row groups would hold the full season in memory.
+const PARQUET_ROW_RANGE = 5000;
+
+const FORMATS = {
+  csv: {
+    extension: '.csv',
+    accept: 'text/csv,application/csv,text/plain',
+    streamable: true,
+    read: (source, rejects, options) => readCsvRows(source.body, rejects, options)
+  },
+  'csv.gz': {
+    extension: '.csv.gz',
+    accept: 'application/gzip,application/x-gzip,application/octet-stream',
+    streamable: true,
+    read(source, rejects, options) {
+      // pipeline() destroys the gunzip stream when the download fails, which
+      // surfaces the error in the row iterator
+      const gunzip = zlib.createGunzip();
+      pipeline(source.body, gunzip, () => {});
+      return readCsvRows(gunzip, rejects, options);
+    }
+  },
+  parquet: {
+    extension: '.parquet',
+    accept: 'application/octet-stream,application/vnd.apache.parquet',
+    // Parquet needs random access, so it is only read from a cached file
+    streamable: false,
+    read: (source, rejects, options) => readParquetRows(source.file, options)
+  }
+};
+
+function parquetValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return value === '' ? null : value;
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+}
+
+// Decode a parquet file PARQUET_ROW_RANGE rows at a time. Pages before the
+// range are skipped undecoded and reading stops at its end, so only one
+// range's columns (plus the page it ends in) are held in memory.
+async function* readParquetRows(file, { onHeaders } = {}) {
+  const { asyncBufferFromFile, parquetMetadataAsync, parquetSchema, parquetRead } = await import('hyparquet');
+  const { compressors } = await import('hyparquet-compressors');
+
+  const buffer = await asyncBufferFromFile(file);
+  const metadata = await parquetMetadataAsync(buffer);
+  const headers = parquetSchema(metadata).children.map(child => child.element.name);
+  if (onHeaders) onHeaders(headers);
+
+  const totalRows = Number(metadata.num_rows);
+  for (let rangeStart = 0; rangeStart < totalRows; rangeStart += PARQUET_ROW_RANGE) {
+    const rangeEnd = Math.min(rangeStart + PARQUET_ROW_RANGE, totalRows);
+    const rangeRows = rangeEnd - rangeStart;
+    const columns = {};
+
+    await parquetRead({
+      file: buffer,
+      metadata,
+      compressors,
+      rowStart: rangeStart,
+      rowEnd: rangeEnd,
+      // Chunks are whole pages and may reach outside the range
+      onChunk({ columnName, columnData, rowStart }) {
+        const values = columns[columnName] || (columns[columnName] = new Array(rangeRows).fill(null));
+        for (let i = 0; i < columnData.length; i++) {
+          const index = rowStart - rangeStart + i;
+          if (index >= 0 && index < rangeRows) values[index] = columnData[i];
+        }
+      }
+    });
+
+    for (let i = 0; i < rangeRows; i++) {
+      const row = {};
+      for (const header of headers) {
+        row[header] = columns[header] ? parquetValue(columns[header][i]) : null;
+      }
+      yield row;
+    }
+  }
+}
+
+function readRows(format, source, rejects, options) {
+  const decoder = FORMATS[format];
+  if (!decoder) throw new Error(`Unsupported format "${format}"`);
+  return decoder.read(source, rejects, options);
+}
+
+module.exports = {
+  FORMATS,
+  FORMAT_PREFERENCE,
+  readRows
+};
@@ -0,0 +1,513 @@
+// Declarative nflfastr_pbp column schema. Drives the CSV → row transform in
+// index.js and the schema-drift check against the nflverse CSV headers.
+//
+// Each column: { name, type, nullable }. `type` picks the converter below;
+// `nullable: false` rows are skipped when the value is missing. Columns
+// default to nullable.
+
+// --- TYPE CONVERTERS (Strict Type Safety) ---
+const isMissing = (value) => value === null || value === undefined || value === '' || value === 'NA';
+
+const safeNumeric = (value) => {
+  if (isMissing(value)) return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+const safeText = (value) => {
+  if (isMissing(value)) return null;
+  return String(value).trim();
+};
+
+const safeDouble = (value) => {
+  if (isMissing(value)) return null;
+  const num = parseFloat(value);
+  return isNaN(num) ? null : num;
+};
+
+const TYPE_CONVERTERS = {
+  numeric: safeNumeric,
+  double: safeDouble,
+  text: safeText
+};
+
+const PBP_COLUMNS = [
+  { name: 'play_id', type: 'numeric', nullable: false },
+  { name: 'game_id', type: 'text', nullable: false },
+  { name: 'old_game_id', type: 'numeric' },
+  { name: 'home_team', type: 'text' },
+  { name: 'away_team', type: 'text' },
+  { name: 'season_type', type: 'text' },
+  { name: 'week', type: 'numeric' },
+  { name: 'posteam', type: 'text' },
+  { name: 'posteam_type', type: 'text' },
+  { name: 'defteam', type: 'text' },
+  { name: 'side_of_field', type: 'text' },
+  { name: 'yardline_100', type: 'numeric' },
+  { name: 'game_date', type: 'text' },
+  { name: 'quarter_seconds_remaining', type: 'numeric' },
+  { name: 'half_seconds_remaining', type: 'numeric' },
+  { name: 'game_seconds_remaining', type: 'numeric' },
+  { name: 'game_half', type: 'text' },
+  { name: 'quarter_end', type: 'numeric' },
+  { name: 'drive', type: 'numeric' },
+  { name: 'sp', type: 'numeric' },
+  { name: 'qtr', type: 'numeric' },
+  { name: 'down', type: 'numeric' },
+  { name: 'goal_to_go', type: 'numeric' },
+  { name: 'time', type: 'text' },
+  { name: 'yrdln', type: 'text' },
+  { name: 'ydstogo', type: 'numeric' },
+  { name: 'ydsnet', type: 'numeric' },
+  { name: 'desc', type: 'text' },
+  { name: 'play_type', type: 'text' },
+  { name: 'yards_gained', type: 'numeric' },
+  { name: 'shotgun', type: 'numeric' },
+  { name: 'no_huddle', type: 'numeric' },
+  { name: 'qb_dropback', type: 'numeric' },
+  { name: 'qb_kneel', type: 'numeric' },
+  { name: 'qb_spike', type: 'numeric' },
+  { name: 'qb_scramble', type: 'numeric' },
+  { name: 'pass_length', type: 'text' },
+  { name: 'pass_location', type: 'text' },
+  { name: 'air_yards', type: 'numeric' },
+  { name: 'yards_after_catch', type: 'numeric' },
+  { name: 'run_location', type: 'text' },
+  { name: 'run_gap', type: 'text' },
+  { name: 'field_goal_result', type: 'text' },
+  { name: 'kick_distance', type: 'numeric' },
+  { name: 'extra_point_result', type: 'text' },
+  { name: 'two_point_conv_result', type: 'text' },
+  { name: 'home_timeouts_remaining', type: 'numeric' },
+  { name: 'away_timeouts_remaining', type: 'numeric' },
+  { name: 'timeout', type: 'numeric' },
+  { name: 'timeout_team', type: 'text' },
+  { name: 'td_team', type: 'text' },
+  { name: 'td_player_name', type: 'text' },
+  { name: 'td_player_id', type: 'text' },
+  { name: 'posteam_timeouts_remaining', type: 'numeric' },
+  { name: 'defteam_timeouts_remaining', type: 'numeric' },
+  { name: 'total_home_score', type: 'numeric' },
+  { name: 'total_away_score', type: 'numeric' },
+  { name: 'posteam_score', type: 'numeric' },
+  { name: 'defteam_score', type: 'numeric' },
+  { name: 'score_differential', type: 'numeric' },
+  { name: 'posteam_score_post', type: 'numeric' },
+  { name: 'defteam_score_post', type: 'numeric' },
+  { name: 'score_differential_post', type: 'numeric' },
+  { name: 'no_score_prob', type: 'double' },
+  { name: 'opp_fg_prob', type: 'double' },
+  { name: 'opp_safety_prob', type: 'double' },
+  { name: 'opp_td_prob', type: 'double' },
+  { name: 'fg_prob', type: 'double' },
+  { name: 'safety_prob', type: 'double' },
+  { name: 'td_prob', type: 'double' },
+  { name: 'extra_point_prob', type: 'double' },
+  { name: 'two_point_conversion_prob', type: 'double' },
+  { name: 'ep', type: 'double' },
+  { name: 'epa', type: 'double' },
+  { name: 'total_home_epa', type: 'double' },
+  { name: 'total_away_epa', type: 'double' },
+  { name: 'total_home_rush_epa', type: 'double' },
+  { name: 'total_away_rush_epa', type: 'double' },
+  { name: 'total_home_pass_epa', type: 'double' },
+  { name: 'total_away_pass_epa', type: 'double' },
+  { name: 'air_epa', type: 'double' },
+  { name: 'yac_epa', type: 'double' },
+  { name: 'comp_air_epa', type: 'double' },
+  { name: 'comp_yac_epa', type: 'double' },
+  { name: 'total_home_comp_air_epa', type: 'double' },
+  { name: 'total_away_comp_air_epa', type: 'double' },
+  { name: 'total_home_comp_yac_epa', type: 'double' },
+  { name: 'total_away_comp_yac_epa', type: 'double' },
+  { name: 'total_home_raw_air_epa', type: 'double' },
+  { name: 'total_away_raw_air_epa', type: 'double' },
+  { name: 'total_home_raw_yac_epa', type: 'double' },
+  { name: 'total_away_raw_yac_epa', type: 'double' },
+  { name: 'wp', type: 'double' },
+  { name: 'def_wp', type: 'double' },
+  { name: 'home_wp', type: 'double' },
+  { name: 'away_wp', type: 'double' },
+  { name: 'vegas_wp', type: 'double' },
+  { name: 'vegas_home_wp', type: 'double' },
+  { name: 'wpa', type: 'double' },
+  { name: 'vegas_wpa', type: 'double' },
+  { name: 'vegas_home_wpa', type: 'double' },
+  { name: 'home_wp_post', type: 'double' },
+  { name: 'away_wp_post', type: 'double' },
+  { name: 'total_home_rush_wpa', type: 'double' },
+  { name: 'total_away_rush_wpa', type: 'double' },
+  { name: 'total_home_pass_wpa', type: 'double' },
+  { name: 'total_away_pass_wpa', type: 'double' },
+  { name: 'air_wpa', type: 'double' },
+  { name: 'yac_wpa', type: 'double' },
+  { name: 'comp_air_wpa', type: 'double' },
+  { name: 'comp_yac_wpa', type: 'double' },
+  { name: 'total_home_comp_air_wpa', type: 'double' },
+  { name: 'total_away_comp_air_wpa', type: 'double' },
+  { name: 'total_home_comp_yac_wpa', type: 'double' },
+  { name: 'total_away_comp_yac_wpa', type: 'double' },
+  { name: 'total_home_raw_air_wpa', type: 'double' },
+  { name: 'total_away_raw_air_wpa', type: 'double' },
+  { name: 'total_home_raw_yac_wpa', type: 'double' },
+  { name: 'total_away_raw_yac_wpa', type: 'double' },
+  { name: 'punt_blocked', type: 'text' },
+  { name: 'first_down_rush', type: 'text' },
+  { name: 'first_down_pass', type: 'text' },
+  { name: 'first_down_penalty', type: 'text' },
+  { name: 'third_down_converted', type: 'text' },
+  { name: 'third_down_failed', type: 'text' },
+  { name: 'fourth_down_converted', type: 'text' },
+  { name: 'fourth_down_failed', type: 'text' },
+  { name: 'incomplete_pass', type: 'text' },
+  { name: 'touchback', type: 'text' },
+  { name: 'interception', type: 'text' },
+  { name: 'punt_inside_twenty', type: 'text' },
+  { name: 'punt_in_endzone', type: 'text' },
+  { name: 'punt_out_of_bounds', type: 'text' },
+  { name: 'punt_downed', type: 'text' },
+  { name: 'punt_fair_catch', type: 'text' },
+  { name: 'kickoff_inside_twenty', type: 'text' },
+  { name: 'kickoff_in_endzone', type: 'text' },
+  { name: 'kickoff_out_of_bounds', type: 'text' },
+  { name: 'kickoff_downed', type: 'text' },
+  { name: 'kickoff_fair_catch', type: 'text' },
+  { name: 'fumble_forced', type: 'text' },
+  { name: 'fumble_not_forced', type: 'text' },
+  { name: 'fumble_out_of_bounds', type: 'text' },
+  { name: 'solo_tackle', type: 'text' },
+  { name: 'safety', type: 'text' },
+  { name: 'penalty', type: 'text' },
+  { name: 'tackled_for_loss', type: 'text' },
+  { name: 'fumble_lost', type: 'text' },
+  { name: 'own_kickoff_recovery', type: 'text' },
+  { name: 'own_kickoff_recovery_td', type: 'text' },
+  { name: 'qb_hit', type: 'text' },
+  { name: 'rush_attempt', type: 'text' },
+  { name: 'pass_attempt', type: 'text' },
+  { name: 'sack', type: 'text' },
+  { name: 'touchdown', type: 'text' },
+  { name: 'pass_touchdown', type: 'text' },
+  { name: 'rush_touchdown', type: 'text' },
+  { name: 'return_touchdown', type: 'text' },
+  { name: 'extra_point_attempt', type: 'text' },
+  { name: 'two_point_attempt', type: 'text' },
+  { name: 'field_goal_attempt', type: 'text' },
+  { name: 'kickoff_attempt', type: 'text' },
+  { name: 'punt_attempt', type: 'text' },
+  { name: 'fumble', type: 'text' },
+  { name: 'complete_pass', type: 'text' },
+  { name: 'assist_tackle', type: 'text' },
+  { name: 'lateral_reception', type: 'text' },
+  { name: 'lateral_rush', type: 'text' },
+  { name: 'lateral_return', type: 'text' },
+  { name: 'lateral_recovery', type: 'text' },
+  { name: 'passer_player_id', type: 'text' },
+  { name: 'passer_player_name', type: 'text' },
+  { name: 'passing_yards', type: 'numeric' },
+  { name: 'receiver_player_id', type: 'text' },
+  { name: 'receiver_player_name', type: 'text' },
+  { name: 'receiving_yards', type: 'numeric' },
+  { name: 'rusher_player_id', type: 'text' },
+  { name: 'rusher_player_name', type: 'text' },
+  { name: 'rushing_yards', type: 'numeric' },
+  { name: 'lateral_receiver_player_id', type: 'text' },
+  { name: 'lateral_receiver_player_name', type: 'text' },
+  { name: 'lateral_receiving_yards', type: 'numeric' },
+  { name: 'lateral_rusher_player_id', type: 'text' },
+  { name: 'lateral_rusher_player_name', type: 'text' },
+  { name: 'lateral_rushing_yards', type: 'numeric' },
+  { name: 'lateral_sack_player_id', type: 'text' },
+  { name: 'lateral_sack_player_name', type: 'text' },
+  { name: 'interception_player_id', type: 'text' },
+  { name: 'interception_player_name', type: 'text' },
+  { name: 'lateral_interception_player_id', type: 'text' },
+  { name: 'lateral_interception_player_name', type: 'text' },
+  { name: 'punt_returner_player_id', type: 'text' },
+  { name: 'punt_returner_player_name', type: 'text' },
+  { name: 'lateral_punt_returner_player_id', type: 'text' },
+  { name: 'lateral_punt_returner_player_name', type: 'text' },
+  { name: 'kickoff_returner_player_name', type: 'text' },
+  { name: 'kickoff_returner_player_id', type: 'text' },
+  { name: 'lateral_kickoff_returner_player_id', type: 'text' },
+  { name: 'lateral_kickoff_returner_player_name', type: 'text' },
+  { name: 'punter_player_id', type: 'text' },
+  { name: 'punter_player_name', type: 'text' },
+  { name: 'kicker_player_name', type: 'text' },
+  { name: 'kicker_player_id', type: 'text' },
+  { name: 'own_kickoff_recovery_player_id', type: 'text' },
+  { name: 'own_kickoff_recovery_player_name', type: 'text' },
+  { name: 'blocked_player_id', type: 'text' },
+  { name: 'blocked_player_name', type: 'text' },
+  { name: 'tackle_for_loss_1_player_id', type: 'text' },
+  { name: 'tackle_for_loss_1_player_name', type: 'text' },
+  { name: 'tackle_for_loss_2_player_id', type: 'text' },
+  { name: 'tackle_for_loss_2_player_name', type: 'text' },
+  { name: 'qb_hit_1_player_id', type: 'text' },
+  { name: 'qb_hit_1_player_name', type: 'text' },
+  { name: 'qb_hit_2_player_id', type: 'text' },
+  { name: 'qb_hit_2_player_name', type: 'text' },
+  { name: 'forced_fumble_player_1_team', type: 'text' },
+  { name: 'forced_fumble_player_1_player_id', type: 'text' },
+  { name: 'forced_fumble_player_1_player_name', type: 'text' },
+  { name: 'forced_fumble_player_2_team', type: 'text' },
+  { name: 'forced_fumble_player_2_player_id', type: 'text' },
+  { name: 'forced_fumble_player_2_player_name', type: 'text' },
+  { name: 'solo_tackle_1_team', type: 'text' },
+  { name: 'solo_tackle_2_team', type: 'text' },
+  { name: 'solo_tackle_1_player_id', type: 'text' },
+  { name: 'solo_tackle_2_player_id', type: 'text' },
+  { name: 'solo_tackle_1_player_name', type: 'text' },
+  { name: 'solo_tackle_2_player_name', type: 'text' },
+  { name: 'assist_tackle_1_player_id', type: 'text' },
+  { name: 'assist_tackle_1_player_name', type: 'text' },
+  { name: 'assist_tackle_1_team', type: 'text' },
+  { name: 'assist_tackle_2_player_id', type: 'text' },
+  { name: 'assist_tackle_2_player_name', type: 'text' },
+  { name: 'assist_tackle_2_team', type: 'text' },
+  { name: 'assist_tackle_3_player_id', type: 'text' },
+  { name: 'assist_tackle_3_player_name', type: 'text' },
+  { name: 'assist_tackle_3_team', type: 'text' },
+  { name: 'assist_tackle_4_player_id', type: 'text' },
+  { name: 'assist_tackle_4_player_name', type: 'text' },
+  { name: 'assist_tackle_4_team', type: 'text' },
+  { name: 'tackle_with_assist', type: 'text' },
+  { name: 'tackle_with_assist_1_player_id', type: 'text' },
+  { name: 'tackle_with_assist_1_player_name', type: 'text' },
+  { name: 'tackle_with_assist_1_team', type: 'text' },
+  { name: 'tackle_with_assist_2_player_id', type: 'text' },
+  { name: 'tackle_with_assist_2_player_name', type: 'text' },
+  { name: 'tackle_with_assist_2_team', type: 'text' },
+  { name: 'pass_defense_1_player_id', type: 'text' },
+  { name: 'pass_defense_1_player_name', type: 'text' },
+  { name: 'pass_defense_2_player_id', type: 'text' },
+  { name: 'pass_defense_2_player_name', type: 'text' },
+  { name: 'fumbled_1_team', type: 'text' },
+  { name: 'fumbled_1_player_id', type: 'text' },
+  { name: 'fumbled_1_player_name', type: 'text' },
+  { name: 'fumbled_2_player_id', type: 'text' },
+  { name: 'fumbled_2_player_name', type: 'text' },
+  { name: 'fumbled_2_team', type: 'text' },
+  { name: 'fumble_recovery_1_team', type: 'text' },
+  { name: 'fumble_recovery_1_yards', type: 'numeric' },
+  { name: 'fumble_recovery_1_player_id', type: 'text' },
+  { name: 'fumble_recovery_1_player_name', type: 'text' },
+  { name: 'fumble_recovery_2_team', type: 'text' },
+  { name: 'fumble_recovery_2_yards', type: 'numeric' },
+  { name: 'fumble_recovery_2_player_id', type: 'text' },
+  { name: 'fumble_recovery_2_player_name', type: 'text' },
+  { name: 'sack_player_id', type: 'text' },
+  { name: 'sack_player_name', type: 'text' },
+  { name: 'half_sack_1_player_id', type: 'text' },
+  { name: 'half_sack_1_player_name', type: 'text' },
+  { name: 'half_sack_2_player_id', type: 'text' },
+  { name: 'half_sack_2_player_name', type: 'text' },
+  { name: 'return_team', type: 'text' },
+  { name: 'return_yards', type: 'numeric' },
+  { name: 'penalty_team', type: 'text' },
+  { name: 'penalty_player_id', type: 'text' },
+  { name: 'penalty_player_name', type: 'text' },
+  { name: 'penalty_yards', type: 'numeric' },
+  { name: 'replay_or_challenge', type: 'text' },
+  { name: 'replay_or_challenge_result', type: 'text' },
+  { name: 'penalty_type', type: 'text' },
+  { name: 'defensive_two_point_attempt', type: 'text' },
+  { name: 'defensive_two_point_conv', type: 'text' },
+  { name: 'defensive_extra_point_attempt', type: 'text' },
+  { name: 'defensive_extra_point_conv', type: 'text' },
+  { name: 'safety_player_name', type: 'text' },
+  { name: 'safety_player_id', type: 'text' },
+  { name: 'season', type: 'numeric' },
+  { name: 'cp', type: 'double' },
+  { name: 'cpoe', type: 'double' },
+  { name: 'series', type: 'numeric' },
+  { name: 'series_success', type: 'text' },
+  { name: 'series_result', type: 'text' },
+  { name: 'order_sequence', type: 'numeric' },
+  { name: 'start_time', type: 'text' },
+  { name: 'time_of_day', type: 'text' },
+  { name: 'stadium', type: 'text' },
+  { name: 'weather', type: 'text' },
+  { name: 'nfl_api_id', type: 'text' },
+  { name: 'play_clock', type: 'numeric' },
+  { name: 'play_deleted', type: 'text' },
+  { name: 'play_type_nfl', type: 'text' },
+  { name: 'special_teams_play', type: 'text' },
+  { name: 'st_play_type', type: 'text' },
+  { name: 'end_clock_time', type: 'text' },
+  { name: 'end_yard_line', type: 'text' },
+  { name: 'fixed_drive', type: 'numeric' },
+  { name: 'fixed_drive_result', type: 'text' },
+  { name: 'drive_real_start_time', type: 'text' },
+  { name: 'drive_play_count', type: 'numeric' },
+  { name: 'drive_time_of_possession', type: 'text' },
+  { name: 'drive_first_downs', type: 'numeric' },
+  { name: 'drive_inside20', type: 'text' },
+  { name: 'drive_ended_with_score', type: 'text' },
+  { name: 'drive_quarter_start', type: 'numeric' },
+  { name: 'drive_quarter_end', type: 'numeric' },
+  { name: 'drive_yards_penalized', type: 'numeric' },
+  { name: 'drive_start_transition', type: 'text' },
+  { name: 'drive_end_transition', type: 'text' },
+  { name: 'drive_game_clock_start', type: 'text' },
+  { name: 'drive_game_clock_end', type: 'text' },
+  { name: 'drive_start_yard_line', type: 'text' },
+  { name: 'drive_end_yard_line', type: 'text' },
+  { name: 'drive_play_id_started', type: 'text' },
+  { name: 'drive_play_id_ended', type: 'text' },
+  { name: 'away_score', type: 'numeric' },
+  { name: 'home_score', type: 'numeric' },
+  { name: 'location', type: 'text' },
+  { name: 'result', type: 'numeric' },
+  { name: 'total', type: 'numeric' },
+  { name: 'spread_line', type: 'double' },
+  { name: 'total_line', type: 'double' },
+  { name: 'div_game', type: 'text' },
+  { name: 'roof', type: 'text' },
+  { name: 'surface', type: 'text' },
+  { name: 'temp', type: 'numeric' },
+  { name: 'wind', type: 'numeric' },
+  { name: 'home_coach', type: 'text' },
+  { name: 'away_coach', type: 'text' },
+  { name: 'stadium_id', type: 'text' },
+  { name: 'game_stadium', type: 'text' },
+  { name: 'aborted_play', type: 'text' },
+  { name: 'success', type: 'text' },
+  { name: 'passer', type: 'text' },
+  { name: 'passer_jersey_number', type: 'text' },
+  { name: 'rusher', type: 'text' },
+  { name: 'rusher_jersey_number', type: 'text' },
+  { name: 'receiver', type: 'text' },
+  { name: 'receiver_jersey_number', type: 'text' },
+  { name: 'pass', type: 'text' },
+  { name: 'rush', type: 'text' },
+  { name: 'first_down', type: 'text' },
+  { name: 'special', type: 'text' },
+  { name: 'play', type: 'text' },
+  { name: 'passer_id', type: 'text' },
+  { name: 'rusher_id', type: 'text' },
+  { name: 'receiver_id', type: 'text' },
+  { name: 'name', type: 'text' },
+  { name: 'jersey_number', type: 'text' },
+  { name: 'id', type: 'text' },
+  { name: 'fantasy_player_name', type: 'text' },
+  { name: 'fantasy_player_id', type: 'text' },
+  { name: 'fantasy', type: 'text' },
+  { name: 'fantasy_id', type: 'text' },
+  { name: 'out_of_bounds', type: 'text' },
+  { name: 'home_opening_kickoff', type: 'text' },
+  { name: 'qb_epa', type: 'double' },
+  { name: 'xyac_epa', type: 'double' },
+  { name: 'xyac_mean_yardage', type: 'double' },
+  { name: 'xyac_median_yardage', type: 'double' },
+  { name: 'xyac_success', type: 'double' },
+  { name: 'xyac_fd', type: 'double' },
+  { name: 'xpass', type: 'double' },
+  { name: 'pass_oe', type: 'double' }
+];
+
+// Known upstream renames: CSV header → schema column. Add an entry here when
+// the drift report flags a rename so the old column keeps being populated.
+const PBP_COLUMN_ALIASES = {};
+
+const COLUMN_NAMES = new Set(PBP_COLUMNS.map(c => c.name));
+
+for (const column of PBP_COLUMNS) {
+  if (!TYPE_CONVERTERS[column.type]) {
+    throw new Error(`Unknown type "${column.type}" for column ${column.name}`);
+  }
+}
+
+// Build the row transform for a given CSV header list. Unknown columns are
+// collected into `overflowColumn` (a JSONB column) when one is configured.
+function createTransform(headers, { overflowColumn = null } = {}) {
+  const sourceFor = {};
+  for (const header of headers) {
+    const target = PBP_COLUMN_ALIASES[header];
+    if (target && !headers.includes(target)) sourceFor[target] = header;
+  }
+  const unknown = overflowColumn
+    ? headers.filter(h => !COLUMN_NAMES.has(h) && !PBP_COLUMN_ALIASES[h])
+    : [];
+
+  return function transform(row) {
+    const play = {};
+    for (const column of PBP_COLUMNS) {
+      const value = TYPE_CONVERTERS[column.type](row[sourceFor[column.name] || column.name]);
+      if (value === null && column.nullable === false) return null;
+      play[column.name] = value;
+    }
+
+    if (overflowColumn) {
+      const extra = {};
+      for (const header of unknown) {
+        if (!isMissing(row[header])) extra[header] = row[header];
+      }
+      play[overflowColumn] = Object.keys(extra).length ? extra : null;
+    }
+    return play;
+  };
+}
+
+// Edit distance, used to pair a vanished column with a new one as a likely rename
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+function looksRenamed(from, to) {
+  const strip = (s) => s.replace(/_/g, '');
+  if (strip(from) === strip(to)) return true;
+  return levenshtein(from, to) <= Math.max(2, Math.floor(Math.min(from.length, to.length) / 5));
+}
+
+// Compare CSV headers with the schema: `added` (in the CSV only), `missing`
+// (schema columns the CSV no longer has), `renamed` (likely pairs of the two)
+function detectSchemaDrift(headers) {
+  const headerSet = new Set(headers);
+  const aliasedTargets = new Set(headers.map(h => PBP_COLUMN_ALIASES[h]).filter(Boolean));
+
+  let added = headers.filter(h => !COLUMN_NAMES.has(h) && !PBP_COLUMN_ALIASES[h]);
+  let missing = PBP_COLUMNS
+    .map(c => c.name)
+    .filter(name => !headerSet.has(name) && !aliasedTargets.has(name));
+
+  const renamed = [];
+  for (const from of missing) {
+    const to = added.find(candidate => looksRenamed(from, candidate));
+    if (to) {
+      renamed.push({ from, to });
+      added = added.filter(h => h !== to);
+    }
+  }
+  missing = missing.filter(name => !renamed.some(r => r.from === name));
+
+  const requiredMissing = PBP_COLUMNS
+    .filter(c => c.nullable === false && (missing.includes(c.name) || renamed.some(r => r.from === c.name)))
+    .map(c => c.name);
+
+  return {
+    hasDrift: added.length > 0 || missing.length > 0 || renamed.length > 0,
+    added,
+    missing,
+    renamed,
+    requiredMissing
+  };
+}
+
+module.exports = {
+  PBP_COLUMNS,
+  PBP_COLUMN_ALIASES,
+  TYPE_CONVERTERS,
+  createTransform,
+  detectSchemaDrift
+};
@@ -0,0 +1,31 @@
+// Reading values from stored nflfastr_pbp rows. Numeric columns come back as
+// numbers or numeric strings, flags as "1" / "0" (text columns), and nflverse
+// leaves many of them null (timeouts, penalties, end-of-quarter rows).
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function flag(value) {
+  return toNumber(value) === 1;
+}
+
+// For sums: null counts as 0
+function amount(value) {
+  return toNumber(value) || 0;
+}
+
+// Round a float sum to `places` decimals for storage
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  toNumber,
+  flag,
+  amount,
+  round
+};
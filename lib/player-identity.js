@@ -0,0 +1,131 @@
+const { readCsvRows } = require('./csv');
+const { playerNameKey, normalizePlayerName } = require('./player-names');
+
+// Links The Odds API's free-text player names to nflverse player IDs (gsis
+// IDs, the `*_player_id` columns in play-by-play). Names are matched against
+// the season's nflverse roster with lib/player-names.js keys, narrowed by the
+// two teams in the game:
+//
+//   resolved     one rostered player fits (method: exact, name_only, manual)
+//   ambiguous    several players share the name and the teams don't decide it
+//   unresolved   nobody on the roster has the name
+//
+// Ambiguous and unresolved names are queued in nfl_player_name_review. A
+// reviewer fills in `resolved_player_id` there, and later runs use it as a
+// manual mapping for that name and season.
+
+const PLAYER_REVIEW_TABLE = 'nfl_player_name_review';
+const ROSTER_URL = (season) => `https://github.com/nflverse/nflverse-data/releases/download/rosters/roster_${season}.csv`;
+const PAGE_SIZE = 1000;
+const DEFAULT_USER_AGENT = 'nfl-player-identity/1.0';
+
+function toPlayer(row) {
+  return {
+    gsis_id: row.gsis_id,
+    full_name: row.full_name,
+    team: row.team,
+    position: row.position
+  };
+}
+
+// The season's nflverse roster (one row per player, latest team)
+async function loadRoster(season, { fetch, userAgent = DEFAULT_USER_AGENT }) {
+  const response = await fetch(ROSTER_URL(season), { headers: { 'User-Agent': userAgent } });
+  if (!response.ok) throw new Error(`Roster ${season} download failed: ${response.status}`);
+
+  const players = [];
+  for await (const row of readCsvRows(response.body)) {
+    if (row.gsis_id && row.full_name) players.push(row);
+  }
+  return players;
+}
+
+// Manual mappings from the review table: normalized name → gsis_id
+async function loadOverrides(storage, season) {
+  const overrides = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await storage.select(PLAYER_REVIEW_TABLE, {
+      columns: ['player_name', 'resolved_player_id'],
+      where: { season_year: season, resolved_player_id: { not: null } },
+      range: [from, from + PAGE_SIZE - 1]
+    });
+    if (error) throw new Error(`Player overrides load failed: ${error.message}`);
+    for (const row of data) overrides.set(playerNameKey(row.player_name), row.resolved_player_id);
+    if (data.length < PAGE_SIZE) break;
+  }
+  return overrides;
+}
+
+function createPlayerResolver(roster, { overrides = new Map() } = {}) {
+  const byKey = new Map();
+  const byId = new Map();
+  const add = (key, player) => {
+    if (!byKey.has(key)) byKey.set(key, new Map());
+    byKey.get(key).set(player.gsis_id, player);
+  };
+
+  for (const row of roster) {
+    const player = toPlayer(row);
+    byId.set(player.gsis_id, player);
+    add(playerNameKey(row.full_name), player);
+    if (row.first_name && row.last_name) add(playerNameKey(`${row.first_name} ${row.last_name}`), player);
+    // Preferred first name, e.g. "Tank" for Nathaniel Dell
+    if (row.football_name && row.last_name) add(playerNameKey(`${row.football_name} ${row.last_name}`), player);
+  }
+
+  const cache = new Map();
+
+  // Resolve a book's player name for a game between `teams` (nflverse abbreviations)
+  function resolve(name, teams = []) {
+    const cacheKey = `${name}|${teams.join(',')}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    const key = playerNameKey(name);
+    let result;
+    if (overrides.has(key)) {
+      const id = overrides.get(key);
+      result = { status: 'resolved', method: 'manual', player: byId.get(id) || { gsis_id: id }, candidates: [] };
+    } else {
+      const candidates = [...(byKey.get(key)?.values() || [])];
+      const inGame = candidates.filter(player => teams.includes(player.team));
+      if (inGame.length === 1) {
+        result = { status: 'resolved', method: 'exact', player: inGame[0], candidates };
+      } else if (inGame.length > 1) {
+        result = { status: 'ambiguous', method: null, player: null, candidates: inGame };
+      } else if (candidates.length === 1) {
+        // Roster team lags a trade or signing; the name is unique league-wide
+        result = { status: 'resolved', method: 'name_only', player: candidates[0], candidates };
+      } else {
+        result = { status: candidates.length ? 'ambiguous' : 'unresolved', method: null, player: null, candidates };
+      }
+    }
+
+    cache.set(cacheKey, result);
+    return result;
+  }
+
+  return { resolve, size: byId.size };
+}
+
+// Review-queue row for an ambiguous or unresolved name. Leaves
+// `resolved_player_id` alone so a reviewer's mapping survives later runs.
+function toReviewRow(name, result, { season, event, teams }, now = new Date().toISOString()) {
+  return {
+    season_year: season,
+    player_name: name,
+    normalized_name: normalizePlayerName(name),
+    status: result.status,
+    candidates: result.candidates.map(({ gsis_id, full_name, team, position }) => ({ gsis_id, full_name, team, position })),
+    teams: teams.join(','),
+    event_id: event.id,
+    last_seen_at: now
+  };
+}
+
+module.exports = {
+  PLAYER_REVIEW_TABLE,
+  loadRoster,
+  loadOverrides,
+  createPlayerResolver,
+  toReviewRow
+};
@@ -0,0 +1,87 @@
+// Player-name normalization for matching The Odds API's free-text
+// `description` against nflverse rosters. Both sides go through
+// `playerNameKey`, so "D.J. Moore", "DJ Moore" and "Kenneth Walker III" vs
+// "Kenneth Walker" compare equal.
+//
+//   - accents, punctuation and case are dropped; hyphens become spaces
+//   - generational suffixes (Jr., Sr., II-V) are dropped
+//   - common short first names map to one form (Josh / Joshua, Gabe / Gabriel)
+//   - PLAYER_ALIASES covers nicknames books use that nflverse doesn't
+
+const SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v']);
+
+// Each group maps to its first entry
+const FIRST_NAME_GROUPS = [
+  ['alex', 'alexander'],
+  ['andy', 'andrew', 'drew'],
+  ['ben', 'benjamin'],
+  ['cam', 'cameron'],
+  ['chris', 'christopher'],
+  ['dan', 'daniel', 'danny'],
+  ['dave', 'david'],
+  ['gabe', 'gabriel'],
+  ['greg', 'gregory'],
+  ['jeff', 'jeffery', 'jeffrey'],
+  ['jim', 'james', 'jimmy'],
+  ['joe', 'joseph', 'joey'],
+  ['jon', 'jonathan'],
+  ['josh', 'joshua'],
+  ['ken', 'kenneth', 'kenny'],
+  ['matt', 'matthew'],
+  ['mike', 'michael'],
+  ['mitch', 'mitchell'],
+  ['nate', 'nathaniel', 'nathan'],
+  ['nick', 'nicholas'],
+  ['pat', 'patrick'],
+  ['rob', 'robert', 'robbie', 'bob', 'bobby'],
+  ['sam', 'samuel'],
+  ['steve', 'steven', 'stephen'],
+  ['tim', 'timothy'],
+  ['tom', 'thomas', 'tommy'],
+  ['tony', 'anthony'],
+  ['will', 'william', 'willie'],
+  ['zach', 'zachary', 'zack']
+];
+
+const FIRST_NAMES = new Map(FIRST_NAME_GROUPS.flatMap(group => group.map(name => [name, group[0]])));
+
+// Normalized book name → normalized nflverse name
+const PLAYER_ALIASES = {
+  'hollywood brown': 'marquise brown',
+  'tank dell': 'nathaniel dell',
+  'chig okonkwo': 'chigoziem okonkwo',
+  'bam knight': 'zonovan knight',
+  'scotty miller': 'scott miller'
+};
+
+// Lowercase, unaccented, punctuation-free tokens
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’`]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function normalizePlayerName(name) {
+  const tokens = nameTokens(name);
+  // Keep a suffix when it is all that follows the first name
+  while (tokens.length > 2 && SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+  return tokens.join(' ');
+}
+
+// Matching key: normalized, aliased, with the first name canonicalized
+function playerNameKey(name) {
+  let normalized = normalizePlayerName(name);
+  normalized = PLAYER_ALIASES[normalized] || normalized;
+  const [first, ...rest] = normalized.split(' ');
+  if (!rest.length) return normalized;
+  return [FIRST_NAMES.get(first) || first, ...rest].join(' ');
+}
+
+module.exports = {
+  normalizePlayerName,
+  playerNameKey
+};
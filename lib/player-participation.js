@@ -0,0 +1,50 @@
+const { readCsvRows } = require('./csv');
+const { loadRoster } = require('./player-identity');
+const { statsKey } = require('./player-stats');
+
+// Who took the field in a game, from nflverse snap counts (Pro Football
+// Reference). A player with no stat row may still have played - a receiver
+// who was never targeted - so prop grading needs this to tell "played, zero"
+// from "did not play". Snap counts are keyed by PFR ID; the season roster
+// maps those to gsis IDs, the `*_player_id` columns in play-by-play.
+
+const SNAP_COUNTS_URL = (season) => `https://github.com/nflverse/nflverse-data/releases/download/snap_counts/snap_counts_${season}.csv`;
+
+// Season of an nflverse game ID ("2025_05_KC_JAX")
+function gameSeason(gameId) {
+  return Number(String(gameId).slice(0, 4));
+}
+
+function snaps(row) {
+  return (Number(row.offense_snaps) || 0) + (Number(row.defense_snaps) || 0) + (Number(row.st_snaps) || 0);
+}
+
+// { games, played } for `gameIds`: `games` holds the games snap counts cover
+// (PFR publishes them a day or so after kickoff), `played` the statsKey of
+// every player with at least one snap
+async function loadParticipation(gameIds, { fetch, userAgent }) {
+  const wanted = new Set(gameIds);
+  const games = new Set();
+  const played = new Set();
+
+  for (const season of [...new Set(gameIds.map(gameSeason))]) {
+    const gsisIds = new Map();
+    for (const player of await loadRoster(season, { fetch, userAgent })) {
+      if (player.pfr_id) gsisIds.set(player.pfr_id, player.gsis_id);
+    }
+
+    const response = await fetch(SNAP_COUNTS_URL(season), { headers: { 'User-Agent': userAgent } });
+    if (!response.ok) throw new Error(`Snap counts ${season} download failed: ${response.status}`);
+    for await (const row of readCsvRows(response.body)) {
+      if (!wanted.has(row.game_id)) continue;
+      games.add(row.game_id);
+      const playerId = gsisIds.get(row.pfr_player_id);
+      if (playerId && snaps(row) > 0) played.add(statsKey(row.game_id, playerId));
+    }
+  }
+  return { games, played };
+}
+
+module.exports = {
+  loadParticipation
+};
@@ -0,0 +1,188 @@
+// Per-player game stats aggregated from nflfastR play-by-play rows (as stored
+// in nflfastr_pbp). Pure functions, no database access; index.js materializes
+// them into player_game_stats and grade-props.js settles props with them.
+//
+// Counting follows nflfastR's player stats: sacks aren't pass attempts,
+// two-point tries and plays wiped out by penalties (`no_play`) don't count,
+// and `touchdowns` credits whoever scored (td_player_id), returns included.
+// passing_epa is qb_epa summed over dropbacks (sacks included), rushing and
+// receiving EPA are the play `epa` of carries and targets.
+
+const { toNumber, flag, amount, round } = require('./play-values');
+
+const PLAYER_STATS_TABLE = 'player_game_stats';
+
+// nflfastr_pbp columns the aggregation reads
+const PLAYER_STAT_PLAY_COLUMNS = [
+  'play_id',
+  'game_id',
+  'season',
+  'week',
+  'posteam',
+  'play_type',
+  'desc',
+  'result',
+  'two_point_attempt',
+  'passer_player_id',
+  'rusher_player_id',
+  'receiver_player_id',
+  'kicker_player_id',
+  'td_player_id',
+  'passer_player_name',
+  'rusher_player_name',
+  'receiver_player_name',
+  'kicker_player_name',
+  'td_player_name',
+  'pass_attempt',
+  'sack',
+  'complete_pass',
+  'interception',
+  'passing_yards',
+  'yards_gained',
+  'pass_touchdown',
+  'rush_attempt',
+  'rushing_yards',
+  'rush_touchdown',
+  'receiving_yards',
+  'epa',
+  'qb_epa',
+  'field_goal_result',
+  'kick_distance',
+  'extra_point_result'
+];
+
+function emptyStats(play, playerId) {
+  return {
+    game_id: play.game_id,
+    player_id: playerId,
+    player_name: null,
+    season: toNumber(play.season),
+    week: toNumber(play.week),
+    team: null,
+    passing_attempts: 0,
+    passing_completions: 0,
+    passing_yards: 0,
+    passing_touchdowns: 0,
+    pass_interceptions: 0,
+    sacks: 0,
+    sack_yards: 0,
+    passing_epa: 0,
+    rushing_attempts: 0,
+    rushing_yards: 0,
+    rushing_touchdowns: 0,
+    rushing_epa: 0,
+    targets: 0,
+    receptions: 0,
+    receiving_yards: 0,
+    receiving_touchdowns: 0,
+    receiving_epa: 0,
+    field_goals_made: 0,
+    field_goals_attempted: 0,
+    field_goal_long: null,
+    extra_points_made: 0,
+    extra_points_attempted: 0,
+    touchdowns: 0
+  };
+}
+
+function statsKey(gameId, playerId) {
+  return `${gameId}|${playerId}`;
+}
+
+// Map(statsKey(game_id, player_id) → stats) for every player with a play
+function aggregatePlayerStats(plays) {
+  const players = new Map();
+  const statsFor = (play, playerId, playerName, onOffense = true) => {
+    const key = statsKey(play.game_id, playerId);
+    if (!players.has(key)) players.set(key, emptyStats(play, playerId));
+    const stats = players.get(key);
+    if (onOffense && play.posteam) stats.team = play.posteam;
+    if (!stats.player_name && playerName) stats.player_name = playerName;
+    return stats;
+  };
+
+  for (const play of plays) {
+    if (!play.game_id || play.play_type === 'no_play' || flag(play.two_point_attempt)) continue;
+
+    if (play.passer_player_id && flag(play.pass_attempt)) {
+      const passer = statsFor(play, play.passer_player_id, play.passer_player_name);
+      if (flag(play.sack)) {
+        passer.sacks++;
+        passer.sack_yards += amount(play.yards_gained);
+      } else {
+        passer.passing_attempts++;
+      }
+      if (flag(play.complete_pass)) passer.passing_completions++;
+      passer.passing_yards += amount(play.passing_yards);
+      if (flag(play.pass_touchdown)) passer.passing_touchdowns++;
+      if (flag(play.interception)) passer.pass_interceptions++;
+      passer.passing_epa += amount(play.qb_epa);
+    }
+
+    if (play.rusher_player_id && flag(play.rush_attempt)) {
+      const rusher = statsFor(play, play.rusher_player_id, play.rusher_player_name);
+      rusher.rushing_attempts++;
+      rusher.rushing_yards += amount(play.rushing_yards);
+      if (flag(play.rush_touchdown)) rusher.rushing_touchdowns++;
+      rusher.rushing_epa += amount(play.epa);
+    }
+
+    if (play.receiver_player_id && flag(play.pass_attempt)) {
+      const receiver = statsFor(play, play.receiver_player_id, play.receiver_player_name);
+      receiver.targets++;
+      if (flag(play.complete_pass)) receiver.receptions++;
+      receiver.receiving_yards += amount(play.receiving_yards);
+      if (flag(play.pass_touchdown)) receiver.receiving_touchdowns++;
+      receiver.receiving_epa += amount(play.epa);
+    }
+
+    if (play.kicker_player_id && play.field_goal_result) {
+      const kicker = statsFor(play, play.kicker_player_id, play.kicker_player_name);
+      kicker.field_goals_attempted++;
+      if (play.field_goal_result === 'made') {
+        kicker.field_goals_made++;
+        const distance = toNumber(play.kick_distance);
+        if (distance !== null) kicker.field_goal_long = Math.max(kicker.field_goal_long ?? 0, distance);
+      }
+    }
+
+    if (play.kicker_player_id && play.extra_point_result) {
+      const kicker = statsFor(play, play.kicker_player_id, play.kicker_player_name);
+      kicker.extra_points_attempted++;
+      if (play.extra_point_result === 'good') kicker.extra_points_made++;
+    }
+
+    // Defensive and return scores count too; the scorer may not be on offense
+    if (play.td_player_id) statsFor(play, play.td_player_id, play.td_player_name, false).touchdowns++;
+  }
+  return players;
+}
+
+// Row for PLAYER_STATS_TABLE; EPA sums rounded to 4 places
+function toPlayerGameRow(stats, now = new Date().toISOString()) {
+  return {
+    ...stats,
+    passing_epa: round(stats.passing_epa),
+    rushing_epa: round(stats.rushing_epa),
+    receiving_epa: round(stats.receiving_epa),
+    updated_at: now
+  };
+}
+
+// Games whose play-by-play is final: an END GAME row or a final result
+function completedGames(plays) {
+  const games = new Set();
+  for (const play of plays) {
+    if (/^END GAME/i.test(play.desc || '') || toNumber(play.result) !== null) games.add(play.game_id);
+  }
+  return games;
+}
+
+module.exports = {
+  PLAYER_STATS_TABLE,
+  PLAYER_STAT_PLAY_COLUMNS,
+  aggregatePlayerStats,
+  completedGames,
+  toPlayerGameRow,
+  statsKey
+};
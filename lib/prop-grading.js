@@ -0,0 +1,90 @@
+// Settle player-prop lines against per-player game stats (lib/player-stats.js).
+// Every prop_type lib/odds-markets.js produces has a stat here:
+//
+//   over / under   won above / below the line, push on it
+//   yes / no       anytime TD: yes wins with at least one touchdown
+//   void           the player didn't take the field (inactive / DNP)
+//
+// A player who played but has no stat row (no carries, targets or scores) is
+// graded on zeros: unders win, overs lose, anytime TD "yes" loses.
+//
+// Lines that can't be settled (unknown prop type, missing line) get no grade.
+
+const GRADES_TABLE = 'nfl_prop_grades';
+
+const PROP_STATS = {
+  passing_yards: s => s.passing_yards,
+  passing_touchdowns: s => s.passing_touchdowns,
+  passing_attempts: s => s.passing_attempts,
+  passing_completions: s => s.passing_completions,
+  pass_interceptions: s => s.pass_interceptions,
+  rushing_yards: s => s.rushing_yards,
+  rushing_attempts: s => s.rushing_attempts,
+  rushing_touchdowns: s => s.rushing_touchdowns,
+  rush_reception_yards: s => s.rushing_yards + s.receiving_yards,
+  receiving_yards: s => s.receiving_yards,
+  receptions: s => s.receptions,
+  receiving_touchdowns: s => s.receiving_touchdowns,
+  anytime_touchdown: s => s.touchdowns,
+  field_goals: s => s.field_goals_made
+};
+
+function compare(actual, line) {
+  if (actual > line) return 1;
+  if (actual < line) return -1;
+  return 0;
+}
+
+// { result: 'won' | 'lost' | 'push' | 'void', actual } or null when the line
+// can't be graded. `stats` is undefined when the player had no plays; `played`
+// says whether they were on the field (lib/player-participation.js).
+function gradeLine(line, stats, { played = Boolean(stats) } = {}) {
+  const stat = PROP_STATS[line.prop_type];
+  if (!stat) return null;
+
+  const side = line.bet_type;
+  const overUnder = side === 'over' || side === 'under';
+  if (!overUnder && side !== 'yes' && side !== 'no') return null;
+  if (overUnder && (line.line_value === null || line.line_value === undefined)) return null;
+
+  if (!stats && !played) return { result: 'void', actual: null };
+  const actual = stats ? stat(stats) : 0;
+
+  if (overUnder) {
+    const diff = compare(actual, Number(line.line_value));
+    if (diff === 0) return { result: 'push', actual };
+    return { result: (diff > 0) === (side === 'over') ? 'won' : 'lost', actual };
+  }
+  const scored = actual >= 1;
+  return { result: scored === (side === 'yes') ? 'won' : 'lost', actual };
+}
+
+// Row for GRADES_TABLE
+function toGradeRow(sourceTable, line, grade, now = new Date().toISOString()) {
+  return {
+    source_table: sourceTable,
+    line_id: line.id,
+    event_id: line.event_id,
+    game_id: line.game_id,
+    commence_time: line.commence_time,
+    player_id: line.player_id,
+    player_name: line.player_name,
+    bookmaker_key: line.bookmaker_key,
+    market_key: line.market_key,
+    prop_type: line.prop_type,
+    bet_type: line.bet_type,
+    line_value: line.line_value ?? null,
+    decimal_price: line.decimal_price ?? null,
+    american_price: line.american_price ?? null,
+    actual_value: grade.actual,
+    result: grade.result,
+    graded_at: now
+  };
+}
+
+module.exports = {
+  GRADES_TABLE,
+  PROP_STATS,
+  gradeLine,
+  toGradeRow
+};
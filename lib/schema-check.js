@@ -0,0 +1,137 @@
+const { getTable } = require('./tables');
+const { sqlType } = require('./ddl');
+
+// Live schema check run before the first write: compares the table in the
+// database with its definition in lib/tables.js. The storage backend
+// introspects the table (lib/storage.js); on Supabase and Postgres through the
+// updater_table_schema function (migrations/000_updater_table_schema.sql).
+// Backends without a schema (the file sink) skip the check.
+
+function indexColumns(definition) {
+  // CREATE UNIQUE INDEX name ON public.t USING btree (a, "desc")
+  const match = definition.match(/\(([^()]*)\)\s*$/);
+  if (!match) return [];
+  return match[1].split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+}
+
+function sameColumns(a, b) {
+  return a.length === b.length && a.every(c => b.includes(c));
+}
+
+async function fetchTableSchema(storage, tableName) {
+  const { data, error } = await storage.describeTable(tableName);
+  if (error) {
+    const hint = /updater_table_schema/.test(error.message || '')
+      ? ' - apply migrations/000_updater_table_schema.sql'
+      : '';
+    throw new Error(`Schema check failed for ${tableName}: ${error.message}${hint}`);
+  }
+  return data;
+}
+
+// Pure comparison of a definition against introspected { exists, columns, indexes }.
+// `columns` limits the required columns to those actually written.
+function compareTableSchema(table, live, { columns } = {}) {
+  // Columns outside the definition (e.g. a custom overflow column) are only
+  // checked for existence
+  const required = columns
+    ? columns.map(name => table.columns.find(c => c.name === name) || { name, type: null })
+    : table.columns.filter(c => !c.optional);
+  const report = {
+    table: table.name,
+    ok: true,
+    missingTable: false,
+    missingColumns: [],
+    typeMismatches: [],
+    missingConflictIndex: null,
+    missingIndexes: []
+  };
+
+  if (!live || !live.exists) {
+    report.ok = false;
+    report.missingTable = true;
+    return report;
+  }
+
+  const liveColumns = new Map(live.columns.map(c => [c.name, c]));
+  for (const column of required) {
+    const found = liveColumns.get(column.name);
+    if (!found) {
+      report.missingColumns.push(column.name);
+    } else if (column.type && found.type !== sqlType(column.type)) {
+      report.typeMismatches.push({ column: column.name, expected: sqlType(column.type), actual: found.type });
+    }
+  }
+
+  const liveIndexes = live.indexes.map(i => ({
+    unique: /CREATE UNIQUE INDEX/i.test(i.definition),
+    partial: /\)\s+WHERE\s+/i.test(i.definition),
+    columns: indexColumns(i.definition)
+  }));
+
+  if (table.conflictKey) {
+    const hasConflictIndex = liveIndexes.some(i => i.unique && !i.partial && sameColumns(i.columns, table.conflictKey));
+    if (!hasConflictIndex) report.missingConflictIndex = table.conflictKey;
+  }
+  for (const columns of table.indexes || []) {
+    if (!liveIndexes.some(i => sameColumns(i.columns.slice(0, columns.length), columns))) {
+      report.missingIndexes.push(columns);
+    }
+  }
+
+  // Type mismatches and plain indexes only cost performance / precision; a
+  // missing column or conflict index makes every upsert fail
+  report.ok = report.missingColumns.length === 0 && !report.missingConflictIndex;
+  return report;
+}
+
+function describeProblems(report) {
+  const problems = [];
+  if (report.missingTable) problems.push('table does not exist');
+  if (report.missingColumns.length) problems.push(`missing columns: ${report.missingColumns.join(', ')}`);
+  if (report.missingConflictIndex) problems.push(`no unique index on (${report.missingConflictIndex.join(', ')})`);
+  return problems;
+}
+
+function logSchemaReport(report) {
+  if (report.ok) {
+    console.log(`🗄️ Schema check: ${report.table} OK`);
+  } else {
+    console.log(`❌ Schema check: ${report.table} - ${describeProblems(report).join('; ')}`);
+  }
+  for (const m of report.typeMismatches) {
+    console.log(`   ⚠️ ${report.table}.${m.column} is ${m.actual}, expected ${m.expected}`);
+  }
+  for (const columns of report.missingIndexes) {
+    console.log(`   ⚠️ ${report.table}: no index on (${columns.join(', ')})`);
+  }
+}
+
+async function verifyTableSchema(storage, tableName, options = {}) {
+  const table = getTable(tableName);
+  if (!storage.describeTable) {
+    console.log(`⏭️ Schema check: ${tableName} skipped (${storage.kind} storage)`);
+    return { table: tableName, ok: true, skipped: true };
+  }
+  const live = await fetchTableSchema(storage, tableName);
+  const report = compareTableSchema(table, live, options);
+  logSchemaReport(report);
+  return report;
+}
+
+// Verify and throw when the table can't take the writes the updater is about
+// to make. Fix by applying the SQL in migrations/.
+async function assertTableSchema(storage, tableName, options = {}) {
+  const report = await verifyTableSchema(storage, tableName, options);
+  if (!report.ok) {
+    throw new Error(`${tableName} does not match lib/tables.js (${describeProblems(report).join('; ')}) - apply migrations/ or run with --skip-schema-check`);
+  }
+  return report;
+}
+
+module.exports = {
+  fetchTableSchema,
+  compareTableSchema,
+  verifyTableSchema,
+  assertTableSchema
+};
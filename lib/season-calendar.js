@@ -0,0 +1,136 @@
+// NFL season calendar shared by the updaters. Dates are derived from the
+// league's scheduling rules instead of being hardcoded per season:
+//   - Kickoff is the Thursday after Labor Day (first Monday in September)
+//   - 18 regular-season weeks since 2021, 17 before that
+//   - Wild Card, Divisional and Conference weeks follow, then an off week,
+//     then the Super Bowl (nflverse numbers it REG + 4)
+// Explicit overrides: NFL_SEASON pins the current season, NFL_SEASON_START /
+// NFL_SEASON_END (ISO dates) replace that season's window.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Weeks run Tuesday → Monday. The boundary sits at 12:00 UTC on Tuesday so a
+// Monday night game (which ends after midnight UTC) stays in its own week.
+const WEEK_BOUNDARY_HOUR_UTC = 12;
+
+// Preseason games start roughly five weeks before kickoff; from then on a
+// date belongs to the new season rather than the previous one.
+const PRESEASON_WEEKS = 5;
+
+function regularSeasonWeeks(season) {
+  return season >= 2021 ? 18 : 17;
+}
+
+function laborDay(year) {
+  const sep1 = new Date(Date.UTC(year, 8, 1));
+  const offset = (8 - sep1.getUTCDay()) % 7; // days until Monday
+  return new Date(Date.UTC(year, 8, 1 + offset));
+}
+
+// Key dates for one season, all as Date objects (UTC)
+function getSeasonSchedule(season) {
+  const labor = laborDay(season);
+  const kickoff = new Date(labor.getTime() + 3 * DAY_MS);
+  const week1Start = new Date(labor.getTime() + DAY_MS + WEEK_BOUNDARY_HOUR_UTC * 60 * 60 * 1000);
+  const regWeeks = regularSeasonWeeks(season);
+  const weekStart = (week) => new Date(week1Start.getTime() + (week - 1) * WEEK_MS);
+
+  const postseasonStart = weekStart(regWeeks + 1);
+  // Calendar week regWeeks + 4 is the off week before the Super Bowl
+  const superBowl = new Date(weekStart(regWeeks + 5).getTime() + 5 * DAY_MS - WEEK_BOUNDARY_HOUR_UTC * 60 * 60 * 1000);
+  const postseasonEnd = weekStart(regWeeks + 6);
+
+  return {
+    season,
+    regularSeasonWeeks: regWeeks,
+    preseasonStart: new Date(week1Start.getTime() - PRESEASON_WEEKS * WEEK_MS),
+    kickoff,
+    regularSeasonStart: week1Start,
+    regularSeasonEnd: postseasonStart,
+    postseasonStart,
+    superBowl,
+    postseasonEnd
+  };
+}
+
+// Season year a date belongs to (2025 for Sep 2025 → Feb 2026)
+function getSeasonForDate(date = new Date()) {
+  const year = date.getUTCFullYear();
+  return date >= getSeasonSchedule(year).preseasonStart ? year : year - 1;
+}
+
+// Season type and nflverse week number for any date. Week is null outside
+// REG/POST; the off week before the Super Bowl already reports its week.
+// `season` pins the season (e.g. an NFL_SEASON override) instead of the one
+// the date falls in.
+function getWeekInfo(date = new Date(), { season = getSeasonForDate(date) } = {}) {
+  const schedule = getSeasonSchedule(season);
+  const t = date.getTime();
+
+  if (t < schedule.regularSeasonStart.getTime()) {
+    return { season, seasonType: 'PRE', week: null };
+  }
+  if (t >= schedule.postseasonEnd.getTime()) {
+    return { season, seasonType: 'OFF', week: null };
+  }
+
+  const calendarWeek = Math.floor((t - schedule.regularSeasonStart.getTime()) / WEEK_MS) + 1;
+  if (calendarWeek <= schedule.regularSeasonWeeks) {
+    return { season, seasonType: 'REG', week: calendarWeek };
+  }
+  return {
+    season,
+    seasonType: 'POST',
+    week: Math.min(calendarWeek, schedule.regularSeasonWeeks + 4)
+  };
+}
+
+function parseOverrideDate(name, value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new Error(`${name} is not a valid date: "${value}"`);
+  return d;
+}
+
+function seasonOverridesFromEnv(env = process.env) {
+  const overrides = {};
+  if (env.NFL_SEASON) {
+    const season = Number(env.NFL_SEASON);
+    if (!Number.isInteger(season)) throw new Error(`NFL_SEASON is not a year: "${env.NFL_SEASON}"`);
+    overrides.season = season;
+  }
+  if (env.NFL_SEASON_START) overrides.start = parseOverrideDate('NFL_SEASON_START', env.NFL_SEASON_START);
+  if (env.NFL_SEASON_END) overrides.end = parseOverrideDate('NFL_SEASON_END', env.NFL_SEASON_END);
+  return overrides;
+}
+
+// Current season and its active window (kickoff → end of postseason).
+// `overrides` ({ season, start, end }) take precedence over the calendar.
+function getSeasonWindow(date = new Date(), overrides = seasonOverridesFromEnv()) {
+  const season = overrides.season || getSeasonForDate(date);
+  const schedule = getSeasonSchedule(season);
+  return {
+    season,
+    start: overrides.start || schedule.kickoff,
+    end: overrides.end || schedule.postseasonEnd,
+    overridden: Boolean(overrides.season || overrides.start || overrides.end),
+    schedule
+  };
+}
+
+// Whether `date` falls in the season window, widened by leadDays before
+// kickoff and trailDays after the postseason
+function isInSeason(date = new Date(), { leadDays = 0, trailDays = 0, overrides } = {}) {
+  const window = getSeasonWindow(date, overrides);
+  const t = date.getTime();
+  return t >= window.start.getTime() - leadDays * DAY_MS && t <= window.end.getTime() + trailDays * DAY_MS;
+}
+
+module.exports = {
+  getSeasonSchedule,
+  getSeasonForDate,
+  getWeekInfo,
+  getSeasonWindow,
+  seasonOverridesFromEnv,
+  isInSeason
+};
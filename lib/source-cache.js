@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// On-disk cache for downloaded source files. Each URL gets a data file plus a
+// JSON sidecar with its ETag, Last-Modified and content hash. Requests are
+// conditional (If-None-Match / If-Modified-Since) so an unchanged release
+// asset costs a 304 instead of a full download.
+//
+// `syncedSha256` is set by the caller once a file has been fully processed;
+// content whose hash matches it can be skipped on the next run.
+
+const DEFAULT_CACHE_DIR = '.cache/sources';
+
+function cachePaths(dir, url) {
+  const key = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+  const base = path.basename(new URL(url).pathname) || 'source';
+  return {
+    data: path.join(dir, `${key}-${base}`),
+    meta: path.join(dir, `${key}-${base}.json`)
+  };
+}
+
+function readMeta(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeMeta(file, meta) {
+  fs.writeFileSync(file, JSON.stringify(meta, null, 2));
+}
+
+function hashingStream(hash) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+}
+
+function createSourceCache({ dir = DEFAULT_CACHE_DIR, fetch } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Resolve `url` to a local file. Result:
+  //   { status: 'downloaded' | 'not_modified' | 'offline' | 'http_error', file, meta, unchanged, response }
+  // `unchanged` is true when the content hash matches the last synced hash.
+  async function get(url, { headers = {}, offline = false } = {}) {
+    const paths = cachePaths(dir, url);
+    const meta = readMeta(paths.meta);
+    const cached = meta && fs.existsSync(paths.data) ? meta : null;
+
+    if (offline) {
+      if (!cached) return { status: 'missing', file: null, meta: null, unchanged: false };
+      return { status: 'offline', file: paths.data, meta: cached, unchanged: false };
+    }
+
+    const conditional = { ...headers };
+    if (cached && cached.etag) conditional['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+
+    const response = await fetch(url, { headers: conditional });
+
+    if (response.status === 304 && cached) {
+      return {
+        status: 'not_modified',
+        file: paths.data,
+        meta: cached,
+        unchanged: cached.sha256 === cached.syncedSha256,
+        response
+      };
+    }
+
+    if (!response.ok) {
+      return { status: 'http_error', file: null, meta: cached, unchanged: false, response };
+    }
+
+    // Stream to a temp file while hashing, then swap it in
+    const hash = crypto.createHash('sha256');
+    const tmp = `${paths.data}.tmp`;
+    await pipeline(response.body, hashingStream(hash), fs.createWriteStream(tmp));
+    fs.renameSync(tmp, paths.data);
+
+    const next = {
+      url,
+      etag: response.headers.get('etag') || null,
+      lastModified: response.headers.get('last-modified') || null,
+      sha256: hash.digest('hex'),
+      size: fs.statSync(paths.data).size,
+      fetchedAt: new Date().toISOString(),
+      syncedSha256: cached ? cached.syncedSha256 || null : null,
+      syncedAt: cached ? cached.syncedAt || null : null
+    };
+    writeMeta(paths.meta, next);
+
+    return {
+      status: 'downloaded',
+      file: paths.data,
+      meta: next,
+      unchanged: next.sha256 === next.syncedSha256,
+      response
+    };
+  }
+
+  // Record that the cached content for `url` was processed successfully
+  function markSynced(url) {
+    const paths = cachePaths(dir, url);
+    const meta = readMeta(paths.meta);
+    if (!meta) return;
+    meta.syncedSha256 = meta.sha256;
+    meta.syncedAt = new Date().toISOString();
+    writeMeta(paths.meta, meta);
+  }
+
+  return { dir, get, markSynced };
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  createSourceCache
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const { TABLES } = require('./tables');
+
+// File sink storage adapter: every write is appended to <dir>/<table>.jsonl
+// (or .csv) for inspecting what a run would store, diffing runs or feeding
+// another tool. It is write-only - reads return no rows, so incremental state,
+// line history and the post-sync aggregates start from nothing each run - and
+// an upsert is an append, not a merge.
+
+const FORMATS = ['jsonl', 'csv'];
+
+const DEFINED_COLUMNS = new Map(TABLES.map(table => [table.name, table.columns.map(c => c.name)]));
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createFileStorage({ dir, format = 'jsonl' }) {
+  if (!FORMATS.includes(format)) throw new Error(`STORAGE_FORMAT must be ${FORMATS.join(' or ')} (got "${format}")`);
+  fs.mkdirSync(dir, { recursive: true });
+  // CSV header per table: the file's existing header, else the definition's
+  // columns plus any others in the first rows written
+  const headers = new Map();
+
+  function csvHeader(file, table, rows) {
+    if (headers.has(table)) return headers.get(table);
+    let columns;
+    if (fs.existsSync(file) && fs.statSync(file).size > 0) {
+      columns = fs.readFileSync(file, 'utf8').split(/\r?\n/, 1)[0].split(',');
+    } else {
+      const defined = DEFINED_COLUMNS.get(table) || [];
+      const extra = new Set();
+      for (const row of rows) for (const column of Object.keys(row)) if (!defined.includes(column)) extra.add(column);
+      columns = [...defined, ...extra];
+      fs.writeFileSync(file, `${columns.join(',')}\n`);
+    }
+    headers.set(table, columns);
+    return columns;
+  }
+
+  function append(table, rows) {
+    const file = path.join(dir, `${table}.${format}`);
+    let text;
+    if (format === 'csv') {
+      const columns = csvHeader(file, table, rows);
+      text = rows.map(row => columns.map(column => csvValue(row[column])).join(',')).join('\n');
+    } else {
+      text = rows.map(row => JSON.stringify(row)).join('\n');
+    }
+    fs.appendFileSync(file, `${text}\n`);
+    return { error: null };
+  }
+
+  return {
+    kind: 'file',
+    description: `${format.toUpperCase()} files in ${dir}`,
+    async select() {
+      return { data: [], error: null };
+    },
+    async upsert(table, rows) {
+      return append(table, rows);
+    },
+    async insert(table, rows) {
+      return append(table, rows);
+    },
+    async delete() {
+      return { error: null };
+    },
+    // No schema to check
+    describeTable: null,
+    async close() {}
+  };
+}
+
+module.exports = {
+  createFileStorage
+};
@@ -0,0 +1,99 @@
+const { quote, rowColumns, chunkRows, selectSql, insertSql, deleteSql } = require('./storage-query');
+
+// Direct Postgres storage adapter (node-postgres, an optional dependency) for
+// a local or self-hosted database. Create the tables with the same
+// migrations/ files Supabase uses: `psql "$DATABASE_URL" -f migrations/<file>`.
+
+const SCHEMA = 'public';
+// Postgres caps a statement at 65535 bound parameters
+const MAX_PARAMS = 65535;
+
+// Return dates, timestamps and numerics the way PostgREST does (strings /
+// numbers) rather than Date objects and numeric strings
+const RAW = (value) => value;
+const TYPE_PARSERS = {
+  1082: RAW, // date
+  1114: RAW, // timestamp
+  1184: RAW, // timestamptz
+  1700: parseFloat, // numeric
+  20: (value) => Number(value) // bigint
+};
+
+const dialect = {
+  placeholder: (i) => `$${i}`,
+  table: (name) => `${SCHEMA}.${quote(name)}`,
+  encode(value, type) {
+    // node-postgres turns JS arrays into Postgres arrays; jsonb wants JSON
+    if (type === 'jsonb' && value !== null && typeof value !== 'string') return JSON.stringify(value);
+    return value;
+  }
+};
+
+function loadDriver() {
+  try {
+    return require('pg');
+  } catch (error) {
+    throw new Error('STORAGE=postgres needs the "pg" package (npm install pg)');
+  }
+}
+
+function createPostgresStorage({ databaseUrl }) {
+  if (!databaseUrl) throw new Error('STORAGE=postgres needs DATABASE_URL');
+  const { Pool, types } = loadDriver();
+  const pool = new Pool({
+    connectionString: databaseUrl,
+    max: 2,
+    types: {
+      getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format)
+    }
+  });
+
+  async function write(table, rows, options) {
+    const columns = rowColumns(rows);
+    for (const chunk of chunkRows(rows, columns.length, MAX_PARAMS)) {
+      const { text, values } = insertSql(table, chunk, columns, dialect, options);
+      await pool.query(text, values);
+    }
+  }
+
+  return {
+    kind: 'postgres',
+    description: `Postgres ${new URL(databaseUrl).host}`,
+
+    async select(table, options) {
+      const { text, values } = selectSql(table, options, dialect);
+      const { rows } = await pool.query(text, values);
+      return { data: rows, error: null };
+    },
+
+    async upsert(table, rows, options) {
+      await write(table, rows, options);
+      return { error: null };
+    },
+
+    async insert(table, rows) {
+      await write(table, rows);
+      return { error: null };
+    },
+
+    async delete(table, options) {
+      const { text, values } = deleteSql(table, options, dialect);
+      await pool.query(text, values);
+      return { error: null };
+    },
+
+    // Same introspection function the Supabase check calls over RPC
+    async describeTable(table) {
+      const { rows } = await pool.query(`SELECT ${SCHEMA}.updater_table_schema($1) AS schema`, [table]);
+      return { data: rows[0].schema, error: null };
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
+
+module.exports = {
+  createPostgresStorage
+};
@@ -0,0 +1,134 @@
+const { TABLES } = require('./tables');
+
+// Query pieces shared by the storage adapters (lib/storage.js). A `where` is a
+// plain object, every entry ANDed:
+//
+//   { event_id: 'abc' }                         equals
+//   { game_id: { in: ['2025_01_KC_BAL'] } }     one of
+//   { commence_time: { gte: a, lt: b } }        ranges (gt, gte, lt, lte)
+//   { player_id: { not: null } }                IS NOT NULL
+//
+// The SQL builders serve the Postgres and SQLite adapters; `dialect` supplies
+// the placeholder style, table naming and value encoding.
+
+const RANGE_OPS = ['gt', 'gte', 'lt', 'lte'];
+const SQL_OPS = { eq: '=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+function isCondition(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// [{ column, op, value }] with op one of eq, in, gt, gte, lt, lte, notNull
+function conditions(where = {}) {
+  const list = [];
+  for (const [column, condition] of Object.entries(where)) {
+    if (!isCondition(condition)) {
+      list.push({ column, op: 'eq', value: condition });
+      continue;
+    }
+    for (const [op, value] of Object.entries(condition)) {
+      if (op === 'in') {
+        list.push({ column, op: 'in', value: [...value] });
+      } else if (op === 'not' && value === null) {
+        list.push({ column, op: 'notNull' });
+      } else if (RANGE_OPS.includes(op)) {
+        list.push({ column, op, value });
+      } else {
+        throw new Error(`Unsupported condition on ${column}: ${op}`);
+      }
+    }
+  }
+  return list;
+}
+
+function quote(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Definition columns by name, for value encoding / decoding
+const COLUMN_TYPES = new Map(TABLES.map(table => [table.name, new Map(table.columns.map(c => [c.name, c.type]))]));
+
+function columnType(table, column) {
+  return COLUMN_TYPES.get(table)?.get(column) || null;
+}
+
+// Every column that appears in any of the rows, in first-seen order
+function rowColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) for (const column of Object.keys(row)) columns.add(column);
+  return [...columns];
+}
+
+// Split rows so no statement needs more than `maxParams` bound values
+function chunkRows(rows, columnCount, maxParams) {
+  const size = Math.max(1, Math.floor(maxParams / Math.max(1, columnCount)));
+  const chunks = [];
+  for (let i = 0; i < rows.length; i += size) chunks.push(rows.slice(i, i + size));
+  return chunks;
+}
+
+function whereSql(table, where, dialect, values) {
+  const parts = conditions(where).map(({ column, op, value }) => {
+    const name = quote(column);
+    if (op === 'notNull') return `${name} IS NOT NULL`;
+    if (op === 'in') {
+      if (!value.length) return '1 = 0';
+      const placeholders = value.map(v => {
+        values.push(dialect.encode(v, columnType(table, column)));
+        return dialect.placeholder(values.length);
+      });
+      return `${name} IN (${placeholders.join(', ')})`;
+    }
+    if (op === 'eq' && value === null) return `${name} IS NULL`;
+    values.push(dialect.encode(value, columnType(table, column)));
+    return `${name} ${SQL_OPS[op]} ${dialect.placeholder(values.length)}`;
+  });
+  return parts.length ? ` WHERE ${parts.join(' AND ')}` : '';
+}
+
+// SELECT with optional ascending `order` columns and inclusive `range: [from, to]`
+function selectSql(table, { columns, where, order = [], range } = {}, dialect) {
+  const values = [];
+  const list = columns && columns.length ? columns.map(quote).join(', ') : '*';
+  let text = `SELECT ${list} FROM ${dialect.table(table)}${whereSql(table, where, dialect, values)}`;
+  if (order.length) text += ` ORDER BY ${order.map(quote).join(', ')}`;
+  if (range) text += ` LIMIT ${range[1] - range[0] + 1} OFFSET ${range[0]}`;
+  return { text, values };
+}
+
+// INSERT of `rows` (all with `columns`; missing values are NULL). With
+// `onConflict` an upsert: conflicting rows are updated, or left alone with
+// `ignoreDuplicates`.
+function insertSql(table, rows, columns, dialect, { onConflict, ignoreDuplicates = false } = {}) {
+  const values = [];
+  const tuples = rows.map(row => `(${columns.map(column => {
+    values.push(dialect.encode(row[column] ?? null, columnType(table, column)));
+    return dialect.placeholder(values.length);
+  }).join(', ')})`);
+
+  let text = `INSERT INTO ${dialect.table(table)} (${columns.map(quote).join(', ')}) VALUES ${tuples.join(', ')}`;
+  if (onConflict) {
+    const updates = columns.filter(column => !onConflict.includes(column));
+    text += ` ON CONFLICT (${onConflict.map(quote).join(', ')})`;
+    text += ignoreDuplicates || !updates.length
+      ? ' DO NOTHING'
+      : ` DO UPDATE SET ${updates.map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ')}`;
+  }
+  return { text, values };
+}
+
+function deleteSql(table, { where } = {}, dialect) {
+  const values = [];
+  return { text: `DELETE FROM ${dialect.table(table)}${whereSql(table, where, dialect, values)}`, values };
+}
+
+module.exports = {
+  conditions,
+  quote,
+  columnType,
+  rowColumns,
+  chunkRows,
+  selectSql,
+  insertSql,
+  deleteSql
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { TABLES } = require('./tables');
+const { sqlType, conflictIndexName, indexName } = require('./ddl');
+const { quote, columnType, rowColumns, chunkRows, selectSql, insertSql, deleteSql } = require('./storage-query');
+
+// SQLite storage adapter (better-sqlite3, an optional dependency) for local
+// runs and CI without a Postgres server. The database file is created on
+// first use and every table in lib/tables.js is created / brought up to date
+// on open, so no migrations are needed. Views are Postgres SQL and are skipped.
+//
+// Columns are declared with their Postgres type names, which SQLite accepts
+// (and which keeps the schema check's type comparison meaningful). Booleans
+// are stored as 0 / 1 and jsonb as JSON text; both are decoded on read.
+
+// SQLITE_MAX_VARIABLE_NUMBER in current SQLite builds
+const MAX_PARAMS = 32766;
+
+const dialect = {
+  placeholder: () => '?',
+  table: (name) => quote(name),
+  encode(value, type) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (type === 'jsonb' || typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+};
+
+function decode(table, row) {
+  for (const [column, value] of Object.entries(row)) {
+    if (value === null) continue;
+    const type = columnType(table, column);
+    if (type === 'boolean') row[column] = Boolean(value);
+    else if (type === 'jsonb' && typeof value === 'string') row[column] = JSON.parse(value);
+  }
+  return row;
+}
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE=sqlite needs the "better-sqlite3" package (npm install better-sqlite3)');
+  }
+}
+
+// CREATE TABLE / ADD COLUMN / CREATE INDEX for every definition
+function migrate(db) {
+  for (const table of TABLES) {
+    const name = quote(table.name);
+    const existing = new Set(db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name));
+    if (!existing.size) {
+      const columns = table.columns.map(c => `${quote(c.name)} ${sqlType(c.type)}${c.nullable === false ? ' NOT NULL' : ''}`);
+      db.exec(`CREATE TABLE ${name} (${columns.join(', ')})`);
+    } else {
+      // SQLite can't add a NOT NULL column without a default; newer columns stay nullable
+      for (const column of table.columns.filter(c => !existing.has(c.name))) {
+        db.exec(`ALTER TABLE ${name} ADD COLUMN ${quote(column.name)} ${sqlType(column.type)}`);
+      }
+    }
+    if (table.conflictKey) {
+      db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS ${quote(conflictIndexName(table))} ON ${name} (${table.conflictKey.map(quote).join(', ')})`);
+    }
+    for (const columns of table.indexes || []) {
+      db.exec(`CREATE INDEX IF NOT EXISTS ${quote(indexName(table, columns))} ON ${name} (${columns.map(quote).join(', ')})`);
+    }
+  }
+}
+
+function createSqliteStorage({ file }) {
+  const Database = loadDriver();
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+
+  const statements = new Map();
+  const prepare = (text) => {
+    if (!statements.has(text)) statements.set(text, db.prepare(text));
+    return statements.get(text);
+  };
+
+  const write = db.transaction((table, rows, options) => {
+    const columns = rowColumns(rows);
+    for (const chunk of chunkRows(rows, columns.length, MAX_PARAMS)) {
+      const { text, values } = insertSql(table, chunk, columns, dialect, options);
+      prepare(text).run(values);
+    }
+  });
+
+  return {
+    kind: 'sqlite',
+    description: `SQLite ${file}`,
+
+    async select(table, options) {
+      const { text, values } = selectSql(table, options, dialect);
+      return { data: prepare(text).all(values).map(row => decode(table, row)), error: null };
+    },
+
+    async upsert(table, rows, options) {
+      write(table, rows, options);
+      return { error: null };
+    },
+
+    async insert(table, rows) {
+      write(table, rows);
+      return { error: null };
+    },
+
+    async delete(table, options) {
+      const { text, values } = deleteSql(table, options, dialect);
+      prepare(text).run(values);
+      return { error: null };
+    },
+
+    // Same { exists, columns, indexes } shape as updater_table_schema()
+    async describeTable(table) {
+      const columns = db.prepare(`PRAGMA table_info(${quote(table)})`).all();
+      const indexes = db.prepare("SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL").all(table);
+      return {
+        data: {
+          exists: columns.length > 0,
+          columns: columns.map(c => ({ name: c.name, type: c.type.toLowerCase(), nullable: !c.notnull })),
+          indexes: indexes.map(i => ({ name: i.name, definition: i.sql }))
+        },
+        error: null
+      };
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStorage
+};
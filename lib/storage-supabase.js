@@ -0,0 +1,55 @@
+const { createClient } = require('@supabase/supabase-js');
+const { conditions } = require('./storage-query');
+
+// Supabase storage adapter (the default): the PostgREST query builder behind
+// the lib/storage.js interface. Tables come from migrations/.
+
+function applyWhere(query, where) {
+  for (const { column, op, value } of conditions(where)) {
+    if (op === 'notNull') query = query.not(column, 'is', null);
+    else if (op === 'eq' && value === null) query = query.is(column, null);
+    else query = query[op](column, value);
+  }
+  return query;
+}
+
+function createSupabaseStorage({ url, serviceRoleKey }) {
+  if (!url || !serviceRoleKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables are required (or pick another STORAGE backend)');
+  }
+  const supabase = createClient(url, serviceRoleKey);
+
+  return {
+    kind: 'supabase',
+    description: `Supabase ${url}`,
+
+    async select(table, { columns, where, order = [], range } = {}) {
+      let query = applyWhere(supabase.from(table).select(columns && columns.length ? columns.join(',') : '*'), where);
+      for (const column of order) query = query.order(column, { ascending: true });
+      if (range) query = query.range(range[0], range[1]);
+      return query;
+    },
+
+    async upsert(table, rows, { onConflict, ignoreDuplicates = false }) {
+      return supabase.from(table).upsert(rows, { onConflict: onConflict.join(','), ignoreDuplicates });
+    },
+
+    async insert(table, rows) {
+      return supabase.from(table).insert(rows);
+    },
+
+    async delete(table, { where }) {
+      return applyWhere(supabase.from(table).delete(), where);
+    },
+
+    async describeTable(table) {
+      return supabase.rpc('updater_table_schema', { p_table: table });
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createSupabaseStorage
+};
@@ -0,0 +1,87 @@
+const { getArgValue } = require('./args');
+const { getTable } = require('./tables');
+
+// Storage backends for everything the updaters read and write. Pick one with
+// STORAGE (or --storage):
+//
+//   supabase   default; SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY
+//   postgres   any Postgres via DATABASE_URL; tables from migrations/
+//   sqlite     local file (SQLITE_PATH, default .data/nfl.db), schema created on open
+//   file       write-only JSONL / CSV files (STORAGE_DIR, STORAGE_FORMAT)
+//
+// Every backend has the same interface. Calls resolve to { data, error } like
+// the Supabase client, so callers check `error` rather than catching:
+//
+//   select(table, { columns, where, order, range })   rows; `order` ascending, `range` [from, to]
+//   upsert(table, rows, { onConflict, ignoreDuplicates })   onConflict defaults to the conflict key
+//   insert(table, rows)
+//   delete(table, { where })
+//   describeTable(table)   { exists, columns, indexes } for the schema check; null when unsupported
+//   close()
+//
+// `where` is described in lib/storage-query.js.
+
+const STORAGE_BACKENDS = ['supabase', 'postgres', 'sqlite', 'file'];
+const DEFAULT_SQLITE_PATH = '.data/nfl.db';
+const DEFAULT_STORAGE_DIR = '.data/files';
+
+function createAdapter(backend, env) {
+  switch (backend) {
+    case 'supabase':
+      return require('./storage-supabase').createSupabaseStorage({
+        url: env.SUPABASE_URL,
+        serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY
+      });
+    case 'postgres':
+      return require('./storage-postgres').createPostgresStorage({ databaseUrl: env.DATABASE_URL });
+    case 'sqlite':
+      return require('./storage-sqlite').createSqliteStorage({ file: env.SQLITE_PATH || DEFAULT_SQLITE_PATH });
+    case 'file':
+      return require('./storage-file').createFileStorage({
+        dir: env.STORAGE_DIR || DEFAULT_STORAGE_DIR,
+        format: env.STORAGE_FORMAT || 'jsonl'
+      });
+    default:
+      throw new Error(`STORAGE must be ${STORAGE_BACKENDS.join(', ')} (got "${backend}")`);
+  }
+}
+
+// Errors thrown by an adapter come back as { error } like a failed Supabase call
+async function settle(call) {
+  try {
+    return await call();
+  } catch (error) {
+    // `code` (a SQLSTATE or driver code) lets callers tell transient errors apart
+    return { data: null, error: { message: error?.message || String(error), code: error?.code } };
+  }
+}
+
+// Throws when the backend is unknown or misconfigured
+function createStorage({ argv = process.argv, env = process.env } = {}) {
+  const backend = getArgValue(argv, 'storage') || env.STORAGE || 'supabase';
+  const adapter = createAdapter(backend, env);
+
+  return {
+    kind: adapter.kind,
+    description: adapter.description,
+    select: (table, options = {}) => settle(() => adapter.select(table, options)),
+    upsert(table, rows, { onConflict = getTable(table).conflictKey, ignoreDuplicates = false } = {}) {
+      if (!rows.length) return Promise.resolve({ error: null });
+      return settle(() => adapter.upsert(table, rows, { onConflict, ignoreDuplicates }));
+    },
+    insert(table, rows) {
+      if (!rows.length) return Promise.resolve({ error: null });
+      return settle(() => adapter.insert(table, rows));
+    },
+    delete: (table, options = {}) => settle(() => adapter.delete(table, options)),
+    describeTable: adapter.describeTable
+      ? (table) => settle(() => adapter.describeTable(table))
+      : null,
+    close: () => adapter.close()
+  };
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  createStorage
+};
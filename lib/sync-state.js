@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Change detection for incremental PBP syncs. Every transformed play gets a
+// fingerprint (hash of its column values); a sync-state store remembers the
+// fingerprint last written for each (game_id, play_id) so unchanged plays can
+// be skipped. Two stores share one interface:
+//   prime(plays)        load what's known about these plays
+//   get(key)            last written fingerprint or undefined
+//   set(key, fp, play)  record a successful write
+//   flush()             persist recorded writes
+
+const SYNC_STATE_TABLE = 'nflfastr_pbp_sync_state';
+const STATE_UPSERT_BATCH_SIZE = 500;
+
+function playKey(play) {
+  return `${play.game_id}:${play.play_id}`;
+}
+
+// Values are hashed in the schema's column order, which the transform preserves
+function fingerprintPlay(play) {
+  return crypto.createHash('sha1').update(JSON.stringify(Object.values(play))).digest('hex');
+}
+
+// Split plays into new / changed / unchanged against the store
+function classifyPlays(plays, store) {
+  const result = { new: [], changed: [], unchanged: [] };
+  for (const play of plays) {
+    const key = playKey(play);
+    const fingerprint = fingerprintPlay(play);
+    const previous = store.get(key);
+    const entry = { play, key, fingerprint };
+    if (previous === undefined) result.new.push(entry);
+    else if (previous !== fingerprint) result.changed.push(entry);
+    else result.unchanged.push(entry);
+  }
+  return result;
+}
+
+// Local JSON file: { "<game_id>:<play_id>": "<fingerprint>" }
+function createFileSyncState(file) {
+  let fingerprints = {};
+  try {
+    fingerprints = JSON.parse(fs.readFileSync(file, 'utf8')).fingerprints || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Unreadable sync state ${file}: ${error.message}`);
+  }
+  let dirty = false;
+
+  return {
+    description: `file ${file}`,
+    async prime() {},
+    get: (key) => fingerprints[key],
+    set(key, fingerprint) {
+      fingerprints[key] = fingerprint;
+      dirty = true;
+    },
+    async flush() {
+      if (!dirty) return;
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ updatedAt: new Date().toISOString(), fingerprints }));
+      fs.renameSync(tmp, file);
+      dirty = false;
+    }
+  };
+}
+
+// nflfastr_pbp_sync_state table, loaded one game at a time as plays arrive
+function createTableSyncState(storage) {
+  const fingerprints = new Map();
+  const loadedGames = new Set();
+  let pending = [];
+
+  return {
+    description: `table ${SYNC_STATE_TABLE}`,
+    async prime(plays) {
+      const gameIds = [...new Set(plays.map(p => p.game_id))].filter(id => !loadedGames.has(id));
+      for (const gameId of gameIds) {
+        // Paged: a game has ~180 plays, well under one page, but stay safe
+        for (let from = 0; ; from += 1000) {
+          const { data, error } = await storage.select(SYNC_STATE_TABLE, {
+            columns: ['game_id', 'play_id', 'fingerprint'],
+            where: { game_id: gameId },
+            range: [from, from + 999]
+          });
+          if (error) throw new Error(`Sync state load failed: ${error.message}`);
+          for (const row of data) fingerprints.set(`${row.game_id}:${row.play_id}`, row.fingerprint);
+          if (data.length < 1000) break;
+        }
+        loadedGames.add(gameId);
+      }
+    },
+    get: (key) => fingerprints.get(key),
+    set(key, fingerprint, play) {
+      fingerprints.set(key, fingerprint);
+      pending.push({ game_id: play.game_id, play_id: play.play_id, fingerprint, synced_at: new Date().toISOString() });
+    },
+    async flush() {
+      while (pending.length) {
+        const batch = pending.slice(0, STATE_UPSERT_BATCH_SIZE);
+        const { error } = await storage.upsert(SYNC_STATE_TABLE, batch);
+        if (error) throw new Error(`Sync state save failed: ${error.message}`);
+        pending = pending.slice(batch.length);
+      }
+    }
+  };
+}
+
+module.exports = {
+  SYNC_STATE_TABLE,
+  playKey,
+  fingerprintPlay,
+  classifyPlays,
+  createFileSyncState,
+  createTableSyncState
+};
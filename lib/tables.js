@@ -0,0 +1,511 @@
+const { PBP_COLUMNS } = require('./pbp-schema');
+
+// Table definitions for everything the updaters write. These drive the SQL in
+// migrations/ (`npm run schema -- generate`) and the live schema check that
+// runs before the first write.
+//
+// Column types are logical; lib/ddl.js maps them to Postgres types. New tables
+// go at the end so existing migration file numbers stay stable.
+// `conflictKey` is the upsert onConflict target and must be backed by a
+// unique index. `views` are (re)created after the table's indexes.
+
+const PBP_TYPES = { numeric: 'numeric', double: 'double', text: 'text' };
+
+const TABLES = [
+  {
+    name: 'nflfastr_pbp',
+    description: 'nflfastR play-by-play, one row per play (index.js)',
+    columns: [
+      ...PBP_COLUMNS.map(c => ({ name: c.name, type: PBP_TYPES[c.type], nullable: c.nullable !== false })),
+      // Only written when PBP_OVERFLOW_COLUMN / --overflow is used
+      { name: 'extra_columns', type: 'jsonb', optional: true }
+    ],
+    conflictKey: ['play_id', 'game_id'],
+    indexes: [['game_id'], ['season', 'week']]
+  },
+  {
+    name: 'nfl_odds_alternate_lines',
+    description: 'Alternate player-prop lines from The Odds API (nfl-odds-alternate.js)',
+    columns: [
+      { name: 'id', type: 'text', nullable: false },
+      { name: 'event_id', type: 'text', nullable: false },
+      { name: 'sport_key', type: 'text' },
+      { name: 'commence_time', type: 'timestamptz' },
+      { name: 'home_team', type: 'text' },
+      { name: 'away_team', type: 'text' },
+      // nflverse game_id (2025_05_KC_JAX) and week, from lib/teams.js and the season calendar
+      { name: 'game_id', type: 'text' },
+      { name: 'week_number', type: 'integer' },
+      { name: 'season_year', type: 'integer' },
+      { name: 'bookmaker_key', type: 'text', nullable: false },
+      { name: 'bookmaker_title', type: 'text' },
+      { name: 'bookmaker_last_update', type: 'timestamptz' },
+      { name: 'market_key', type: 'text', nullable: false },
+      { name: 'market_name', type: 'text' },
+      { name: 'player_name', type: 'text', nullable: false },
+      // nflverse gsis ID (lib/player-identity.js); null until resolved
+      { name: 'player_id', type: 'text' },
+      { name: 'prop_type', type: 'text' },
+      { name: 'outcome_name', type: 'text', nullable: false },
+      { name: 'outcome_price', type: 'numeric' },
+      { name: 'decimal_price', type: 'numeric' },
+      { name: 'american_price', type: 'integer' },
+      { name: 'implied_probability', type: 'numeric' },
+      // No-vig probability from pairing with the opposite side (lib/odds-math.js)
+      { name: 'fair_probability', type: 'numeric' },
+      { name: 'line_value', type: 'numeric', nullable: false },
+      { name: 'bet_type', type: 'text' },
+      { name: 'updated_at', type: 'timestamptz' }
+    ],
+    conflictKey: ['event_id', 'bookmaker_key', 'market_key', 'player_name', 'line_value', 'outcome_name'],
+    indexes: [['id'], ['commence_time'], ['player_name', 'prop_type'], ['player_id'], ['game_id']]
+  },
+  {
+    name: 'nflfastr_pbp_sync_state',
+    description: 'Fingerprint of the last written version of each play (index.js --incremental)',
+    columns: [
+      { name: 'play_id', type: 'numeric', nullable: false },
+      { name: 'game_id', type: 'text', nullable: false },
+      { name: 'fingerprint', type: 'text', nullable: false },
+      { name: 'synced_at', type: 'timestamptz' }
+    ],
+    conflictKey: ['play_id', 'game_id'],
+    indexes: [['game_id']]
+  },
+  {
+    name: 'nfl_odds_player_props',
+    description: 'Main-line player props from The Odds API, current line per outcome (nfl-odds-alternate.js)',
+    columns: [
+      { name: 'id', type: 'text', nullable: false },
+      { name: 'event_id', type: 'text', nullable: false },
+      { name: 'sport_key', type: 'text' },
+      { name: 'commence_time', type: 'timestamptz' },
+      { name: 'home_team', type: 'text' },
+      { name: 'away_team', type: 'text' },
+      // nflverse game_id (2025_05_KC_JAX) and week, from lib/teams.js and the season calendar
+      { name: 'game_id', type: 'text' },
+      { name: 'week_number', type: 'integer' },
+      { name: 'season_year', type: 'integer' },
+      { name: 'bookmaker_key', type: 'text', nullable: false },
+      { name: 'bookmaker_title', type: 'text' },
+      { name: 'bookmaker_last_update', type: 'timestamptz' },
+      { name: 'market_key', type: 'text', nullable: false },
+      { name: 'market_name', type: 'text' },
+      { name: 'player_name', type: 'text', nullable: false },
+      // nflverse gsis ID (lib/player-identity.js); null until resolved
+      { name: 'player_id', type: 'text' },
+      { name: 'prop_type', type: 'text' },
+      { name: 'outcome_name', type: 'text', nullable: false },
+      { name: 'outcome_price', type: 'numeric' },
+      { name: 'decimal_price', type: 'numeric' },
+      { name: 'american_price', type: 'integer' },
+      { name: 'implied_probability', type: 'numeric' },
+      // No-vig probability from pairing with the opposite side (lib/odds-math.js)
+      { name: 'fair_probability', type: 'numeric' },
+      // Null for yes/no markets such as anytime TD
+      { name: 'line_value', type: 'numeric' },
+      { name: 'bet_type', type: 'text' },
+      { name: 'updated_at', type: 'timestamptz' }
+    ],
+    // The main line moves, so the line isn't part of the key
+    conflictKey: ['event_id', 'bookmaker_key', 'market_key', 'player_name', 'outcome_name'],
+    indexes: [['id'], ['commence_time'], ['player_name', 'prop_type'], ['player_id'], ['game_id']]
+  },
+  {
+    name: 'nfl_odds_game_lines',
+    description: 'Moneylines, spreads and totals from The Odds API (nfl-odds-alternate.js)',
+    columns: [
+      { name: 'id', type: 'text', nullable: false },
+      { name: 'event_id', type: 'text', nullable: false },
+      { name: 'sport_key', type: 'text' },
+      { name: 'commence_time', type: 'timestamptz' },
+      { name: 'home_team', type: 'text' },
+      { name: 'away_team', type: 'text' },
+      // nflverse game_id (2025_05_KC_JAX) and week, from lib/teams.js and the season calendar
+      { name: 'game_id', type: 'text' },
+      { name: 'week_number', type: 'integer' },
+      { name: 'season_year', type: 'integer' },
+      { name: 'bookmaker_key', type: 'text', nullable: false },
+      { name: 'bookmaker_title', type: 'text' },
+      { name: 'bookmaker_last_update', type: 'timestamptz' },
+      { name: 'market_key', type: 'text', nullable: false },
+      { name: 'market_name', type: 'text' },
+      { name: 'line_type', type: 'text' },
+      // Team name, or Over / Under for totals
+      { name: 'outcome_name', type: 'text', nullable: false },
+      { name: 'outcome_price', type: 'numeric' },
+      { name: 'decimal_price', type: 'numeric' },
+      { name: 'american_price', type: 'integer' },
+      { name: 'implied_probability', type: 'numeric' },
+      // No-vig probability from pairing with the opposite side (lib/odds-math.js)
+      { name: 'fair_probability', type: 'numeric' },
+      // Spread or total; null for moneylines
+      { name: 'line_value', type: 'numeric' },
+      // home / away / over / under
+      { name: 'bet_type', type: 'text' },
+      { name: 'updated_at', type: 'timestamptz' }
+    ],
+    conflictKey: ['event_id', 'bookmaker_key', 'market_key', 'outcome_name'],
+    indexes: [['id'], ['commence_time'], ['game_id']]
+  },
+  {
+    name: 'nfl_odds_line_snapshots',
+    description: 'Append-only odds history, one row per price or line change (nfl-odds-alternate.js)',
+    columns: [
+      // `id` of the row in the group's current-odds table
+      { name: 'line_id', type: 'text', nullable: false },
+      { name: 'event_id', type: 'text', nullable: false },
+      { name: 'game_id', type: 'text' },
+      { name: 'commence_time', type: 'timestamptz' },
+      { name: 'season_year', type: 'integer' },
+      { name: 'market_group', type: 'text', nullable: false },
+      { name: 'bookmaker_key', type: 'text', nullable: false },
+      { name: 'market_key', type: 'text', nullable: false },
+      { name: 'prop_type', type: 'text' },
+      // Null for game lines
+      { name: 'player_name', type: 'text' },
+      { name: 'player_id', type: 'text' },
+      { name: 'outcome_name', type: 'text', nullable: false },
+      { name: 'line_value', type: 'numeric' },
+      { name: 'decimal_price', type: 'numeric' },
+      { name: 'american_price', type: 'integer' },
+      { name: 'fair_probability', type: 'numeric' },
+      { name: 'bookmaker_last_update', type: 'timestamptz', nullable: false },
+      { name: 'captured_at', type: 'timestamptz', nullable: false },
+      // Last price before kickoff (--closing)
+      { name: 'is_closing', type: 'boolean' }
+    ],
+    conflictKey: ['line_id', 'bookmaker_last_update'],
+    indexes: [['event_id'], ['player_name', 'market_key']],
+    views: [
+      {
+        name: 'nfl_odds_line_opening',
+        description: 'First recorded price of every line',
+        sql: `
+SELECT DISTINCT ON (line_id) *
+FROM public.nfl_odds_line_snapshots
+ORDER BY line_id, bookmaker_last_update ASC`
+      },
+      {
+        name: 'nfl_odds_line_current',
+        description: 'Latest recorded price of every line (the closing line once the game has started)',
+        sql: `
+SELECT DISTINCT ON (line_id) *
+FROM public.nfl_odds_line_snapshots
+ORDER BY line_id, bookmaker_last_update DESC`
+      },
+      {
+        name: 'nfl_odds_line_closing',
+        description: 'Closing price of every line, captured just before kickoff',
+        sql: `
+SELECT DISTINCT ON (line_id) *
+FROM public.nfl_odds_line_snapshots
+WHERE is_closing
+ORDER BY line_id, bookmaker_last_update DESC`
+      },
+      {
+        name: 'nfl_odds_line_movers',
+        description: 'Opening vs current price per line, biggest implied-probability move first',
+        sql: `
+SELECT
+  c.line_id,
+  c.event_id,
+  c.commence_time,
+  c.season_year,
+  c.market_group,
+  c.bookmaker_key,
+  c.market_key,
+  c.prop_type,
+  c.player_name,
+  c.outcome_name,
+  o.line_value AS opening_line,
+  c.line_value AS current_line,
+  o.decimal_price AS opening_price,
+  c.decimal_price AS current_price,
+  c.line_value - o.line_value AS line_change,
+  round(1 / NULLIF(c.decimal_price, 0) - 1 / NULLIF(o.decimal_price, 0), 4) AS implied_probability_change,
+  o.bookmaker_last_update AS opened_at,
+  c.bookmaker_last_update AS last_moved_at,
+  (SELECT count(*) FROM public.nfl_odds_line_snapshots s WHERE s.line_id = c.line_id) AS snapshots
+FROM public.nfl_odds_line_current c
+JOIN public.nfl_odds_line_opening o USING (line_id)
+ORDER BY abs(1 / NULLIF(c.decimal_price, 0) - 1 / NULLIF(o.decimal_price, 0)) DESC NULLS LAST`
+      }
+    ]
+  },
+  {
+    name: 'nfl_odds_best_prices',
+    description: 'Best price per player / prop / line / side across bookmakers (nfl-odds-alternate.js)',
+    columns: [
+      // event|market|player|line|side
+      { name: 'selection_id', type: 'text', nullable: false },
+      { name: 'event_id', type: 'text', nullable: false },
+      { name: 'commence_time', type: 'timestamptz' },
+      { name: 'market_key', type: 'text', nullable: false },
+      { name: 'prop_type', type: 'text' },
+      // Null for game lines
+      { name: 'player_name', type: 'text' },
+      { name: 'line_value', type: 'numeric' },
+      { name: 'bet_type', type: 'text', nullable: false },
+      { name: 'outcome_name', type: 'text' },
+      { name: 'best_bookmaker', type: 'text', nullable: false },
+      { name: 'best_decimal_price', type: 'numeric', nullable: false },
+      { name: 'best_american_price', type: 'integer' },
+      { name: 'best_implied_probability', type: 'numeric' },
+      { name: 'second_best_price', type: 'numeric' },
+      { name: 'books_quoted', type: 'integer' },
+      { name: 'updated_at', type: 'timestamptz', nullable: false }
+    ],
+    conflictKey: ['selection_id'],
+    indexes: [['event_id'], ['player_name', 'prop_type']]
+  },
+  {
+    name: 'nfl_odds_opportunities',
+    description: 'Cross-book arbitrage and middle opportunities from the latest run (nfl-odds-alternate.js)',
+    columns: [
+      { name: 'id', type: 'text', nullable: false },
+      { name: 'event_id', type: 'text', nullable: false },
+      { name: 'commence_time', type: 'timestamptz' },
+      // arbitrage | middle
+      { name: 'opportunity_type', type: 'text', nullable: false },
+      { name: 'market_key', type: 'text', nullable: false },
+      { name: 'prop_type', type: 'text' },
+      { name: 'player_name', type: 'text' },
+      { name: 'side_a', type: 'text', nullable: false },
+      { name: 'line_a', type: 'numeric' },
+      { name: 'bookmaker_a', type: 'text', nullable: false },
+      { name: 'price_a', type: 'numeric', nullable: false },
+      { name: 'side_b', type: 'text', nullable: false },
+      { name: 'line_b', type: 'numeric' },
+      { name: 'bookmaker_b', type: 'text', nullable: false },
+      { name: 'price_b', type: 'numeric', nullable: false },
+      // Sum of both legs' implied probabilities; under 1 is an arbitrage
+      { name: 'combined_implied_probability', type: 'numeric', nullable: false },
+      { name: 'edge', type: 'numeric' },
+      // Middles only: distance between the two lines
+      { name: 'middle_width', type: 'numeric' },
+      // Arbitrage only: share of the total stake on each leg
+      { name: 'stake_a', type: 'numeric' },
+      { name: 'stake_b', type: 'numeric' },
+      { name: 'detected_at', type: 'timestamptz', nullable: false }
+    ],
+    conflictKey: ['id'],
+    indexes: [['event_id'], ['opportunity_type']]
+  },
+  {
+    name: 'nfl_player_name_review',
+    description: 'Odds player names not matched to an nflverse player ID, for manual review (nfl-odds-alternate.js)',
+    columns: [
+      { name: 'season_year', type: 'integer', nullable: false },
+      // As the bookmaker spells it
+      { name: 'player_name', type: 'text', nullable: false },
+      { name: 'normalized_name', type: 'text' },
+      // ambiguous | unresolved
+      { name: 'status', type: 'text', nullable: false },
+      // Roster players sharing the name: [{ gsis_id, full_name, team, position }]
+      { name: 'candidates', type: 'jsonb' },
+      // Teams of the last game the name was seen in
+      { name: 'teams', type: 'text' },
+      { name: 'event_id', type: 'text' },
+      { name: 'last_seen_at', type: 'timestamptz', nullable: false },
+      // Set by a reviewer; used as the mapping for this name from then on
+      { name: 'resolved_player_id', type: 'text' }
+    ],
+    conflictKey: ['season_year', 'player_name'],
+    indexes: [['status']]
+  },
+  {
+    name: 'nfl_prop_grades',
+    description: 'Player-prop lines settled against play-by-play results (grade-props.js)',
+    columns: [
+      // Odds table the line came from and its `id` there
+      { name: 'source_table', type: 'text', nullable: false },
+      { name: 'line_id', type: 'text', nullable: false },
+      { name: 'event_id', type: 'text', nullable: false },
+      { name: 'game_id', type: 'text', nullable: false },
+      { name: 'commence_time', type: 'timestamptz' },
+      { name: 'player_id', type: 'text', nullable: false },
+      { name: 'player_name', type: 'text' },
+      { name: 'bookmaker_key', type: 'text', nullable: false },
+      { name: 'market_key', type: 'text', nullable: false },
+      { name: 'prop_type', type: 'text', nullable: false },
+      { name: 'bet_type', type: 'text', nullable: false },
+      { name: 'line_value', type: 'numeric' },
+      { name: 'decimal_price', type: 'numeric' },
+      { name: 'american_price', type: 'integer' },
+      // The player's stat for the prop type; null when void
+      { name: 'actual_value', type: 'numeric' },
+      // won | lost | push | void
+      { name: 'result', type: 'text', nullable: false },
+      { name: 'graded_at', type: 'timestamptz', nullable: false }
+    ],
+    conflictKey: ['source_table', 'line_id'],
+    indexes: [['game_id'], ['player_id'], ['bookmaker_key', 'prop_type']],
+    views: [
+      {
+        name: 'nfl_prop_hit_rates',
+        description: 'Graded lines per book, prop type, side and line: hit rate and flat-stake ROI',
+        sql: `
+SELECT
+  bookmaker_key,
+  prop_type,
+  bet_type,
+  line_value,
+  count(*) FILTER (WHERE result <> 'void') AS graded,
+  count(*) FILTER (WHERE result = 'won') AS won,
+  count(*) FILTER (WHERE result = 'lost') AS lost,
+  count(*) FILTER (WHERE result = 'push') AS pushed,
+  round(count(*) FILTER (WHERE result = 'won')::numeric
+    / NULLIF(count(*) FILTER (WHERE result IN ('won', 'lost')), 0), 4) AS hit_rate,
+  round(avg(1 / NULLIF(decimal_price, 0)) FILTER (WHERE result IN ('won', 'lost')), 4) AS avg_implied_probability,
+  round(sum(CASE WHEN result = 'won' THEN decimal_price - 1 WHEN result = 'lost' THEN -1 ELSE 0 END)
+    / NULLIF(count(*) FILTER (WHERE result IN ('won', 'lost', 'push')), 0), 4) AS roi
+FROM public.nfl_prop_grades
+GROUP BY bookmaker_key, prop_type, bet_type, line_value`
+      }
+    ]
+  },
+  {
+    name: 'player_game_stats',
+    description: 'Per-player box scores and EPA built from nflfastr_pbp after each sync (index.js, lib/player-stats.js)',
+    columns: [
+      { name: 'game_id', type: 'text', nullable: false },
+      // nflverse gsis ID
+      { name: 'player_id', type: 'text', nullable: false },
+      { name: 'player_name', type: 'text' },
+      { name: 'season', type: 'integer' },
+      { name: 'week', type: 'integer' },
+      // Offense the player last appeared for; null for defensive / return scorers only
+      { name: 'team', type: 'text' },
+      { name: 'passing_attempts', type: 'integer' },
+      { name: 'passing_completions', type: 'integer' },
+      { name: 'passing_yards', type: 'numeric' },
+      { name: 'passing_touchdowns', type: 'integer' },
+      { name: 'pass_interceptions', type: 'integer' },
+      { name: 'sacks', type: 'integer' },
+      { name: 'sack_yards', type: 'numeric' },
+      { name: 'passing_epa', type: 'double' },
+      { name: 'rushing_attempts', type: 'integer' },
+      { name: 'rushing_yards', type: 'numeric' },
+      { name: 'rushing_touchdowns', type: 'integer' },
+      { name: 'rushing_epa', type: 'double' },
+      { name: 'targets', type: 'integer' },
+      { name: 'receptions', type: 'integer' },
+      { name: 'receiving_yards', type: 'numeric' },
+      { name: 'receiving_touchdowns', type: 'integer' },
+      { name: 'receiving_epa', type: 'double' },
+      { name: 'field_goals_made', type: 'integer' },
+      { name: 'field_goals_attempted', type: 'integer' },
+      { name: 'field_goal_long', type: 'numeric' },
+      { name: 'extra_points_made', type: 'integer' },
+      { name: 'extra_points_attempted', type: 'integer' },
+      // Every touchdown the player scored, returns included
+      { name: 'touchdowns', type: 'integer' },
+      { name: 'updated_at', type: 'timestamptz', nullable: false }
+    ],
+    conflictKey: ['game_id', 'player_id'],
+    indexes: [['player_id'], ['season', 'week']]
+  },
+  {
+    name: 'team_game_stats',
+    description: 'Per-team offensive game summaries built from nflfastr_pbp with --aggregates (index.js, lib/team-stats.js)',
+    columns: [
+      { name: 'game_id', type: 'text', nullable: false },
+      { name: 'team', type: 'text', nullable: false },
+      { name: 'opponent', type: 'text' },
+      { name: 'season', type: 'integer' },
+      { name: 'week', type: 'integer' },
+      { name: 'home', type: 'boolean' },
+      // Passes and rushes with a down and an EPA
+      { name: 'plays', type: 'integer' },
+      { name: 'epa', type: 'double' },
+      { name: 'epa_per_play', type: 'double' },
+      { name: 'success_rate', type: 'double' },
+      { name: 'dropbacks', type: 'integer' },
+      { name: 'pass_epa_per_play', type: 'double' },
+      { name: 'rushes', type: 'integer' },
+      { name: 'rush_epa_per_play', type: 'double' },
+      { name: 'pass_rate', type: 'double' },
+      // Mean nflfastR pass_oe, percentage points
+      { name: 'pass_rate_over_expected', type: 'double' },
+      { name: 'early_down_plays', type: 'integer' },
+      { name: 'early_down_pass_rate', type: 'double' },
+      { name: 'yards', type: 'numeric' },
+      { name: 'first_downs', type: 'integer' },
+      { name: 'turnovers', type: 'integer' },
+      { name: 'drives', type: 'integer' },
+      { name: 'updated_at', type: 'timestamptz', nullable: false }
+    ],
+    conflictKey: ['game_id', 'team'],
+    indexes: [['team'], ['season', 'week']]
+  },
+  {
+    name: 'drive_summary',
+    description: 'One row per drive built from nflfastr_pbp with --aggregates (index.js, lib/drive-stats.js)',
+    columns: [
+      { name: 'game_id', type: 'text', nullable: false },
+      { name: 'fixed_drive', type: 'integer', nullable: false },
+      // nflverse's raw drive number
+      { name: 'drive', type: 'integer' },
+      { name: 'season', type: 'integer' },
+      { name: 'week', type: 'integer' },
+      { name: 'posteam', type: 'text' },
+      { name: 'defteam', type: 'text' },
+      // fixed_drive_result: Touchdown, Field goal, Punt, Turnover, ...
+      { name: 'result', type: 'text' },
+      { name: 'start_transition', type: 'text' },
+      { name: 'end_transition', type: 'text' },
+      { name: 'quarter_start', type: 'integer' },
+      { name: 'quarter_end', type: 'integer' },
+      // As nflverse writes them ("KC 25")
+      { name: 'start_yard_line', type: 'text' },
+      { name: 'end_yard_line', type: 'text' },
+      // Yards from the opponent's end zone; 0 = touchdown
+      { name: 'start_yardline_100', type: 'numeric' },
+      { name: 'end_yardline_100', type: 'numeric' },
+      { name: 'plays', type: 'integer' },
+      { name: 'snaps', type: 'integer' },
+      { name: 'yards', type: 'numeric' },
+      { name: 'first_downs', type: 'integer' },
+      { name: 'yards_penalized', type: 'numeric' },
+      { name: 'time_of_possession', type: 'text' },
+      { name: 'inside_20', type: 'boolean' },
+      { name: 'scored', type: 'boolean' },
+      { name: 'epa', type: 'double' },
+      { name: 'first_play_id', type: 'numeric' },
+      { name: 'last_play_id', type: 'numeric' },
+      { name: 'updated_at', type: 'timestamptz', nullable: false }
+    ],
+    conflictKey: ['game_id', 'fixed_drive'],
+    indexes: [['posteam'], ['season', 'week']]
+  },
+  {
+    name: 'nfl_dead_letter',
+    description: 'Rows an upsert still rejected after retries, kept for --replay-failed (lib/dead-letter.js)',
+    columns: [
+      // <table>:<conflict key values>, so a row that fails again replaces its entry
+      { name: 'id', type: 'text', nullable: false },
+      { name: 'table_name', type: 'text', nullable: false },
+      // The row as it would have been written
+      { name: 'row_data', type: 'jsonb', nullable: false },
+      { name: 'error', type: 'text' },
+      // Script that dead-lettered it: pbp | odds
+      { name: 'source', type: 'text' },
+      { name: 'attempts', type: 'integer' },
+      { name: 'failed_at', type: 'timestamptz', nullable: false }
+    ],
+    conflictKey: ['id'],
+    indexes: [['table_name']]
+  }
+];
+
+function getTable(name) {
+  const table = TABLES.find(t => t.name === name);
+  if (!table) throw new Error(`Unknown table "${name}"`);
+  return table;
+}
+
+module.exports = {
+  TABLES,
+  getTable
+};
@@ -0,0 +1,151 @@
+// Per-team game summaries (offense) from nflfastR play-by-play rows as stored
+// in nflfastr_pbp. Pure functions, no database access; index.js materializes
+// them into team_game_stats with --aggregates.
+//
+// Efficiency stats use the usual nflfastR filter: a "play" is a pass or rush
+// (`pass` / `rush` flags, so scrambles and sacks are passes and penalties on
+// them count) with a down and an EPA, which leaves out two-point tries,
+// special teams and timeouts. `pass_oe` is nflfastR's pass rate over expected
+// in percentage points, averaged over the plays that have it.
+
+const { toNumber, flag, amount, round } = require('./play-values');
+
+const TEAM_STATS_TABLE = 'team_game_stats';
+
+// nflfastr_pbp columns the aggregation reads
+const TEAM_STAT_PLAY_COLUMNS = [
+  'play_id',
+  'game_id',
+  'season',
+  'week',
+  'posteam',
+  'defteam',
+  'posteam_type',
+  'down',
+  'pass',
+  'rush',
+  'epa',
+  'success',
+  'pass_oe',
+  'yards_gained',
+  'first_down',
+  'interception',
+  'fumble_lost',
+  'fixed_drive'
+];
+
+function emptyStats(play) {
+  return {
+    game_id: play.game_id,
+    team: play.posteam,
+    opponent: play.defteam || null,
+    season: toNumber(play.season),
+    week: toNumber(play.week),
+    home: play.posteam_type ? play.posteam_type === 'home' : null,
+    plays: 0,
+    epa: 0,
+    successes: 0,
+    dropbacks: 0,
+    pass_epa: 0,
+    rushes: 0,
+    rush_epa: 0,
+    pass_oe_sum: 0,
+    pass_oe_plays: 0,
+    early_down_plays: 0,
+    early_down_passes: 0,
+    yards: 0,
+    first_downs: 0,
+    turnovers: 0,
+    drives: new Set()
+  };
+}
+
+function isPlay(play) {
+  return (flag(play.pass) || flag(play.rush)) && toNumber(play.down) !== null && toNumber(play.epa) !== null;
+}
+
+// Map(`${game_id}|${team}` → running totals) for every team with an offensive play
+function aggregateTeamStats(plays) {
+  const teams = new Map();
+
+  for (const play of plays) {
+    if (!play.game_id || !play.posteam) continue;
+    const key = `${play.game_id}|${play.posteam}`;
+    if (!teams.has(key)) teams.set(key, emptyStats(play));
+    const stats = teams.get(key);
+    if (!stats.opponent && play.defteam) stats.opponent = play.defteam;
+
+    // Giveaways and possessions count on any play, not just scrimmage downs
+    if (flag(play.interception)) stats.turnovers++;
+    if (flag(play.fumble_lost)) stats.turnovers++;
+    if (toNumber(play.fixed_drive) !== null) stats.drives.add(toNumber(play.fixed_drive));
+
+    if (!isPlay(play)) continue;
+    const epa = toNumber(play.epa);
+    const isPass = flag(play.pass);
+    const down = toNumber(play.down);
+
+    stats.plays++;
+    stats.epa += epa;
+    if (flag(play.success)) stats.successes++;
+    if (isPass) {
+      stats.dropbacks++;
+      stats.pass_epa += epa;
+    } else {
+      stats.rushes++;
+      stats.rush_epa += epa;
+    }
+    const passOe = toNumber(play.pass_oe);
+    if (passOe !== null) {
+      stats.pass_oe_sum += passOe;
+      stats.pass_oe_plays++;
+    }
+    if (down === 1 || down === 2) {
+      stats.early_down_plays++;
+      if (isPass) stats.early_down_passes++;
+    }
+    stats.yards += amount(play.yards_gained);
+    if (flag(play.first_down)) stats.first_downs++;
+  }
+  return teams;
+}
+
+function rate(part, whole, places = 4) {
+  return whole ? round(part / whole, places) : null;
+}
+
+// Row for TEAM_STATS_TABLE from aggregateTeamStats() totals
+function toTeamGameRow(stats, now = new Date().toISOString()) {
+  return {
+    game_id: stats.game_id,
+    team: stats.team,
+    opponent: stats.opponent,
+    season: stats.season,
+    week: stats.week,
+    home: stats.home,
+    plays: stats.plays,
+    epa: round(stats.epa),
+    epa_per_play: rate(stats.epa, stats.plays),
+    success_rate: rate(stats.successes, stats.plays),
+    dropbacks: stats.dropbacks,
+    pass_epa_per_play: rate(stats.pass_epa, stats.dropbacks),
+    rushes: stats.rushes,
+    rush_epa_per_play: rate(stats.rush_epa, stats.rushes),
+    pass_rate: rate(stats.dropbacks, stats.plays),
+    pass_rate_over_expected: rate(stats.pass_oe_sum, stats.pass_oe_plays, 2),
+    early_down_plays: stats.early_down_plays,
+    early_down_pass_rate: rate(stats.early_down_passes, stats.early_down_plays),
+    yards: stats.yards,
+    first_downs: stats.first_downs,
+    turnovers: stats.turnovers,
+    drives: stats.drives.size,
+    updated_at: now
+  };
+}
+
+module.exports = {
+  TEAM_STATS_TABLE,
+  TEAM_STAT_PLAY_COLUMNS,
+  aggregateTeamStats,
+  toTeamGameRow
+};
@@ -0,0 +1,129 @@
+const { getSeasonForDate } = require('./season-calendar');
+
+// NFL team registry shared by the updaters. The Odds API uses full names
+// ("Kansas City Chiefs"), nflverse uses abbreviations ("KC") that changed when
+// franchises moved. Each franchise is listed under its current nflverse
+// abbreviation (LA is the Rams); `history` holds earlier abbreviations / names
+// with the last season they were used, so older play-by-play keeps OAK, SD and
+// STL.
+
+const TEAMS = [
+  { abbr: 'ARI', name: 'Arizona Cardinals' },
+  { abbr: 'ATL', name: 'Atlanta Falcons' },
+  { abbr: 'BAL', name: 'Baltimore Ravens' },
+  { abbr: 'BUF', name: 'Buffalo Bills' },
+  { abbr: 'CAR', name: 'Carolina Panthers' },
+  { abbr: 'CHI', name: 'Chicago Bears' },
+  { abbr: 'CIN', name: 'Cincinnati Bengals' },
+  { abbr: 'CLE', name: 'Cleveland Browns' },
+  { abbr: 'DAL', name: 'Dallas Cowboys' },
+  { abbr: 'DEN', name: 'Denver Broncos' },
+  { abbr: 'DET', name: 'Detroit Lions' },
+  { abbr: 'GB', name: 'Green Bay Packers' },
+  { abbr: 'HOU', name: 'Houston Texans' },
+  { abbr: 'IND', name: 'Indianapolis Colts' },
+  { abbr: 'JAX', name: 'Jacksonville Jaguars' },
+  { abbr: 'KC', name: 'Kansas City Chiefs' },
+  { abbr: 'LA', name: 'Los Angeles Rams', history: [{ abbr: 'STL', name: 'St. Louis Rams', through: 2015 }] },
+  { abbr: 'LAC', name: 'Los Angeles Chargers', history: [{ abbr: 'SD', name: 'San Diego Chargers', through: 2016 }] },
+  { abbr: 'LV', name: 'Las Vegas Raiders', history: [{ abbr: 'OAK', name: 'Oakland Raiders', through: 2019 }] },
+  { abbr: 'MIA', name: 'Miami Dolphins' },
+  { abbr: 'MIN', name: 'Minnesota Vikings' },
+  { abbr: 'NE', name: 'New England Patriots' },
+  { abbr: 'NO', name: 'New Orleans Saints' },
+  { abbr: 'NYG', name: 'New York Giants' },
+  { abbr: 'NYJ', name: 'New York Jets' },
+  { abbr: 'PHI', name: 'Philadelphia Eagles' },
+  { abbr: 'PIT', name: 'Pittsburgh Steelers' },
+  { abbr: 'SEA', name: 'Seattle Seahawks' },
+  { abbr: 'SF', name: 'San Francisco 49ers' },
+  { abbr: 'TB', name: 'Tampa Bay Buccaneers' },
+  { abbr: 'TEN', name: 'Tennessee Titans' },
+  {
+    abbr: 'WAS',
+    name: 'Washington Commanders',
+    history: [
+      { abbr: 'WAS', name: 'Washington Football Team', through: 2021 },
+      { abbr: 'WAS', name: 'Washington Redskins', through: 2019 }
+    ]
+  }
+];
+
+// Abbreviations other sources use for nflverse's
+const ABBREVIATION_ALIASES = {
+  ARZ: 'ARI',
+  BLT: 'BAL',
+  CLV: 'CLE',
+  GNB: 'GB',
+  HST: 'HOU',
+  JAC: 'JAX',
+  KAN: 'KC',
+  LAR: 'LA',
+  LVR: 'LV',
+  NOR: 'NO',
+  NWE: 'NE',
+  SFO: 'SF',
+  SL: 'STL',
+  TAM: 'TB',
+  WSH: 'WAS'
+};
+
+const BY_ABBR = new Map();
+const BY_NAME = new Map();
+for (const team of TEAMS) {
+  BY_ABBR.set(team.abbr, team);
+  BY_NAME.set(team.name.toLowerCase(), team);
+  for (const old of team.history || []) {
+    BY_ABBR.set(old.abbr, team);
+    BY_NAME.set(old.name.toLowerCase(), team);
+  }
+}
+
+// Abbreviation and name a franchise used in `season`
+function identityForSeason(team, season) {
+  const used = (team.history || [])
+    .filter(old => season <= old.through)
+    .sort((a, b) => a.through - b.through)[0];
+  return used ? { abbr: used.abbr, name: used.name } : { abbr: team.abbr, name: team.name };
+}
+
+// nflverse abbreviation for any known abbreviation or alias ("LAR" → "LA");
+// null when unknown. Historical codes are kept (OAK stays OAK).
+function normalizeTeamAbbr(abbr) {
+  const code = String(abbr || '').trim().toUpperCase();
+  const canonical = ABBREVIATION_ALIASES[code] || code;
+  return BY_ABBR.has(canonical) ? canonical : null;
+}
+
+// Current abbreviation of a franchise from any of its codes ("OAK" → "LV")
+function franchiseAbbr(abbr) {
+  const code = normalizeTeamAbbr(abbr);
+  return code ? BY_ABBR.get(code).abbr : null;
+}
+
+// { abbr, name } a franchise (any of its codes) used in `season`
+function teamForSeason(abbr, season = getSeasonForDate()) {
+  const code = normalizeTeamAbbr(abbr);
+  return code ? identityForSeason(BY_ABBR.get(code), season) : null;
+}
+
+// nflverse abbreviation for a full name in `season` ("Kansas City Chiefs" →
+// "KC", "Las Vegas Raiders" in 2019 → "OAK"); null when unknown
+function teamAbbreviation(name, season = getSeasonForDate()) {
+  const team = BY_NAME.get(String(name || '').trim().toLowerCase());
+  return team ? identityForSeason(team, season).abbr : null;
+}
+
+// nflverse game_id: 2025_05_KC_JAX (season, two-digit week, away, home)
+function nflverseGameId({ season, week, away, home }) {
+  return `${season}_${String(week).padStart(2, '0')}_${away}_${home}`;
+}
+
+module.exports = {
+  TEAMS,
+  normalizeTeamAbbr,
+  franchiseAbbr,
+  teamForSeason,
+  teamAbbreviation,
+  nflverseGameId
+};
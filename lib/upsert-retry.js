@@ -0,0 +1,78 @@
+// Upserts that survive flaky connections and bad rows. A batch that fails with
+// a transient error (network, timeout, rate limit, 5xx, lock / serialization
+// conflict) is retried with exponential backoff. A batch the database rejects
+// outright is split in half and each half tried again, down to single rows, so
+// one poison row doesn't cost the rest of the batch. What still fails comes
+// back as `failed` for the dead-letter store (lib/dead-letter.js).
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+
+// SQLSTATE classes / codes worth retrying: connection exceptions (08),
+// serialization failure, deadlock, too many connections, admin shutdown, and
+// SQLite's busy / locked
+const TRANSIENT_CODES = /^(08\w{3}|40001|40P01|53300|57P0[123]|SQLITE_BUSY|SQLITE_LOCKED|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|EPIPE)$/;
+const TRANSIENT_MESSAGES = /fetch failed|network|timed? ?out|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|too many (connections|requests)|rate limit|bad gateway|service unavailable|gateway timeout|connection terminated/i;
+
+// `result` is a storage call's { error, status }
+function isTransientError({ error, status } = {}) {
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  if (!error) return false;
+  if (error.code && TRANSIENT_CODES.test(String(error.code))) return true;
+  return TRANSIENT_MESSAGES.test(error.message || '');
+}
+
+function backoffDelay(attempt, baseDelayMs) {
+  return baseDelayMs * 2 ** attempt + Math.floor(Math.random() * baseDelayMs);
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Upsert `rows` into `table`. Resolves to { written, failed: [{ row, error }],
+// retries, splits }; never rejects.
+async function upsertWithRetry(storage, table, rows, {
+  retries = DEFAULT_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  sleep = wait,
+  onRetry = () => {}
+} = {}) {
+  const outcome = { written: [], failed: [], retries: 0, splits: 0 };
+
+  // One upsert, retried while the error looks transient
+  async function attempt(batch) {
+    for (let n = 0; ; n++) {
+      const result = await storage.upsert(table, batch);
+      if (!result.error) return null;
+      const transient = isTransientError(result);
+      if (!transient || n >= retries) return { message: result.error.message, transient };
+      const delay = backoffDelay(n, baseDelayMs);
+      outcome.retries++;
+      onRetry({ table, rows: batch.length, attempt: n + 1, delay, error: result.error.message });
+      await sleep(delay);
+    }
+  }
+
+  async function write(batch) {
+    const error = await attempt(batch);
+    if (!error) {
+      outcome.written.push(...batch);
+      return;
+    }
+    // Splitting doesn't help when the database itself is unreachable
+    if (error.transient || batch.length === 1) {
+      for (const row of batch) outcome.failed.push({ row, error: error.message });
+      return;
+    }
+    outcome.splits++;
+    const middle = Math.ceil(batch.length / 2);
+    await write(batch.slice(0, middle));
+    await write(batch.slice(middle));
+  }
+
+  if (rows.length) await write(rows);
+  return outcome;
+}
+
+module.exports = {
+  upsertWithRetry
+};
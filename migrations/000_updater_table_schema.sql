@@ -0,0 +1,34 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- Schema introspection for the updaters' pre-write check
+CREATE OR REPLACE FUNCTION public.updater_table_schema(p_table text)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT jsonb_build_object(
+    'exists', EXISTS (
+      SELECT 1 FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = p_table
+    ),
+    'columns', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'name', column_name,
+        'type', data_type,
+        'nullable', is_nullable = 'YES'
+      ) ORDER BY ordinal_position)
+      FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = p_table
+    ), '[]'::jsonb),
+    'indexes', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('name', indexname, 'definition', indexdef))
+      FROM pg_indexes
+      WHERE schemaname = 'public' AND tablename = p_table
+    ), '[]'::jsonb)
+  );
+$$;
+
+REVOKE ALL ON FUNCTION public.updater_table_schema(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.updater_table_schema(text) TO service_role;
@@ -0,0 +1,386 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nflfastr_pbp: nflfastR play-by-play, one row per play (index.js)
+CREATE TABLE IF NOT EXISTS public.nflfastr_pbp ();
+
+ALTER TABLE public.nflfastr_pbp
+  ADD COLUMN IF NOT EXISTS play_id numeric NOT NULL,
+  ADD COLUMN IF NOT EXISTS game_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS old_game_id numeric,
+  ADD COLUMN IF NOT EXISTS home_team text,
+  ADD COLUMN IF NOT EXISTS away_team text,
+  ADD COLUMN IF NOT EXISTS season_type text,
+  ADD COLUMN IF NOT EXISTS week numeric,
+  ADD COLUMN IF NOT EXISTS posteam text,
+  ADD COLUMN IF NOT EXISTS posteam_type text,
+  ADD COLUMN IF NOT EXISTS defteam text,
+  ADD COLUMN IF NOT EXISTS side_of_field text,
+  ADD COLUMN IF NOT EXISTS yardline_100 numeric,
+  ADD COLUMN IF NOT EXISTS game_date text,
+  ADD COLUMN IF NOT EXISTS quarter_seconds_remaining numeric,
+  ADD COLUMN IF NOT EXISTS half_seconds_remaining numeric,
+  ADD COLUMN IF NOT EXISTS game_seconds_remaining numeric,
+  ADD COLUMN IF NOT EXISTS game_half text,
+  ADD COLUMN IF NOT EXISTS quarter_end numeric,
+  ADD COLUMN IF NOT EXISTS drive numeric,
+  ADD COLUMN IF NOT EXISTS sp numeric,
+  ADD COLUMN IF NOT EXISTS qtr numeric,
+  ADD COLUMN IF NOT EXISTS down numeric,
+  ADD COLUMN IF NOT EXISTS goal_to_go numeric,
+  ADD COLUMN IF NOT EXISTS time text,
+  ADD COLUMN IF NOT EXISTS yrdln text,
+  ADD COLUMN IF NOT EXISTS ydstogo numeric,
+  ADD COLUMN IF NOT EXISTS ydsnet numeric,
+  ADD COLUMN IF NOT EXISTS "desc" text,
+  ADD COLUMN IF NOT EXISTS play_type text,
+  ADD COLUMN IF NOT EXISTS yards_gained numeric,
+  ADD COLUMN IF NOT EXISTS shotgun numeric,
+  ADD COLUMN IF NOT EXISTS no_huddle numeric,
+  ADD COLUMN IF NOT EXISTS qb_dropback numeric,
+  ADD COLUMN IF NOT EXISTS qb_kneel numeric,
+  ADD COLUMN IF NOT EXISTS qb_spike numeric,
+  ADD COLUMN IF NOT EXISTS qb_scramble numeric,
+  ADD COLUMN IF NOT EXISTS pass_length text,
+  ADD COLUMN IF NOT EXISTS pass_location text,
+  ADD COLUMN IF NOT EXISTS air_yards numeric,
+  ADD COLUMN IF NOT EXISTS yards_after_catch numeric,
+  ADD COLUMN IF NOT EXISTS run_location text,
+  ADD COLUMN IF NOT EXISTS run_gap text,
+  ADD COLUMN IF NOT EXISTS field_goal_result text,
+  ADD COLUMN IF NOT EXISTS kick_distance numeric,
+  ADD COLUMN IF NOT EXISTS extra_point_result text,
+  ADD COLUMN IF NOT EXISTS two_point_conv_result text,
+  ADD COLUMN IF NOT EXISTS home_timeouts_remaining numeric,
+  ADD COLUMN IF NOT EXISTS away_timeouts_remaining numeric,
+  ADD COLUMN IF NOT EXISTS timeout numeric,
+  ADD COLUMN IF NOT EXISTS timeout_team text,
+  ADD COLUMN IF NOT EXISTS td_team text,
+  ADD COLUMN IF NOT EXISTS td_player_name text,
+  ADD COLUMN IF NOT EXISTS td_player_id text,
+  ADD COLUMN IF NOT EXISTS posteam_timeouts_remaining numeric,
+  ADD COLUMN IF NOT EXISTS defteam_timeouts_remaining numeric,
+  ADD COLUMN IF NOT EXISTS total_home_score numeric,
+  ADD COLUMN IF NOT EXISTS total_away_score numeric,
+  ADD COLUMN IF NOT EXISTS posteam_score numeric,
+  ADD COLUMN IF NOT EXISTS defteam_score numeric,
+  ADD COLUMN IF NOT EXISTS score_differential numeric,
+  ADD COLUMN IF NOT EXISTS posteam_score_post numeric,
+  ADD COLUMN IF NOT EXISTS defteam_score_post numeric,
+  ADD COLUMN IF NOT EXISTS score_differential_post numeric,
+  ADD COLUMN IF NOT EXISTS no_score_prob double precision,
+  ADD COLUMN IF NOT EXISTS opp_fg_prob double precision,
+  ADD COLUMN IF NOT EXISTS opp_safety_prob double precision,
+  ADD COLUMN IF NOT EXISTS opp_td_prob double precision,
+  ADD COLUMN IF NOT EXISTS fg_prob double precision,
+  ADD COLUMN IF NOT EXISTS safety_prob double precision,
+  ADD COLUMN IF NOT EXISTS td_prob double precision,
+  ADD COLUMN IF NOT EXISTS extra_point_prob double precision,
+  ADD COLUMN IF NOT EXISTS two_point_conversion_prob double precision,
+  ADD COLUMN IF NOT EXISTS ep double precision,
+  ADD COLUMN IF NOT EXISTS epa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_rush_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_rush_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_pass_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_pass_epa double precision,
+  ADD COLUMN IF NOT EXISTS air_epa double precision,
+  ADD COLUMN IF NOT EXISTS yac_epa double precision,
+  ADD COLUMN IF NOT EXISTS comp_air_epa double precision,
+  ADD COLUMN IF NOT EXISTS comp_yac_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_comp_air_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_comp_air_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_comp_yac_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_comp_yac_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_raw_air_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_raw_air_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_raw_yac_epa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_raw_yac_epa double precision,
+  ADD COLUMN IF NOT EXISTS wp double precision,
+  ADD COLUMN IF NOT EXISTS def_wp double precision,
+  ADD COLUMN IF NOT EXISTS home_wp double precision,
+  ADD COLUMN IF NOT EXISTS away_wp double precision,
+  ADD COLUMN IF NOT EXISTS vegas_wp double precision,
+  ADD COLUMN IF NOT EXISTS vegas_home_wp double precision,
+  ADD COLUMN IF NOT EXISTS wpa double precision,
+  ADD COLUMN IF NOT EXISTS vegas_wpa double precision,
+  ADD COLUMN IF NOT EXISTS vegas_home_wpa double precision,
+  ADD COLUMN IF NOT EXISTS home_wp_post double precision,
+  ADD COLUMN IF NOT EXISTS away_wp_post double precision,
+  ADD COLUMN IF NOT EXISTS total_home_rush_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_rush_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_pass_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_pass_wpa double precision,
+  ADD COLUMN IF NOT EXISTS air_wpa double precision,
+  ADD COLUMN IF NOT EXISTS yac_wpa double precision,
+  ADD COLUMN IF NOT EXISTS comp_air_wpa double precision,
+  ADD COLUMN IF NOT EXISTS comp_yac_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_comp_air_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_comp_air_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_comp_yac_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_comp_yac_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_raw_air_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_raw_air_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_home_raw_yac_wpa double precision,
+  ADD COLUMN IF NOT EXISTS total_away_raw_yac_wpa double precision,
+  ADD COLUMN IF NOT EXISTS punt_blocked text,
+  ADD COLUMN IF NOT EXISTS first_down_rush text,
+  ADD COLUMN IF NOT EXISTS first_down_pass text,
+  ADD COLUMN IF NOT EXISTS first_down_penalty text,
+  ADD COLUMN IF NOT EXISTS third_down_converted text,
+  ADD COLUMN IF NOT EXISTS third_down_failed text,
+  ADD COLUMN IF NOT EXISTS fourth_down_converted text,
+  ADD COLUMN IF NOT EXISTS fourth_down_failed text,
+  ADD COLUMN IF NOT EXISTS incomplete_pass text,
+  ADD COLUMN IF NOT EXISTS touchback text,
+  ADD COLUMN IF NOT EXISTS interception text,
+  ADD COLUMN IF NOT EXISTS punt_inside_twenty text,
+  ADD COLUMN IF NOT EXISTS punt_in_endzone text,
+  ADD COLUMN IF NOT EXISTS punt_out_of_bounds text,
+  ADD COLUMN IF NOT EXISTS punt_downed text,
+  ADD COLUMN IF NOT EXISTS punt_fair_catch text,
+  ADD COLUMN IF NOT EXISTS kickoff_inside_twenty text,
+  ADD COLUMN IF NOT EXISTS kickoff_in_endzone text,
+  ADD COLUMN IF NOT EXISTS kickoff_out_of_bounds text,
+  ADD COLUMN IF NOT EXISTS kickoff_downed text,
+  ADD COLUMN IF NOT EXISTS kickoff_fair_catch text,
+  ADD COLUMN IF NOT EXISTS fumble_forced text,
+  ADD COLUMN IF NOT EXISTS fumble_not_forced text,
+  ADD COLUMN IF NOT EXISTS fumble_out_of_bounds text,
+  ADD COLUMN IF NOT EXISTS solo_tackle text,
+  ADD COLUMN IF NOT EXISTS safety text,
+  ADD COLUMN IF NOT EXISTS penalty text,
+  ADD COLUMN IF NOT EXISTS tackled_for_loss text,
+  ADD COLUMN IF NOT EXISTS fumble_lost text,
+  ADD COLUMN IF NOT EXISTS own_kickoff_recovery text,
+  ADD COLUMN IF NOT EXISTS own_kickoff_recovery_td text,
+  ADD COLUMN IF NOT EXISTS qb_hit text,
+  ADD COLUMN IF NOT EXISTS rush_attempt text,
+  ADD COLUMN IF NOT EXISTS pass_attempt text,
+  ADD COLUMN IF NOT EXISTS sack text,
+  ADD COLUMN IF NOT EXISTS touchdown text,
+  ADD COLUMN IF NOT EXISTS pass_touchdown text,
+  ADD COLUMN IF NOT EXISTS rush_touchdown text,
+  ADD COLUMN IF NOT EXISTS return_touchdown text,
+  ADD COLUMN IF NOT EXISTS extra_point_attempt text,
+  ADD COLUMN IF NOT EXISTS two_point_attempt text,
+  ADD COLUMN IF NOT EXISTS field_goal_attempt text,
+  ADD COLUMN IF NOT EXISTS kickoff_attempt text,
+  ADD COLUMN IF NOT EXISTS punt_attempt text,
+  ADD COLUMN IF NOT EXISTS fumble text,
+  ADD COLUMN IF NOT EXISTS complete_pass text,
+  ADD COLUMN IF NOT EXISTS assist_tackle text,
+  ADD COLUMN IF NOT EXISTS lateral_reception text,
+  ADD COLUMN IF NOT EXISTS lateral_rush text,
+  ADD COLUMN IF NOT EXISTS lateral_return text,
+  ADD COLUMN IF NOT EXISTS lateral_recovery text,
+  ADD COLUMN IF NOT EXISTS passer_player_id text,
+  ADD COLUMN IF NOT EXISTS passer_player_name text,
+  ADD COLUMN IF NOT EXISTS passing_yards numeric,
+  ADD COLUMN IF NOT EXISTS receiver_player_id text,
+  ADD COLUMN IF NOT EXISTS receiver_player_name text,
+  ADD COLUMN IF NOT EXISTS receiving_yards numeric,
+  ADD COLUMN IF NOT EXISTS rusher_player_id text,
+  ADD COLUMN IF NOT EXISTS rusher_player_name text,
+  ADD COLUMN IF NOT EXISTS rushing_yards numeric,
+  ADD COLUMN IF NOT EXISTS lateral_receiver_player_id text,
+  ADD COLUMN IF NOT EXISTS lateral_receiver_player_name text,
+  ADD COLUMN IF NOT EXISTS lateral_receiving_yards numeric,
+  ADD COLUMN IF NOT EXISTS lateral_rusher_player_id text,
+  ADD COLUMN IF NOT EXISTS lateral_rusher_player_name text,
+  ADD COLUMN IF NOT EXISTS lateral_rushing_yards numeric,
+  ADD COLUMN IF NOT EXISTS lateral_sack_player_id text,
+  ADD COLUMN IF NOT EXISTS lateral_sack_player_name text,
+  ADD COLUMN IF NOT EXISTS interception_player_id text,
+  ADD COLUMN IF NOT EXISTS interception_player_name text,
+  ADD COLUMN IF NOT EXISTS lateral_interception_player_id text,
+  ADD COLUMN IF NOT EXISTS lateral_interception_player_name text,
+  ADD COLUMN IF NOT EXISTS punt_returner_player_id text,
+  ADD COLUMN IF NOT EXISTS punt_returner_player_name text,
+  ADD COLUMN IF NOT EXISTS lateral_punt_returner_player_id text,
+  ADD COLUMN IF NOT EXISTS lateral_punt_returner_player_name text,
+  ADD COLUMN IF NOT EXISTS kickoff_returner_player_name text,
+  ADD COLUMN IF NOT EXISTS kickoff_returner_player_id text,
+  ADD COLUMN IF NOT EXISTS lateral_kickoff_returner_player_id text,
+  ADD COLUMN IF NOT EXISTS lateral_kickoff_returner_player_name text,
+  ADD COLUMN IF NOT EXISTS punter_player_id text,
+  ADD COLUMN IF NOT EXISTS punter_player_name text,
+  ADD COLUMN IF NOT EXISTS kicker_player_name text,
+  ADD COLUMN IF NOT EXISTS kicker_player_id text,
+  ADD COLUMN IF NOT EXISTS own_kickoff_recovery_player_id text,
+  ADD COLUMN IF NOT EXISTS own_kickoff_recovery_player_name text,
+  ADD COLUMN IF NOT EXISTS blocked_player_id text,
+  ADD COLUMN IF NOT EXISTS blocked_player_name text,
+  ADD COLUMN IF NOT EXISTS tackle_for_loss_1_player_id text,
+  ADD COLUMN IF NOT EXISTS tackle_for_loss_1_player_name text,
+  ADD COLUMN IF NOT EXISTS tackle_for_loss_2_player_id text,
+  ADD COLUMN IF NOT EXISTS tackle_for_loss_2_player_name text,
+  ADD COLUMN IF NOT EXISTS qb_hit_1_player_id text,
+  ADD COLUMN IF NOT EXISTS qb_hit_1_player_name text,
+  ADD COLUMN IF NOT EXISTS qb_hit_2_player_id text,
+  ADD COLUMN IF NOT EXISTS qb_hit_2_player_name text,
+  ADD COLUMN IF NOT EXISTS forced_fumble_player_1_team text,
+  ADD COLUMN IF NOT EXISTS forced_fumble_player_1_player_id text,
+  ADD COLUMN IF NOT EXISTS forced_fumble_player_1_player_name text,
+  ADD COLUMN IF NOT EXISTS forced_fumble_player_2_team text,
+  ADD COLUMN IF NOT EXISTS forced_fumble_player_2_player_id text,
+  ADD COLUMN IF NOT EXISTS forced_fumble_player_2_player_name text,
+  ADD COLUMN IF NOT EXISTS solo_tackle_1_team text,
+  ADD COLUMN IF NOT EXISTS solo_tackle_2_team text,
+  ADD COLUMN IF NOT EXISTS solo_tackle_1_player_id text,
+  ADD COLUMN IF NOT EXISTS solo_tackle_2_player_id text,
+  ADD COLUMN IF NOT EXISTS solo_tackle_1_player_name text,
+  ADD COLUMN IF NOT EXISTS solo_tackle_2_player_name text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_1_player_id text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_1_player_name text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_1_team text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_2_player_id text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_2_player_name text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_2_team text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_3_player_id text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_3_player_name text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_3_team text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_4_player_id text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_4_player_name text,
+  ADD COLUMN IF NOT EXISTS assist_tackle_4_team text,
+  ADD COLUMN IF NOT EXISTS tackle_with_assist text,
+  ADD COLUMN IF NOT EXISTS tackle_with_assist_1_player_id text,
+  ADD COLUMN IF NOT EXISTS tackle_with_assist_1_player_name text,
+  ADD COLUMN IF NOT EXISTS tackle_with_assist_1_team text,
+  ADD COLUMN IF NOT EXISTS tackle_with_assist_2_player_id text,
+  ADD COLUMN IF NOT EXISTS tackle_with_assist_2_player_name text,
+  ADD COLUMN IF NOT EXISTS tackle_with_assist_2_team text,
+  ADD COLUMN IF NOT EXISTS pass_defense_1_player_id text,
+  ADD COLUMN IF NOT EXISTS pass_defense_1_player_name text,
+  ADD COLUMN IF NOT EXISTS pass_defense_2_player_id text,
+  ADD COLUMN IF NOT EXISTS pass_defense_2_player_name text,
+  ADD COLUMN IF NOT EXISTS fumbled_1_team text,
+  ADD COLUMN IF NOT EXISTS fumbled_1_player_id text,
+  ADD COLUMN IF NOT EXISTS fumbled_1_player_name text,
+  ADD COLUMN IF NOT EXISTS fumbled_2_player_id text,
+  ADD COLUMN IF NOT EXISTS fumbled_2_player_name text,
+  ADD COLUMN IF NOT EXISTS fumbled_2_team text,
+  ADD COLUMN IF NOT EXISTS fumble_recovery_1_team text,
+  ADD COLUMN IF NOT EXISTS fumble_recovery_1_yards numeric,
+  ADD COLUMN IF NOT EXISTS fumble_recovery_1_player_id text,
+  ADD COLUMN IF NOT EXISTS fumble_recovery_1_player_name text,
+  ADD COLUMN IF NOT EXISTS fumble_recovery_2_team text,
+  ADD COLUMN IF NOT EXISTS fumble_recovery_2_yards numeric,
+  ADD COLUMN IF NOT EXISTS fumble_recovery_2_player_id text,
+  ADD COLUMN IF NOT EXISTS fumble_recovery_2_player_name text,
+  ADD COLUMN IF NOT EXISTS sack_player_id text,
+  ADD COLUMN IF NOT EXISTS sack_player_name text,
+  ADD COLUMN IF NOT EXISTS half_sack_1_player_id text,
+  ADD COLUMN IF NOT EXISTS half_sack_1_player_name text,
+  ADD COLUMN IF NOT EXISTS half_sack_2_player_id text,
+  ADD COLUMN IF NOT EXISTS half_sack_2_player_name text,
+  ADD COLUMN IF NOT EXISTS return_team text,
+  ADD COLUMN IF NOT EXISTS return_yards numeric,
+  ADD COLUMN IF NOT EXISTS penalty_team text,
+  ADD COLUMN IF NOT EXISTS penalty_player_id text,
+  ADD COLUMN IF NOT EXISTS penalty_player_name text,
+  ADD COLUMN IF NOT EXISTS penalty_yards numeric,
+  ADD COLUMN IF NOT EXISTS replay_or_challenge text,
+  ADD COLUMN IF NOT EXISTS replay_or_challenge_result text,
+  ADD COLUMN IF NOT EXISTS penalty_type text,
+  ADD COLUMN IF NOT EXISTS defensive_two_point_attempt text,
+  ADD COLUMN IF NOT EXISTS defensive_two_point_conv text,
+  ADD COLUMN IF NOT EXISTS defensive_extra_point_attempt text,
+  ADD COLUMN IF NOT EXISTS defensive_extra_point_conv text,
+  ADD COLUMN IF NOT EXISTS safety_player_name text,
+  ADD COLUMN IF NOT EXISTS safety_player_id text,
+  ADD COLUMN IF NOT EXISTS season numeric,
+  ADD COLUMN IF NOT EXISTS cp double precision,
+  ADD COLUMN IF NOT EXISTS cpoe double precision,
+  ADD COLUMN IF NOT EXISTS series numeric,
+  ADD COLUMN IF NOT EXISTS series_success text,
+  ADD COLUMN IF NOT EXISTS series_result text,
+  ADD COLUMN IF NOT EXISTS order_sequence numeric,
+  ADD COLUMN IF NOT EXISTS start_time text,
+  ADD COLUMN IF NOT EXISTS time_of_day text,
+  ADD COLUMN IF NOT EXISTS stadium text,
+  ADD COLUMN IF NOT EXISTS weather text,
+  ADD COLUMN IF NOT EXISTS nfl_api_id text,
+  ADD COLUMN IF NOT EXISTS play_clock numeric,
+  ADD COLUMN IF NOT EXISTS play_deleted text,
+  ADD COLUMN IF NOT EXISTS play_type_nfl text,
+  ADD COLUMN IF NOT EXISTS special_teams_play text,
+  ADD COLUMN IF NOT EXISTS st_play_type text,
+  ADD COLUMN IF NOT EXISTS end_clock_time text,
+  ADD COLUMN IF NOT EXISTS end_yard_line text,
+  ADD COLUMN IF NOT EXISTS fixed_drive numeric,
+  ADD COLUMN IF NOT EXISTS fixed_drive_result text,
+  ADD COLUMN IF NOT EXISTS drive_real_start_time text,
+  ADD COLUMN IF NOT EXISTS drive_play_count numeric,
+  ADD COLUMN IF NOT EXISTS drive_time_of_possession text,
+  ADD COLUMN IF NOT EXISTS drive_first_downs numeric,
+  ADD COLUMN IF NOT EXISTS drive_inside20 text,
+  ADD COLUMN IF NOT EXISTS drive_ended_with_score text,
+  ADD COLUMN IF NOT EXISTS drive_quarter_start numeric,
+  ADD COLUMN IF NOT EXISTS drive_quarter_end numeric,
+  ADD COLUMN IF NOT EXISTS drive_yards_penalized numeric,
+  ADD COLUMN IF NOT EXISTS drive_start_transition text,
+  ADD COLUMN IF NOT EXISTS drive_end_transition text,
+  ADD COLUMN IF NOT EXISTS drive_game_clock_start text,
+  ADD COLUMN IF NOT EXISTS drive_game_clock_end text,
+  ADD COLUMN IF NOT EXISTS drive_start_yard_line text,
+  ADD COLUMN IF NOT EXISTS drive_end_yard_line text,
+  ADD COLUMN IF NOT EXISTS drive_play_id_started text,
+  ADD COLUMN IF NOT EXISTS drive_play_id_ended text,
+  ADD COLUMN IF NOT EXISTS away_score numeric,
+  ADD COLUMN IF NOT EXISTS home_score numeric,
+  ADD COLUMN IF NOT EXISTS location text,
+  ADD COLUMN IF NOT EXISTS result numeric,
+  ADD COLUMN IF NOT EXISTS total numeric,
+  ADD COLUMN IF NOT EXISTS spread_line double precision,
+  ADD COLUMN IF NOT EXISTS total_line double precision,
+  ADD COLUMN IF NOT EXISTS div_game text,
+  ADD COLUMN IF NOT EXISTS roof text,
+  ADD COLUMN IF NOT EXISTS surface text,
+  ADD COLUMN IF NOT EXISTS temp numeric,
+  ADD COLUMN IF NOT EXISTS wind numeric,
+  ADD COLUMN IF NOT EXISTS home_coach text,
+  ADD COLUMN IF NOT EXISTS away_coach text,
+  ADD COLUMN IF NOT EXISTS stadium_id text,
+  ADD COLUMN IF NOT EXISTS game_stadium text,
+  ADD COLUMN IF NOT EXISTS aborted_play text,
+  ADD COLUMN IF NOT EXISTS success text,
+  ADD COLUMN IF NOT EXISTS passer text,
+  ADD COLUMN IF NOT EXISTS passer_jersey_number text,
+  ADD COLUMN IF NOT EXISTS rusher text,
+  ADD COLUMN IF NOT EXISTS rusher_jersey_number text,
+  ADD COLUMN IF NOT EXISTS receiver text,
+  ADD COLUMN IF NOT EXISTS receiver_jersey_number text,
+  ADD COLUMN IF NOT EXISTS pass text,
+  ADD COLUMN IF NOT EXISTS rush text,
+  ADD COLUMN IF NOT EXISTS first_down text,
+  ADD COLUMN IF NOT EXISTS special text,
+  ADD COLUMN IF NOT EXISTS play text,
+  ADD COLUMN IF NOT EXISTS passer_id text,
+  ADD COLUMN IF NOT EXISTS rusher_id text,
+  ADD COLUMN IF NOT EXISTS receiver_id text,
+  ADD COLUMN IF NOT EXISTS name text,
+  ADD COLUMN IF NOT EXISTS jersey_number text,
+  ADD COLUMN IF NOT EXISTS id text,
+  ADD COLUMN IF NOT EXISTS fantasy_player_name text,
+  ADD COLUMN IF NOT EXISTS fantasy_player_id text,
+  ADD COLUMN IF NOT EXISTS fantasy text,
+  ADD COLUMN IF NOT EXISTS fantasy_id text,
+  ADD COLUMN IF NOT EXISTS out_of_bounds text,
+  ADD COLUMN IF NOT EXISTS home_opening_kickoff text,
+  ADD COLUMN IF NOT EXISTS qb_epa double precision,
+  ADD COLUMN IF NOT EXISTS xyac_epa double precision,
+  ADD COLUMN IF NOT EXISTS xyac_mean_yardage double precision,
+  ADD COLUMN IF NOT EXISTS xyac_median_yardage double precision,
+  ADD COLUMN IF NOT EXISTS xyac_success double precision,
+  ADD COLUMN IF NOT EXISTS xyac_fd double precision,
+  ADD COLUMN IF NOT EXISTS xpass double precision,
+  ADD COLUMN IF NOT EXISTS pass_oe double precision,
+  ADD COLUMN IF NOT EXISTS extra_columns jsonb;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nflfastr_pbp_conflict_key
+  ON public.nflfastr_pbp (play_id, game_id);
+CREATE INDEX IF NOT EXISTS nflfastr_pbp_game_id_idx
+  ON public.nflfastr_pbp (game_id);
+CREATE INDEX IF NOT EXISTS nflfastr_pbp_season_week_idx
+  ON public.nflfastr_pbp (season, week);
@@ -0,0 +1,15 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nflfastr_pbp_sync_state: Fingerprint of the last written version of each play (index.js --incremental)
+CREATE TABLE IF NOT EXISTS public.nflfastr_pbp_sync_state ();
+
+ALTER TABLE public.nflfastr_pbp_sync_state
+  ADD COLUMN IF NOT EXISTS play_id numeric NOT NULL,
+  ADD COLUMN IF NOT EXISTS game_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS fingerprint text NOT NULL,
+  ADD COLUMN IF NOT EXISTS synced_at timestamp with time zone;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nflfastr_pbp_sync_state_conflict_key
+  ON public.nflfastr_pbp_sync_state (play_id, game_id);
+CREATE INDEX IF NOT EXISTS nflfastr_pbp_sync_state_game_id_idx
+  ON public.nflfastr_pbp_sync_state (game_id);
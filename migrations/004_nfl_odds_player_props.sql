@@ -0,0 +1,45 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nfl_odds_player_props: Main-line player props from The Odds API, current line per outcome (nfl-odds-alternate.js)
+CREATE TABLE IF NOT EXISTS public.nfl_odds_player_props ();
+
+ALTER TABLE public.nfl_odds_player_props
+  ADD COLUMN IF NOT EXISTS id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS event_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS sport_key text,
+  ADD COLUMN IF NOT EXISTS commence_time timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS home_team text,
+  ADD COLUMN IF NOT EXISTS away_team text,
+  ADD COLUMN IF NOT EXISTS game_id text,
+  ADD COLUMN IF NOT EXISTS week_number integer,
+  ADD COLUMN IF NOT EXISTS season_year integer,
+  ADD COLUMN IF NOT EXISTS bookmaker_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS bookmaker_title text,
+  ADD COLUMN IF NOT EXISTS bookmaker_last_update timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS market_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS market_name text,
+  ADD COLUMN IF NOT EXISTS player_name text NOT NULL,
+  ADD COLUMN IF NOT EXISTS player_id text,
+  ADD COLUMN IF NOT EXISTS prop_type text,
+  ADD COLUMN IF NOT EXISTS outcome_name text NOT NULL,
+  ADD COLUMN IF NOT EXISTS outcome_price numeric,
+  ADD COLUMN IF NOT EXISTS decimal_price numeric,
+  ADD COLUMN IF NOT EXISTS american_price integer,
+  ADD COLUMN IF NOT EXISTS implied_probability numeric,
+  ADD COLUMN IF NOT EXISTS fair_probability numeric,
+  ADD COLUMN IF NOT EXISTS line_value numeric,
+  ADD COLUMN IF NOT EXISTS bet_type text,
+  ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nfl_odds_player_props_conflict_key
+  ON public.nfl_odds_player_props (event_id, bookmaker_key, market_key, player_name, outcome_name);
+CREATE INDEX IF NOT EXISTS nfl_odds_player_props_id_idx
+  ON public.nfl_odds_player_props (id);
+CREATE INDEX IF NOT EXISTS nfl_odds_player_props_commence_time_idx
+  ON public.nfl_odds_player_props (commence_time);
+CREATE INDEX IF NOT EXISTS nfl_odds_player_props_player_name_prop_type_idx
+  ON public.nfl_odds_player_props (player_name, prop_type);
+CREATE INDEX IF NOT EXISTS nfl_odds_player_props_player_id_idx
+  ON public.nfl_odds_player_props (player_id);
+CREATE INDEX IF NOT EXISTS nfl_odds_player_props_game_id_idx
+  ON public.nfl_odds_player_props (game_id);
@@ -0,0 +1,39 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nfl_odds_game_lines: Moneylines, spreads and totals from The Odds API (nfl-odds-alternate.js)
+CREATE TABLE IF NOT EXISTS public.nfl_odds_game_lines ();
+
+ALTER TABLE public.nfl_odds_game_lines
+  ADD COLUMN IF NOT EXISTS id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS event_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS sport_key text,
+  ADD COLUMN IF NOT EXISTS commence_time timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS home_team text,
+  ADD COLUMN IF NOT EXISTS away_team text,
+  ADD COLUMN IF NOT EXISTS game_id text,
+  ADD COLUMN IF NOT EXISTS week_number integer,
+  ADD COLUMN IF NOT EXISTS season_year integer,
+  ADD COLUMN IF NOT EXISTS bookmaker_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS bookmaker_title text,
+  ADD COLUMN IF NOT EXISTS bookmaker_last_update timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS market_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS market_name text,
+  ADD COLUMN IF NOT EXISTS line_type text,
+  ADD COLUMN IF NOT EXISTS outcome_name text NOT NULL,
+  ADD COLUMN IF NOT EXISTS outcome_price numeric,
+  ADD COLUMN IF NOT EXISTS decimal_price numeric,
+  ADD COLUMN IF NOT EXISTS american_price integer,
+  ADD COLUMN IF NOT EXISTS implied_probability numeric,
+  ADD COLUMN IF NOT EXISTS fair_probability numeric,
+  ADD COLUMN IF NOT EXISTS line_value numeric,
+  ADD COLUMN IF NOT EXISTS bet_type text,
+  ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nfl_odds_game_lines_conflict_key
+  ON public.nfl_odds_game_lines (event_id, bookmaker_key, market_key, outcome_name);
+CREATE INDEX IF NOT EXISTS nfl_odds_game_lines_id_idx
+  ON public.nfl_odds_game_lines (id);
+CREATE INDEX IF NOT EXISTS nfl_odds_game_lines_commence_time_idx
+  ON public.nfl_odds_game_lines (commence_time);
+CREATE INDEX IF NOT EXISTS nfl_odds_game_lines_game_id_idx
+  ON public.nfl_odds_game_lines (game_id);
@@ -0,0 +1,77 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nfl_odds_line_snapshots: Append-only odds history, one row per price or line change (nfl-odds-alternate.js)
+CREATE TABLE IF NOT EXISTS public.nfl_odds_line_snapshots ();
+
+ALTER TABLE public.nfl_odds_line_snapshots
+  ADD COLUMN IF NOT EXISTS line_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS event_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS game_id text,
+  ADD COLUMN IF NOT EXISTS commence_time timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS season_year integer,
+  ADD COLUMN IF NOT EXISTS market_group text NOT NULL,
+  ADD COLUMN IF NOT EXISTS bookmaker_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS market_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS prop_type text,
+  ADD COLUMN IF NOT EXISTS player_name text,
+  ADD COLUMN IF NOT EXISTS player_id text,
+  ADD COLUMN IF NOT EXISTS outcome_name text NOT NULL,
+  ADD COLUMN IF NOT EXISTS line_value numeric,
+  ADD COLUMN IF NOT EXISTS decimal_price numeric,
+  ADD COLUMN IF NOT EXISTS american_price integer,
+  ADD COLUMN IF NOT EXISTS fair_probability numeric,
+  ADD COLUMN IF NOT EXISTS bookmaker_last_update timestamp with time zone NOT NULL,
+  ADD COLUMN IF NOT EXISTS captured_at timestamp with time zone NOT NULL,
+  ADD COLUMN IF NOT EXISTS is_closing boolean;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nfl_odds_line_snapshots_conflict_key
+  ON public.nfl_odds_line_snapshots (line_id, bookmaker_last_update);
+CREATE INDEX IF NOT EXISTS nfl_odds_line_snapshots_event_id_idx
+  ON public.nfl_odds_line_snapshots (event_id);
+CREATE INDEX IF NOT EXISTS nfl_odds_line_snapshots_player_name_market_key_idx
+  ON public.nfl_odds_line_snapshots (player_name, market_key);
+
+-- nfl_odds_line_opening: First recorded price of every line
+CREATE OR REPLACE VIEW public.nfl_odds_line_opening AS
+SELECT DISTINCT ON (line_id) *
+FROM public.nfl_odds_line_snapshots
+ORDER BY line_id, bookmaker_last_update ASC;
+
+-- nfl_odds_line_current: Latest recorded price of every line (the closing line once the game has started)
+CREATE OR REPLACE VIEW public.nfl_odds_line_current AS
+SELECT DISTINCT ON (line_id) *
+FROM public.nfl_odds_line_snapshots
+ORDER BY line_id, bookmaker_last_update DESC;
+
+-- nfl_odds_line_closing: Closing price of every line, captured just before kickoff
+CREATE OR REPLACE VIEW public.nfl_odds_line_closing AS
+SELECT DISTINCT ON (line_id) *
+FROM public.nfl_odds_line_snapshots
+WHERE is_closing
+ORDER BY line_id, bookmaker_last_update DESC;
+
+-- nfl_odds_line_movers: Opening vs current price per line, biggest implied-probability move first
+CREATE OR REPLACE VIEW public.nfl_odds_line_movers AS
+SELECT
+  c.line_id,
+  c.event_id,
+  c.commence_time,
+  c.season_year,
+  c.market_group,
+  c.bookmaker_key,
+  c.market_key,
+  c.prop_type,
+  c.player_name,
+  c.outcome_name,
+  o.line_value AS opening_line,
+  c.line_value AS current_line,
+  o.decimal_price AS opening_price,
+  c.decimal_price AS current_price,
+  c.line_value - o.line_value AS line_change,
+  round(1 / NULLIF(c.decimal_price, 0) - 1 / NULLIF(o.decimal_price, 0), 4) AS implied_probability_change,
+  o.bookmaker_last_update AS opened_at,
+  c.bookmaker_last_update AS last_moved_at,
+  (SELECT count(*) FROM public.nfl_odds_line_snapshots s WHERE s.line_id = c.line_id) AS snapshots
+FROM public.nfl_odds_line_current c
+JOIN public.nfl_odds_line_opening o USING (line_id)
+ORDER BY abs(1 / NULLIF(c.decimal_price, 0) - 1 / NULLIF(o.decimal_price, 0)) DESC NULLS LAST;
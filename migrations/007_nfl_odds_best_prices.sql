@@ -0,0 +1,29 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nfl_odds_best_prices: Best price per player / prop / line / side across bookmakers (nfl-odds-alternate.js)
+CREATE TABLE IF NOT EXISTS public.nfl_odds_best_prices ();
+
+ALTER TABLE public.nfl_odds_best_prices
+  ADD COLUMN IF NOT EXISTS selection_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS event_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS commence_time timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS market_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS prop_type text,
+  ADD COLUMN IF NOT EXISTS player_name text,
+  ADD COLUMN IF NOT EXISTS line_value numeric,
+  ADD COLUMN IF NOT EXISTS bet_type text NOT NULL,
+  ADD COLUMN IF NOT EXISTS outcome_name text,
+  ADD COLUMN IF NOT EXISTS best_bookmaker text NOT NULL,
+  ADD COLUMN IF NOT EXISTS best_decimal_price numeric NOT NULL,
+  ADD COLUMN IF NOT EXISTS best_american_price integer,
+  ADD COLUMN IF NOT EXISTS best_implied_probability numeric,
+  ADD COLUMN IF NOT EXISTS second_best_price numeric,
+  ADD COLUMN IF NOT EXISTS books_quoted integer,
+  ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nfl_odds_best_prices_conflict_key
+  ON public.nfl_odds_best_prices (selection_id);
+CREATE INDEX IF NOT EXISTS nfl_odds_best_prices_event_id_idx
+  ON public.nfl_odds_best_prices (event_id);
+CREATE INDEX IF NOT EXISTS nfl_odds_best_prices_player_name_prop_type_idx
+  ON public.nfl_odds_best_prices (player_name, prop_type);
@@ -0,0 +1,34 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nfl_odds_opportunities: Cross-book arbitrage and middle opportunities from the latest run (nfl-odds-alternate.js)
+CREATE TABLE IF NOT EXISTS public.nfl_odds_opportunities ();
+
+ALTER TABLE public.nfl_odds_opportunities
+  ADD COLUMN IF NOT EXISTS id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS event_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS commence_time timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS opportunity_type text NOT NULL,
+  ADD COLUMN IF NOT EXISTS market_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS prop_type text,
+  ADD COLUMN IF NOT EXISTS player_name text,
+  ADD COLUMN IF NOT EXISTS side_a text NOT NULL,
+  ADD COLUMN IF NOT EXISTS line_a numeric,
+  ADD COLUMN IF NOT EXISTS bookmaker_a text NOT NULL,
+  ADD COLUMN IF NOT EXISTS price_a numeric NOT NULL,
+  ADD COLUMN IF NOT EXISTS side_b text NOT NULL,
+  ADD COLUMN IF NOT EXISTS line_b numeric,
+  ADD COLUMN IF NOT EXISTS bookmaker_b text NOT NULL,
+  ADD COLUMN IF NOT EXISTS price_b numeric NOT NULL,
+  ADD COLUMN IF NOT EXISTS combined_implied_probability numeric NOT NULL,
+  ADD COLUMN IF NOT EXISTS edge numeric,
+  ADD COLUMN IF NOT EXISTS middle_width numeric,
+  ADD COLUMN IF NOT EXISTS stake_a numeric,
+  ADD COLUMN IF NOT EXISTS stake_b numeric,
+  ADD COLUMN IF NOT EXISTS detected_at timestamp with time zone NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nfl_odds_opportunities_conflict_key
+  ON public.nfl_odds_opportunities (id);
+CREATE INDEX IF NOT EXISTS nfl_odds_opportunities_event_id_idx
+  ON public.nfl_odds_opportunities (event_id);
+CREATE INDEX IF NOT EXISTS nfl_odds_opportunities_opportunity_type_idx
+  ON public.nfl_odds_opportunities (opportunity_type);
@@ -0,0 +1,20 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nfl_player_name_review: Odds player names not matched to an nflverse player ID, for manual review (nfl-odds-alternate.js)
+CREATE TABLE IF NOT EXISTS public.nfl_player_name_review ();
+
+ALTER TABLE public.nfl_player_name_review
+  ADD COLUMN IF NOT EXISTS season_year integer NOT NULL,
+  ADD COLUMN IF NOT EXISTS player_name text NOT NULL,
+  ADD COLUMN IF NOT EXISTS normalized_name text,
+  ADD COLUMN IF NOT EXISTS status text NOT NULL,
+  ADD COLUMN IF NOT EXISTS candidates jsonb,
+  ADD COLUMN IF NOT EXISTS teams text,
+  ADD COLUMN IF NOT EXISTS event_id text,
+  ADD COLUMN IF NOT EXISTS last_seen_at timestamp with time zone NOT NULL,
+  ADD COLUMN IF NOT EXISTS resolved_player_id text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nfl_player_name_review_conflict_key
+  ON public.nfl_player_name_review (season_year, player_name);
+CREATE INDEX IF NOT EXISTS nfl_player_name_review_status_idx
+  ON public.nfl_player_name_review (status);
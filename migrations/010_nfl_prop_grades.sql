@@ -0,0 +1,51 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nfl_prop_grades: Player-prop lines settled against play-by-play results (grade-props.js)
+CREATE TABLE IF NOT EXISTS public.nfl_prop_grades ();
+
+ALTER TABLE public.nfl_prop_grades
+  ADD COLUMN IF NOT EXISTS source_table text NOT NULL,
+  ADD COLUMN IF NOT EXISTS line_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS event_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS game_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS commence_time timestamp with time zone,
+  ADD COLUMN IF NOT EXISTS player_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS player_name text,
+  ADD COLUMN IF NOT EXISTS bookmaker_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS market_key text NOT NULL,
+  ADD COLUMN IF NOT EXISTS prop_type text NOT NULL,
+  ADD COLUMN IF NOT EXISTS bet_type text NOT NULL,
+  ADD COLUMN IF NOT EXISTS line_value numeric,
+  ADD COLUMN IF NOT EXISTS decimal_price numeric,
+  ADD COLUMN IF NOT EXISTS american_price integer,
+  ADD COLUMN IF NOT EXISTS actual_value numeric,
+  ADD COLUMN IF NOT EXISTS result text NOT NULL,
+  ADD COLUMN IF NOT EXISTS graded_at timestamp with time zone NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nfl_prop_grades_conflict_key
+  ON public.nfl_prop_grades (source_table, line_id);
+CREATE INDEX IF NOT EXISTS nfl_prop_grades_game_id_idx
+  ON public.nfl_prop_grades (game_id);
+CREATE INDEX IF NOT EXISTS nfl_prop_grades_player_id_idx
+  ON public.nfl_prop_grades (player_id);
+CREATE INDEX IF NOT EXISTS nfl_prop_grades_bookmaker_key_prop_type_idx
+  ON public.nfl_prop_grades (bookmaker_key, prop_type);
+
+-- nfl_prop_hit_rates: Graded lines per book, prop type, side and line: hit rate and flat-stake ROI
+CREATE OR REPLACE VIEW public.nfl_prop_hit_rates AS
+SELECT
+  bookmaker_key,
+  prop_type,
+  bet_type,
+  line_value,
+  count(*) FILTER (WHERE result <> 'void') AS graded,
+  count(*) FILTER (WHERE result = 'won') AS won,
+  count(*) FILTER (WHERE result = 'lost') AS lost,
+  count(*) FILTER (WHERE result = 'push') AS pushed,
+  round(count(*) FILTER (WHERE result = 'won')::numeric
+    / NULLIF(count(*) FILTER (WHERE result IN ('won', 'lost')), 0), 4) AS hit_rate,
+  round(avg(1 / NULLIF(decimal_price, 0)) FILTER (WHERE result IN ('won', 'lost')), 4) AS avg_implied_probability,
+  round(sum(CASE WHEN result = 'won' THEN decimal_price - 1 WHEN result = 'lost' THEN -1 ELSE 0 END)
+    / NULLIF(count(*) FILTER (WHERE result IN ('won', 'lost', 'push')), 0), 4) AS roi
+FROM public.nfl_prop_grades
+GROUP BY bookmaker_key, prop_type, bet_type, line_value;
@@ -0,0 +1,43 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- player_game_stats: Per-player box scores and EPA built from nflfastr_pbp after each sync (index.js, lib/player-stats.js)
+CREATE TABLE IF NOT EXISTS public.player_game_stats ();
+
+ALTER TABLE public.player_game_stats
+  ADD COLUMN IF NOT EXISTS game_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS player_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS player_name text,
+  ADD COLUMN IF NOT EXISTS season integer,
+  ADD COLUMN IF NOT EXISTS week integer,
+  ADD COLUMN IF NOT EXISTS team text,
+  ADD COLUMN IF NOT EXISTS passing_attempts integer,
+  ADD COLUMN IF NOT EXISTS passing_completions integer,
+  ADD COLUMN IF NOT EXISTS passing_yards numeric,
+  ADD COLUMN IF NOT EXISTS passing_touchdowns integer,
+  ADD COLUMN IF NOT EXISTS pass_interceptions integer,
+  ADD COLUMN IF NOT EXISTS sacks integer,
+  ADD COLUMN IF NOT EXISTS sack_yards numeric,
+  ADD COLUMN IF NOT EXISTS passing_epa double precision,
+  ADD COLUMN IF NOT EXISTS rushing_attempts integer,
+  ADD COLUMN IF NOT EXISTS rushing_yards numeric,
+  ADD COLUMN IF NOT EXISTS rushing_touchdowns integer,
+  ADD COLUMN IF NOT EXISTS rushing_epa double precision,
+  ADD COLUMN IF NOT EXISTS targets integer,
+  ADD COLUMN IF NOT EXISTS receptions integer,
+  ADD COLUMN IF NOT EXISTS receiving_yards numeric,
+  ADD COLUMN IF NOT EXISTS receiving_touchdowns integer,
+  ADD COLUMN IF NOT EXISTS receiving_epa double precision,
+  ADD COLUMN IF NOT EXISTS field_goals_made integer,
+  ADD COLUMN IF NOT EXISTS field_goals_attempted integer,
+  ADD COLUMN IF NOT EXISTS field_goal_long numeric,
+  ADD COLUMN IF NOT EXISTS extra_points_made integer,
+  ADD COLUMN IF NOT EXISTS extra_points_attempted integer,
+  ADD COLUMN IF NOT EXISTS touchdowns integer,
+  ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS player_game_stats_conflict_key
+  ON public.player_game_stats (game_id, player_id);
+CREATE INDEX IF NOT EXISTS player_game_stats_player_id_idx
+  ON public.player_game_stats (player_id);
+CREATE INDEX IF NOT EXISTS player_game_stats_season_week_idx
+  ON public.player_game_stats (season, week);
@@ -0,0 +1,36 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- team_game_stats: Per-team offensive game summaries built from nflfastr_pbp with --aggregates (index.js, lib/team-stats.js)
+CREATE TABLE IF NOT EXISTS public.team_game_stats ();
+
+ALTER TABLE public.team_game_stats
+  ADD COLUMN IF NOT EXISTS game_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS team text NOT NULL,
+  ADD COLUMN IF NOT EXISTS opponent text,
+  ADD COLUMN IF NOT EXISTS season integer,
+  ADD COLUMN IF NOT EXISTS week integer,
+  ADD COLUMN IF NOT EXISTS home boolean,
+  ADD COLUMN IF NOT EXISTS plays integer,
+  ADD COLUMN IF NOT EXISTS epa double precision,
+  ADD COLUMN IF NOT EXISTS epa_per_play double precision,
+  ADD COLUMN IF NOT EXISTS success_rate double precision,
+  ADD COLUMN IF NOT EXISTS dropbacks integer,
+  ADD COLUMN IF NOT EXISTS pass_epa_per_play double precision,
+  ADD COLUMN IF NOT EXISTS rushes integer,
+  ADD COLUMN IF NOT EXISTS rush_epa_per_play double precision,
+  ADD COLUMN IF NOT EXISTS pass_rate double precision,
+  ADD COLUMN IF NOT EXISTS pass_rate_over_expected double precision,
+  ADD COLUMN IF NOT EXISTS early_down_plays integer,
+  ADD COLUMN IF NOT EXISTS early_down_pass_rate double precision,
+  ADD COLUMN IF NOT EXISTS yards numeric,
+  ADD COLUMN IF NOT EXISTS first_downs integer,
+  ADD COLUMN IF NOT EXISTS turnovers integer,
+  ADD COLUMN IF NOT EXISTS drives integer,
+  ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS team_game_stats_conflict_key
+  ON public.team_game_stats (game_id, team);
+CREATE INDEX IF NOT EXISTS team_game_stats_team_idx
+  ON public.team_game_stats (team);
+CREATE INDEX IF NOT EXISTS team_game_stats_season_week_idx
+  ON public.team_game_stats (season, week);
@@ -0,0 +1,41 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- drive_summary: One row per drive built from nflfastr_pbp with --aggregates (index.js, lib/drive-stats.js)
+CREATE TABLE IF NOT EXISTS public.drive_summary ();
+
+ALTER TABLE public.drive_summary
+  ADD COLUMN IF NOT EXISTS game_id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS fixed_drive integer NOT NULL,
+  ADD COLUMN IF NOT EXISTS drive integer,
+  ADD COLUMN IF NOT EXISTS season integer,
+  ADD COLUMN IF NOT EXISTS week integer,
+  ADD COLUMN IF NOT EXISTS posteam text,
+  ADD COLUMN IF NOT EXISTS defteam text,
+  ADD COLUMN IF NOT EXISTS result text,
+  ADD COLUMN IF NOT EXISTS start_transition text,
+  ADD COLUMN IF NOT EXISTS end_transition text,
+  ADD COLUMN IF NOT EXISTS quarter_start integer,
+  ADD COLUMN IF NOT EXISTS quarter_end integer,
+  ADD COLUMN IF NOT EXISTS start_yard_line text,
+  ADD COLUMN IF NOT EXISTS end_yard_line text,
+  ADD COLUMN IF NOT EXISTS start_yardline_100 numeric,
+  ADD COLUMN IF NOT EXISTS end_yardline_100 numeric,
+  ADD COLUMN IF NOT EXISTS plays integer,
+  ADD COLUMN IF NOT EXISTS snaps integer,
+  ADD COLUMN IF NOT EXISTS yards numeric,
+  ADD COLUMN IF NOT EXISTS first_downs integer,
+  ADD COLUMN IF NOT EXISTS yards_penalized numeric,
+  ADD COLUMN IF NOT EXISTS time_of_possession text,
+  ADD COLUMN IF NOT EXISTS inside_20 boolean,
+  ADD COLUMN IF NOT EXISTS scored boolean,
+  ADD COLUMN IF NOT EXISTS epa double precision,
+  ADD COLUMN IF NOT EXISTS first_play_id numeric,
+  ADD COLUMN IF NOT EXISTS last_play_id numeric,
+  ADD COLUMN IF NOT EXISTS updated_at timestamp with time zone NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS drive_summary_conflict_key
+  ON public.drive_summary (game_id, fixed_drive);
+CREATE INDEX IF NOT EXISTS drive_summary_posteam_idx
+  ON public.drive_summary (posteam);
+CREATE INDEX IF NOT EXISTS drive_summary_season_week_idx
+  ON public.drive_summary (season, week);
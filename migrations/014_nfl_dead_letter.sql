@@ -0,0 +1,18 @@
+-- Generated by `npm run schema -- generate` from lib/tables.js. Do not edit by hand.
+
+-- nfl_dead_letter: Rows an upsert still rejected after retries, kept for --replay-failed (lib/dead-letter.js)
+CREATE TABLE IF NOT EXISTS public.nfl_dead_letter ();
+
+ALTER TABLE public.nfl_dead_letter
+  ADD COLUMN IF NOT EXISTS id text NOT NULL,
+  ADD COLUMN IF NOT EXISTS table_name text NOT NULL,
+  ADD COLUMN IF NOT EXISTS row_data jsonb NOT NULL,
+  ADD COLUMN IF NOT EXISTS error text,
+  ADD COLUMN IF NOT EXISTS source text,
+  ADD COLUMN IF NOT EXISTS attempts integer,
+  ADD COLUMN IF NOT EXISTS failed_at timestamp with time zone NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS nfl_dead_letter_conflict_key
+  ON public.nfl_dead_letter (id);
+CREATE INDEX IF NOT EXISTS nfl_dead_letter_table_name_idx
+  ON public.nfl_dead_letter (table_name);
@@ -1,13 +1,52 @@
-const { createClient } = require('@supabase/supabase-js');
 const fetch = require('node-fetch');
+const { getSeasonForDate, getSeasonWindow, getWeekInfo, isInSeason } = require('./lib/season-calendar');
+const { assertTableSchema, verifyTableSchema } = require('./lib/schema-check');
+const { planRunBudget, createQuotaTracker } = require('./lib/odds-quota');
+const { planMarketRequests, fetchMarketGroup } = require('./lib/odds-requests');
+const { MARKET_GROUPS, mapMarketToPropType, indexMarkets } = require('./lib/odds-markets');
+const { loadOddsConfig, regionUnits } = require('./lib/odds-config');
+const { applyPricing } = require('./lib/odds-math');
+const { createStorage } = require('./lib/storage');
+const { SNAPSHOT_TABLE, createLineHistory } = require('./lib/line-history');
+const { buildClosingSchedule } = require('./lib/closing-schedule');
+const {
+  BEST_PRICES_TABLE,
+  OPPORTUNITIES_TABLE,
+  analyzeOdds,
+  toBestPriceRows,
+  toOpportunityRows,
+  summarizeOpportunity
+} = require('./lib/odds-analysis');
+const { teamAbbreviation, nflverseGameId } = require('./lib/teams');
+const {
+  PLAYER_REVIEW_TABLE,
+  loadRoster,
+  loadOverrides,
+  createPlayerResolver,
+  toReviewRow
+} = require('./lib/player-identity');
+const { createDryRun } = require('./lib/dry-run');
+const { upsertWithRetry } = require('./lib/upsert-retry');
+const { DEAD_LETTER_TABLE, openDeadLetters, replayDeadLetters } = require('./lib/dead-letter');
 
-// Check for test mode from command line
-const testMode = process.argv.includes('--test');
+// Check for test mode from command line. --dry-run is test mode that also
+// compares the lines with the stored ones (lib/dry-run.js).
+const dryRunMode = process.argv.includes('--dry-run');
+const testMode = dryRunMode || process.argv.includes('--test');
+const skipSchemaCheck = process.argv.includes('--skip-schema-check');
+// Closing-line capture: poll events in their final hour and snapshot the
+// closing line at kickoff (see runClosingCapture)
+const closingMode = process.argv.includes('--closing');
+// Lines an upsert still rejects after retries are dead-lettered (DEAD_LETTER,
+// lib/dead-letter.js); --replay-failed writes them again
+const replayFailed = process.argv.includes('--replay-failed');
 
 console.log('🏈 NFL Odds Alternate Lines Updater');
 console.log('===============================================================================');
 
-if (testMode) {
+if (dryRunMode) {
+  console.log('🔎 DRY RUN: No database changes will be made; lines are diffed against the stored ones');
+} else if (testMode) {
   console.log('🧪 TEST MODE: No database changes will be made');
 }
 
@@ -16,43 +55,99 @@ if (testMode) {
 // ─────────────────────────────────────────────────────────────
 const ODDS_API_KEY = process.env.ODDS_API_KEY;
 const SPORTS_KEY = 'americanfootball_nfl';
-const BOOKMAKERS = 'draftkings,fanduel';
-const ALTERNATE_MARKETS = [
-  'player_pass_yds_alternate',
-  'player_pass_tds_alternate',
-  'player_pass_attempts_alternate',
-  'player_pass_completions_alternate',
-  'player_pass_interceptions_alternate',
-  'player_rush_yds_alternate',
-  'player_rush_attempts_alternate',
-  'player_rush_tds_alternate',
-  'player_rush_reception_yds_alternate',
-  'player_reception_yds_alternate',
-  'player_receptions_alternate',
-  'player_field_goals_alternate'
-];
-
-// Get environment variables
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !ODDS_API_KEY) {
-  console.error('❌ Error: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, and ODDS_API_KEY environment variables are required');
+// Lines go up during the week before kickoff, so start polling a week early
+const SEASON_LEAD_DAYS = 7;
+
+// Bookmakers, regions, markets and timing come from odds.config.json with
+// env / CLI overrides (lib/odds-config.js)
+let config;
+try {
+  config = loadOddsConfig();
+} catch (error) {
+  console.error(`❌ Error: invalid odds config - ${error.message}`);
+  process.exit(1);
+}
+const BOOKMAKERS = config.bookmakers.join(',');
+const REGIONS = config.regions.join(',');
+const REGION_UNITS = regionUnits(config);
+// Market groups to fetch, in priority order: alternate_props, player_props, game_lines
+const MARKET_GROUP_KEYS = config.marketGroups;
+const MARKETS = config.marketList;
+const MARKET_INDEX = indexMarkets(MARKET_GROUP_KEYS);
+// Player markets get nflverse player IDs (lib/player-identity.js)
+const HAS_PLAYER_MARKETS = MARKET_GROUP_KEYS.some(key => MARKET_GROUPS[key].kind === 'player');
+const WINDOW_DAYS = config.windowDays;
+const USER_AGENT = 'nfl-odds-alternate/1.0';
+
+// Quota budget. Every event x market x region costs one credit, so a run can
+// be priced before it starts. ODDS_RUN_BUDGET caps the credits one run may
+// spend, ODDS_MIN_REMAINING keeps a reserve for the rest of the billing
+// period. Over budget, ODDS_BUDGET_MODE=trim (default) drops markets from the
+// end of MARKETS (last group first); refuse skips the run.
+function readIntEnv(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) {
+    console.error(`❌ Error: ${name} must be a non-negative integer (got "${raw}")`);
+    process.exit(1);
+  }
+  return n;
+}
+
+const ODDS_RUN_BUDGET = readIntEnv('ODDS_RUN_BUDGET');
+const ODDS_MIN_REMAINING = readIntEnv('ODDS_MIN_REMAINING') ?? 0;
+const ODDS_BUDGET_MODE = process.env.ODDS_BUDGET_MODE || 'trim';
+
+// Closing capture: kickoffs within the window, polled every interval during
+// the final hour, closing snapshot taken this many seconds before kickoff
+const ODDS_CLOSING_WINDOW_MINUTES = config.closingWindowMinutes;
+const ODDS_CLOSING_INTERVAL_MINUTES = config.closingIntervalMinutes;
+const ODDS_CLOSING_LEAD_SECONDS = config.closingLeadSeconds;
+
+// Markets are fetched several per call (markets=a,b,c)
+const ODDS_MAX_MARKETS_PER_REQUEST = config.maxMarketsPerRequest;
+
+// Arbitrage / middle opportunities listed in the final result (all are saved)
+const RESULT_OPPORTUNITY_LIMIT = 20;
+
+if (!['trim', 'refuse'].includes(ODDS_BUDGET_MODE)) {
+  console.error(`❌ Error: ODDS_BUDGET_MODE must be "trim" or "refuse" (got "${ODDS_BUDGET_MODE}")`);
+  process.exit(1);
+}
+
+if (!ODDS_API_KEY && !replayFailed) {
+  console.error('❌ Error: ODDS_API_KEY environment variable is required');
   process.exit(1);
 }
 
-// Create Supabase client with service role
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+// Storage backend (STORAGE / --storage, default Supabase) - lib/storage.js
+let storage;
+try {
+  storage = createStorage();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+console.log(`🗄️ Storage: ${storage.description}`);
+const dryRun = dryRunMode ? createDryRun(storage, { script: closingMode ? 'odds-closing' : 'odds' }) : null;
+let deadLetters;
+try {
+  deadLetters = openDeadLetters(storage);
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
 
 // ─────────────────────────────────────────────────────────────
 // Helper Functions
 // ─────────────────────────────────────────────────────────────
-function getUpcomingGamesWindow(now = new Date()) {
+function getUpcomingGamesWindow(now = new Date(), days = WINDOW_DAYS) {
   // Start from today at 00:00 UTC
   const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 0, 0, 0));
-  // End 4 days from today
+  // End `days` days from today
   const end = new Date(start);
-  end.setUTCDate(end.getUTCDate() + 4);
+  end.setUTCDate(end.getUTCDate() + days);
   return { start, end };
 }
 
@@ -60,28 +155,11 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function mapMarketToPropType(marketKey) {
-  const m = {
-    player_pass_yds_alternate: 'passing_yards',
-    player_pass_tds_alternate: 'passing_touchdowns',
-    player_pass_attempts_alternate: 'passing_attempts',
-    player_pass_completions_alternate: 'passing_completions',
-    player_pass_interceptions_alternate: 'pass_interceptions',
-    player_rush_yds_alternate: 'rushing_yards',
-    player_rush_attempts_alternate: 'rushing_attempts',
-    player_rush_tds_alternate: 'rushing_touchdowns',
-    player_rush_reception_yds_alternate: 'rush_reception_yards',
-    player_reception_yds_alternate: 'receiving_yards',
-    player_receptions_alternate: 'receptions',
-    player_field_goals_alternate: 'field_goals'
-  };
-  return m[marketKey] || marketKey;
-}
-
 function determineBetType(name) {
   const n = (name || '').toLowerCase();
   if (n.includes('over')) return 'over';
   if (n.includes('under')) return 'under';
+  if (n === 'yes' || n === 'no') return n;
   return 'unknown';
 }
 
@@ -89,18 +167,303 @@ function sanitize(s) {
   return String(s).replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_\-]/g, '');
 }
 
-function getSeasonYear(kickoff) {
-  const m = kickoff.getUTCMonth();
-  const y = kickoff.getUTCFullYear();
-  return m >= 8 ? y : y - 1; // Sep–Feb window
+// Verify the enabled groups' tables and the line history before writing
+// (report only in test mode)
+async function checkTableSchema() {
+  if (skipSchemaCheck) {
+    console.log('⏭️ Schema check skipped (--skip-schema-check)');
+    return;
+  }
+  const tables = [
+    ...MARKET_GROUP_KEYS.map(key => MARKET_GROUPS[key].table),
+    SNAPSHOT_TABLE,
+    BEST_PRICES_TABLE,
+    OPPORTUNITIES_TABLE
+  ];
+  if (HAS_PLAYER_MARKETS) tables.push(PLAYER_REVIEW_TABLE);
+  if (process.env.DEAD_LETTER === 'table') tables.push(DEAD_LETTER_TABLE);
+  for (const table of tables) {
+    if (testMode) {
+      try {
+        await verifyTableSchema(storage, table);
+      } catch (e) {
+        console.log(`⚠️ ${e?.message || e}`);
+      }
+      continue;
+    }
+    await assertTableSchema(storage, table);
+  }
+}
+
+// One event-odds call for `markets`; resolves to { ok, status, data }
+async function fetchEventOdds(eventId, markets, quota) {
+  const oddsUrl = `https://api.the-odds-api.com/v4/sports/${SPORTS_KEY}/events/${eventId}/odds?` +
+    `apiKey=${ODDS_API_KEY}&regions=${REGIONS}&markets=${markets.join(',')}&bookmakers=${BOOKMAKERS}`;
+  
+  await sleep(400); // polite rate limit
+  
+  const oddsRes = await fetch(oddsUrl);
+  quota.record(oddsRes);
+  if (!oddsRes.ok) return { ok: false, status: oddsRes.status, data: null };
+  return { ok: true, status: oddsRes.status, data: await oddsRes.json() };
+}
+
+// nflverse season, week, team abbreviations and game_id for an Odds API event.
+// Week and game_id are null outside the regular season / postseason or when a
+// team name isn't in lib/teams.js.
+function eventGame(event) {
+  const { season, week } = getWeekInfo(new Date(event.commence_time));
+  const home = teamAbbreviation(event.home_team, season);
+  const away = teamAbbreviation(event.away_team, season);
+  return {
+    season,
+    week,
+    home,
+    away,
+    gameId: week && home && away ? nflverseGameId({ season, week, away, home }) : null
+  };
+}
+
+// Columns shared by every odds table
+function baseRecord(event, game, book, market_key) {
+  return {
+    event_id: event.id,
+    sport_key: SPORTS_KEY,
+    commence_time: event.commence_time,
+    home_team: event.home_team,
+    away_team: event.away_team,
+    game_id: game.gameId,
+    week_number: game.week,
+    season_year: game.season,
+    bookmaker_key: book.key,
+    bookmaker_title: book.title,
+    bookmaker_last_update: book.last_update,
+    market_key,
+    market_name: market_key
+  };
+}
+
+// Player prop rows (alternate or main line) from one event-odds response.
+// Alternate ladders keep one row per line; main lines one row per outcome.
+function buildPlayerPropRecords(event, game, oddsData, group) {
+  const books = Array.isArray(oddsData?.bookmakers) ? oddsData.bookmakers : [];
+  const records = [];
+  
+  for (const book of books) {
+    for (const mkt of book.markets ?? []) {
+      const market_key = mkt.key;
+      for (const out of mkt.outcomes ?? []) {
+        const hasPoint = out?.point !== undefined && out?.point !== null;
+        if (!out?.description || (group.requirePoint && !hasPoint)) continue;
+        
+        const decimal = toNumber(out.price); // store as decimal odds
+        const idParts = [event.id, book.key, market_key, sanitize(out.description)];
+        if (group.requirePoint) idParts.push(out.point);
+        idParts.push(sanitize(out.name));
+        
+        records.push({
+          id: idParts.join('_'),
+          ...baseRecord(event, game, book, market_key),
+          player_name: out.description,
+          player_id: null,
+          prop_type: mapMarketToPropType(market_key),
+          outcome_name: out.name,
+          outcome_price: null,
+          decimal_price: decimal,
+          line_value: hasPoint ? out.point : null,
+          bet_type: determineBetType(out.name),
+          updated_at: new Date().toISOString()
+        });
+      }
+    }
+  }
+  
+  return records;
+}
+
+// Moneyline / spread / total rows from one event-odds response
+function buildGameLineRecords(event, game, oddsData) {
+  const books = Array.isArray(oddsData?.bookmakers) ? oddsData.bookmakers : [];
+  const records = [];
+  
+  for (const book of books) {
+    for (const mkt of book.markets ?? []) {
+      const market_key = mkt.key;
+      for (const out of mkt.outcomes ?? []) {
+        if (!out?.name) continue;
+        
+        let side = determineBetType(out.name);
+        if (out.name === event.home_team) side = 'home';
+        else if (out.name === event.away_team) side = 'away';
+        
+        records.push({
+          id: `${event.id}_${book.key}_${market_key}_${sanitize(out.name)}`,
+          ...baseRecord(event, game, book, market_key),
+          line_type: mapMarketToPropType(market_key),
+          outcome_name: out.name,
+          outcome_price: null,
+          decimal_price: toNumber(out.price),
+          line_value: out.point ?? null,
+          bet_type: side,
+          updated_at: new Date().toISOString()
+        });
+      }
+    }
+  }
+  
+  return records;
+}
+
+// Records for one market, with American odds and implied / fair probability
+function buildRecords(event, game, oddsData, group) {
+  const records = group.kind === 'game'
+    ? buildGameLineRecords(event, game, oddsData)
+    : buildPlayerPropRecords(event, game, oddsData, group);
+  return applyPricing(records);
+}
+
+// Roster-backed player resolver for the season. Null when the roster can't be
+// loaded: player_id then stays null and nothing is queued for review.
+async function loadPlayerResolver(season) {
+  try {
+    const roster = await loadRoster(season, { fetch, userAgent: USER_AGENT });
+    const overrides = await loadOverrides(storage, season);
+    const resolver = createPlayerResolver(roster, { overrides });
+    console.log(`🪪 Player IDs: ${resolver.size} rostered players (${season}), ${overrides.size} manual mappings`);
+    return resolver;
+  } catch (e) {
+    console.log(`⚠️ Player IDs disabled: ${e?.message || e}`);
+    return null;
+  }
+}
+
+// Fill in player_id from the roster; queue names that don't resolve for review
+function resolvePlayerIds(records, event, game, run) {
+  if (!run.players) return;
+  const teams = [game.away, game.home].filter(Boolean);
+  for (const record of records) {
+    const result = run.players.resolve(record.player_name, teams);
+    record.player_id = result.player?.gsis_id ?? null;
+    run.playerStatus.set(record.player_name, result.status);
+    if (result.status !== 'resolved') {
+      run.review.set(record.player_name, toReviewRow(record.player_name, result, { season: record.season_year, event, teams }));
+    }
+  }
+}
+
+// Upsert the run's ambiguous / unresolved names (counted only in test mode)
+async function saveReviewQueue(run) {
+  const rows = [...run.review.values()];
+  if (testMode || !rows.length) return;
+  const { error } = await storage.upsert(PLAYER_REVIEW_TABLE, rows);
+  if (error) console.log(`❌ Player review save error: ${error.message}`);
+}
+
+function summarizePlayers(run) {
+  const counts = { resolved: 0, ambiguous: 0, unresolved: 0 };
+  for (const status of run.playerStatus.values()) counts[status]++;
+  return { enabled: Boolean(run.players), ...counts, queuedForReview: run.review.size };
+}
+
+// Append snapshots for the lines whose price moved since the last recorded
+// one, or for every line on a closing capture (counted only in test mode).
+// Failures are logged, not fatal: the current odds are already saved.
+async function recordLineHistory(lineHistory, records, groupKey, market, { closing = false } = {}) {
+  try {
+    await lineHistory.prime(records[0].event_id);
+    const snapshots = lineHistory.changes(records, groupKey, { closing });
+    if (!testMode && snapshots.length) await lineHistory.append(snapshots, { closing });
+    return snapshots.length;
+  } catch (e) {
+    console.log(`   ❌ Snapshot error (${market}): ${e?.message || e}`);
+    return 0;
+  }
+}
+
+// Upsert one market's lines, retrying transient errors and isolating rejected
+// lines (lib/upsert-retry.js). Lines that still fail are dead-lettered for
+// --replay-failed; written lines drop any dead-letter entry, so a replay
+// can't revert them. Returns the lines written.
+async function upsertLines(table, records, market, run) {
+  const outcome = await upsertWithRetry(storage, table, records, {
+    onRetry: ({ attempt, delay, error }) => console.log(`   🔁 ${market} retry ${attempt} in ${delay}ms: ${error}`)
+  });
+  try {
+    await deadLetters.clear(table, outcome.written);
+  } catch (e) {
+    console.log(`   ⚠️ ${e?.message || e}`);
+  }
+  if (outcome.failed.length) {
+    console.log(`   ❌ Upsert error (${market}): ${outcome.failed.length} of ${records.length} lines failed: ${outcome.failed[0].error}`);
+    try {
+      await deadLetters.add(outcome.failed.map(({ row, error }) => ({ table, row, error })), 'odds');
+      run.deadLettered += outcome.failed.length;
+      console.log(`   📮 ${outcome.failed.length} lines dead-lettered to ${deadLetters.description}`);
+    } catch (e) {
+      console.log(`   ❌ ${e?.message || e}`);
+    }
+  }
+  return outcome.written;
+}
+
+// Dry run: classify one market's lines as new / changed / unchanged, grouped
+// per event in the report. Failures are logged, not fatal.
+async function compareLines(table, records, event, game, market) {
+  const label = `${event.away_team} @ ${event.home_team} [${game.gameId || event.id}]`;
+  try {
+    await dryRun.compare(table, records, () => label);
+  } catch (e) {
+    console.log(`   ❌ Dry-run lookup error (${market}): ${e?.message || e}`);
+  }
+}
+
+// Print the dry-run summary and write its report (undefined outside --dry-run)
+function finishDryRun() {
+  if (!dryRun) return undefined;
+  dryRun.print();
+  return dryRun.save();
 }
 
-function isInSeason(d) {
-  const yr = d.getUTCFullYear();
-  const start = Date.UTC(yr, 8, 1, 0, 0, 0); // Sep 1
-  const end = Date.UTC(yr + 1, 1, 28, 23, 59, 59); // Feb 28 next yr
-  const t = d.getTime();
-  return t >= start && t <= end;
+// Best prices, arbitrage and middles across books for one event's lines
+// (lib/odds-analysis.js). The event's opportunities are replaced, so the table
+// holds what the latest poll found. Failures are logged, not fatal.
+async function recordOpportunities(eventId, records, run) {
+  const { bestPrices, arbitrage, middles } = analyzeOdds(records);
+  run.analysis.bestPrices += bestPrices.size;
+  run.analysis.arbitrage.push(...arbitrage);
+  run.analysis.middles.push(...middles);
+  console.log(`   💰 ${bestPrices.size} best prices, ${arbitrage.length} arbitrage, ${middles.length} middles`);
+  if (testMode) return;
+  
+  try {
+    const now = new Date().toISOString();
+    const { error: bestError } = await storage.upsert(BEST_PRICES_TABLE, toBestPriceRows(bestPrices, now));
+    if (bestError) throw new Error(`best prices: ${bestError.message}`);
+    
+    const { error: deleteError } = await storage.delete(OPPORTUNITIES_TABLE, { where: { event_id: eventId } });
+    if (deleteError) throw new Error(`opportunities: ${deleteError.message}`);
+    
+    const rows = toOpportunityRows([...arbitrage, ...middles], now);
+    if (rows.length) {
+      const { error } = await storage.insert(OPPORTUNITIES_TABLE, rows);
+      if (error) throw new Error(`opportunities: ${error.message}`);
+    }
+  } catch (e) {
+    console.log(`   ❌ Analysis save error (${e?.message || e})`);
+  }
+}
+
+// Opportunity counts and the best few of each kind for the result JSON
+function summarizeAnalysis(analysis) {
+  const byEdge = (a, b) => b.edge - a.edge;
+  const byWidth = (a, b) => b.width - a.width || b.edge - a.edge;
+  return {
+    bestPrices: analysis.bestPrices,
+    arbitrageCount: analysis.arbitrage.length,
+    middleCount: analysis.middles.length,
+    arbitrage: [...analysis.arbitrage].sort(byEdge).slice(0, RESULT_OPPORTUNITY_LIMIT).map(summarizeOpportunity),
+    middles: [...analysis.middles].sort(byWidth).slice(0, RESULT_OPPORTUNITY_LIMIT).map(summarizeOpportunity)
+  };
 }
 
 function toNumber(x) {
@@ -109,20 +472,174 @@ function toNumber(x) {
   return Number.isFinite(n) ? n : null;
 }
 
+// ─────────────────────────────────────────────────────────────
+// Shared Run Steps
+// ─────────────────────────────────────────────────────────────
+async function fetchEvents(quota) {
+  console.log('📡 Fetching NFL events from Odds API...');
+  const eventsUrl = `https://api.the-odds-api.com/v4/sports/${SPORTS_KEY}/events?apiKey=${ODDS_API_KEY}`;
+  const eventsRes = await fetch(eventsUrl);
+  quota.record(eventsRes);
+  
+  if (!eventsRes.ok) {
+    throw new Error(`Events API failed: ${eventsRes.status}`);
+  }
+  
+  const allEvents = await eventsRes.json();
+  console.log(`✅ Found ${allEvents.length} events total`);
+  if (quota.remaining !== null) {
+    console.log(`💳 Odds API quota: ${quota.remaining} credits remaining`);
+  }
+  return allEvents;
+}
+
+// Price `polls` event fetches and fit them into the budget
+function planBudget(polls, quota) {
+  const plan = planRunBudget({
+    events: polls,
+    markets: MARKETS,
+    regions: REGION_UNITS,
+    remaining: quota.remaining,
+    budget: ODDS_RUN_BUDGET,
+    minRemaining: ODDS_MIN_REMAINING,
+    mode: ODDS_BUDGET_MODE
+  });
+  const budgetReport = {
+    estimatedCost: plan.estimatedCost,
+    fullCost: plan.fullCost,
+    budget: ODDS_RUN_BUDGET,
+    minRemaining: ODDS_MIN_REMAINING,
+    marketsDropped: plan.dropped
+  };
+  console.log(`💳 Estimated cost: ${plan.fullCost} credits (${polls} event fetches × ${MARKETS.length} markets × ${REGION_UNITS} regions)`);
+  
+  if (plan.refused) {
+    console.log(`⛔ Budget: ${plan.reason} - run refused`);
+  } else if (plan.dropped.length) {
+    console.log(`✂️ Budget: ${plan.reason} - skipping ${plan.dropped.length} markets (${plan.dropped.join(', ')}), estimated ${plan.estimatedCost} credits`);
+  }
+  return { plan, budgetReport };
+}
+
+function refusedResult(plan, budgetReport, quota) {
+  return {
+    success: false,
+    error: `Quota budget exceeded: ${plan.reason}`,
+    quota: { ...quota.summary(), ...budgetReport },
+    timestamp: new Date().toISOString()
+  };
+}
+
+function createRunState(plan, quota) {
+  console.log(`🗂️ Market groups: ${MARKET_GROUP_KEYS.join(', ')}`);
+  const requestGroups = planMarketRequests(plan.markets, { maxPerRequest: ODDS_MAX_MARKETS_PER_REQUEST });
+  console.log(`📦 ${plan.markets.length} markets in ${requestGroups.length} request(s) per event`);
+  
+  return {
+    quota,
+    requestGroups,
+    lineHistory: createLineHistory(storage),
+    linesByGroup: Object.fromEntries(MARKET_GROUP_KEYS.map(key => [key, 0])),
+    snapshots: 0,
+    analysis: { bestPrices: 0, arbitrage: [], middles: [] },
+    // Set by loadPlayerResolver; name → status, name → review row
+    players: null,
+    playerStatus: new Map(),
+    review: new Map(),
+    deadLettered: 0,
+    stoppedForQuota: false
+  };
+}
+
+// Fetch every planned market for one event, upsert the current odds, record
+// line history and compare prices across books. Returns the number of lines
+// written.
+async function syncEvent(event, run, { closing = false } = {}) {
+  const { id: eventId, home_team, away_team, commence_time } = event;
+  const kickoff = new Date(commence_time);
+  const game = eventGame(event);
+  
+  console.log(`\n— ${away_team} @ ${home_team} — ${kickoff.toUTCString()} [${game.gameId || game.season}]${closing ? ' 🔒 closing' : ''}`);
+  
+  let eventLines = 0;
+  const eventRecords = [];
+  
+  for (const group of run.requestGroups) {
+    if (run.quota.belowReserve()) {
+      console.log(`   ⛔ Quota reserve reached (${run.quota.remaining} remaining) - stopping`);
+      run.stoppedForQuota = true;
+      break;
+    }
+    
+    const fetched = await fetchMarketGroup(group, (markets) => fetchEventOdds(eventId, markets, run.quota));
+    if (fetched.fellBack) {
+      console.log(`   ↩️ Combined request for ${group.length} markets failed - retried one market at a time`);
+    }
+    for (const { market, status } of fetched.failed) {
+      console.log(`   ⚠️ ${market}: ${status}`);
+    }
+    
+    for (const [market, oddsData] of fetched.byMarket) {
+      const groupKey = MARKET_INDEX.get(market);
+      const marketGroup = MARKET_GROUPS[groupKey];
+      const records = buildRecords(event, game, oddsData, marketGroup);
+      if (marketGroup.kind === 'player') resolvePlayerIds(records, event, game, run);
+      eventRecords.push(...records);
+      let moved = 0;
+      
+      if (records.length) {
+        if (!testMode) {
+          const written = await upsertLines(marketGroup.table, records, market, run);
+          eventLines += written.length;
+          run.linesByGroup[groupKey] += written.length;
+          if (written.length) moved = await recordLineHistory(run.lineHistory, written, groupKey, market, { closing });
+        } else {
+          // Test mode: count only; a dry run also diffs against the stored lines
+          if (dryRun) await compareLines(marketGroup.table, records, event, game, market);
+          eventLines += records.length;
+          run.linesByGroup[groupKey] += records.length;
+          moved = await recordLineHistory(run.lineHistory, records, groupKey, market, { closing });
+        }
+      } else {
+        console.log(`   ⛔ ${market}: no lines`);
+      }
+      
+      run.snapshots += moved;
+      console.log(`   ✅ ${market}: ${records.length} lines, ${moved} ${closing ? 'closing' : 'moved'}`);
+    }
+  }
+  
+  if (eventRecords.length) {
+    await recordOpportunities(eventId, eventRecords, run);
+  }
+  
+  if (eventLines > 0) {
+    console.log(`   🧮 Event total: ${eventLines}`);
+  } else {
+    console.log(`   ⚠️ No lines for event`);
+  }
+  return eventLines;
+}
+
 // ─────────────────────────────────────────────────────────────
 // Main Updater Function
 // ─────────────────────────────────────────────────────────────
 async function runUpdater() {
+  const quota = createQuotaTracker({ minRemaining: ODDS_MIN_REMAINING });
+  
   try {
-    console.log('BUILD: v3-Rolling-4-Day-Window (decimal_price only, outcome_price=NULL)');
+    console.log('BUILD: v4-Rolling-Window (decimal + american_price, implied/fair probability, outcome_price=NULL)');
     
-    // Window = today + 4 days
+    // Window = today + WINDOW_DAYS
     const now = new Date();
     const { start, end } = getUpcomingGamesWindow(now);
-    console.log(`📅 Window (Today + 4 days): ${start.toISOString()} → ${end.toISOString()}`);
+    console.log(`📅 Window (Today + ${WINDOW_DAYS} days): ${start.toISOString()} → ${end.toISOString()}`);
+    console.log(`⚙️ Config: ${config.configFile || 'defaults'} - books ${BOOKMAKERS}, regions ${REGIONS}`);
     
     // Optional in-season guard (bypass if testMode)
-    if (!isInSeason(now) && !testMode) {
+    const seasonWindow = getSeasonWindow(now);
+    console.log(`🏈 NFL ${seasonWindow.season} Season Window: ${seasonWindow.start.toDateString()} to ${seasonWindow.end.toDateString()}${seasonWindow.overridden ? ' (override)' : ''}`);
+    if (!isInSeason(now, { leadDays: SEASON_LEAD_DAYS }) && !testMode) {
       return {
         success: true,
         message: 'Outside NFL season (skipped)',
@@ -131,133 +648,52 @@ async function runUpdater() {
     }
     
     // 1) Fetch all NFL events
-    console.log('📡 Fetching NFL events from Odds API...');
-    const eventsUrl = `https://api.the-odds-api.com/v4/sports/${SPORTS_KEY}/events?apiKey=${ODDS_API_KEY}`;
-    const eventsRes = await fetch(eventsUrl);
-    
-    if (!eventsRes.ok) {
-      throw new Error(`Events API failed: ${eventsRes.status}`);
-    }
-    
-    const allEvents = await eventsRes.json();
-    console.log(`✅ Found ${allEvents.length} events total`);
+    const allEvents = await fetchEvents(quota);
     
-    // 2) Filter to today + 4 days window
+    // 2) Filter to today + WINDOW_DAYS window
     const events = allEvents.filter((e) => {
       const t = new Date(e.commence_time);
       return t >= start && t < end;
     });
-    console.log(`🎯 Filtered to ${events.length} events in 4-day window`);
+    console.log(`🎯 Filtered to ${events.length} events in ${WINDOW_DAYS}-day window`);
     
     if (!events.length) {
       return {
         success: true,
-        message: 'No games in 4-day window',
-        inserted: 0
+        message: `No games in ${WINDOW_DAYS}-day window`,
+        inserted: 0,
+        quota: quota.summary(),
+        dryRun: finishDryRun()
       };
     }
     
+    // 3) Price the run and fit it into the budget
+    const { plan, budgetReport } = planBudget(events.length, quota);
+    if (plan.refused) return refusedResult(plan, budgetReport, quota);
+    
+    const run = createRunState(plan, quota);
+    
+    await checkTableSchema();
+    if (HAS_PLAYER_MARKETS) {
+      run.players = await loadPlayerResolver(getSeasonForDate(now));
+    }
+    
     let totalInserted = 0;
     let withData = 0;
     let noData = 0;
     
     for (const event of events) {
-      const { id: eventId, home_team, away_team, commence_time } = event;
-      const kickoff = new Date(commence_time);
-      const seasonYear = getSeasonYear(kickoff);
-      
-      console.log(`\n— ${away_team} @ ${home_team} — ${kickoff.toUTCString()} [${seasonYear}]`);
-      
-      let eventLines = 0;
-      
-      for (const market of ALTERNATE_MARKETS) {
-        const oddsUrl = `https://api.the-odds-api.com/v4/sports/${SPORTS_KEY}/events/${eventId}/odds?` +
-          `apiKey=${ODDS_API_KEY}&regions=us&markets=${market}&bookmakers=${BOOKMAKERS}`;
-        
-        await sleep(400); // polite rate limit
-        
-        const oddsRes = await fetch(oddsUrl);
-        if (!oddsRes.ok) {
-          console.log(`   ⚠️ ${market}: ${oddsRes.status}`);
-          continue;
-        }
-        
-        const oddsData = await oddsRes.json();
-        const books = Array.isArray(oddsData?.bookmakers) ? oddsData.bookmakers : [];
-        const records = [];
-        
-        for (const book of books) {
-          for (const mkt of book.markets ?? []) {
-            const market_key = mkt.key;
-            for (const out of mkt.outcomes ?? []) {
-              if (!out?.description || out.point === undefined || out.point === null) continue;
-              
-              const decimal = toNumber(out.price); // store as decimal odds
-              
-              records.push({
-                id: `${eventId}_${book.key}_${market_key}_${sanitize(out.description)}_${out.point}_${sanitize(out.name)}`,
-                event_id: eventId,
-                sport_key: SPORTS_KEY,
-                commence_time,
-                home_team,
-                away_team,
-                week_number: null,
-                season_year: seasonYear,
-                bookmaker_key: book.key,
-                bookmaker_title: book.title,
-                bookmaker_last_update: book.last_update,
-                market_key,
-                market_name: market_key,
-                player_name: out.description,
-                prop_type: mapMarketToPropType(market_key),
-                outcome_name: out.name,
-                outcome_price: null,
-                decimal_price: decimal,
-                line_value: out.point,
-                bet_type: determineBetType(out.name),
-                updated_at: new Date().toISOString()
-              });
-            }
-          }
-        }
-        
-        if (records.length) {
-          if (!testMode) {
-            try {
-              const { error } = await supabase
-                .from('nfl_odds_alternate_lines')
-                .upsert(records, {
-                  onConflict: 'event_id,bookmaker_key,market_key,player_name,line_value,outcome_name'
-                });
-              
-              if (error) {
-                console.log(`   ❌ Upsert error (${market}): ${error.message}`);
-              } else {
-                eventLines += records.length;
-              }
-            } catch (e) {
-              console.log(`   ❌ Upsert threw (${market}): ${e?.message || e}`);
-            }
-          } else {
-            // Dry run: count only
-            eventLines += records.length;
-          }
-        } else {
-          console.log(`   ⛔ ${market}: no lines`);
-        }
-        
-        console.log(`   ✅ ${market}: ${records.length} lines`);
-      }
+      if (run.stoppedForQuota) break;
       
+      const eventLines = await syncEvent(event, run);
       if (eventLines > 0) {
         withData++;
         totalInserted += eventLines;
-        console.log(`   🧮 Event total: ${eventLines}`);
       } else {
         noData++;
-        console.log(`   ⚠️ No lines for event`);
       }
     }
+    await saveReviewQueue(run);
     
     const result = {
       success: true,
@@ -266,6 +702,14 @@ async function runUpdater() {
       eventsWithData: withData,
       eventsWithNoData: noData,
       totalLinesInserted: totalInserted,
+      linesByGroup: run.linesByGroup,
+      snapshotsRecorded: run.snapshots,
+      opportunities: summarizeAnalysis(run.analysis),
+      players: summarizePlayers(run),
+      deadLettered: run.deadLettered,
+      stoppedForQuota: run.stoppedForQuota,
+      quota: { ...quota.summary(), ...budgetReport },
+      dryRun: finishDryRun(),
       timestamp: new Date().toISOString(),
       testMode
     };
@@ -273,6 +717,133 @@ async function runUpdater() {
     console.log('\n🎉 NFL ODDS ALTERNATE LINES UPDATER FINISHED!');
     console.log(`✅ ${result.eventsProcessed} events processed`);
     console.log(`📊 ${result.totalLinesInserted} total lines inserted`);
+    console.log(`📈 ${result.snapshotsRecorded} line movements recorded`);
+    console.log(`💰 ${result.opportunities.arbitrageCount} arbitrage, ${result.opportunities.middleCount} middles across books`);
+    console.log(`🪪 ${result.players.resolved} players matched, ${result.players.queuedForReview} queued for review`);
+    if (run.deadLettered) console.log(`📮 ${run.deadLettered} lines dead-lettered - rerun them with --replay-failed`);
+    console.log(`💳 ${result.quota.creditsUsed} credits used (${result.quota.remaining ?? 'unknown'} remaining)`);
+    
+    return result;
+    
+  } catch (err) {
+    console.error('❌ Fatal error:', err?.message || err);
+    return {
+      success: false,
+      error: String(err?.message || err),
+      quota: quota.summary(),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Closing-Line Capture (--closing)
+// ─────────────────────────────────────────────────────────────
+// Polls every event whose final hour overlaps this run's slot (the
+// ODDS_CLOSING_WINDOW_MINUTES from the cron tick) every few minutes, and
+// captures the closing line just before kickoff. Cron starts a run every
+// ODDS_CLOSING_WINDOW_MINUTES, so each poll is made by exactly one run
+// (lib/closing-schedule.js).
+async function runClosingCapture() {
+  const quota = createQuotaTracker({ minRemaining: ODDS_MIN_REMAINING });
+  
+  try {
+    const now = new Date();
+    console.log(`🔒 Closing-line capture: final-hour polls due in the next ${ODDS_CLOSING_WINDOW_MINUTES} minutes`);
+    
+    if (!isInSeason(now, { leadDays: SEASON_LEAD_DAYS }) && !testMode) {
+      return {
+        success: true,
+        message: 'Outside NFL season (skipped)',
+        skipped: true
+      };
+    }
+    
+    const allEvents = await fetchEvents(quota);
+    const schedule = buildClosingSchedule(allEvents, now, {
+      windowMinutes: ODDS_CLOSING_WINDOW_MINUTES,
+      intervalMinutes: ODDS_CLOSING_INTERVAL_MINUTES,
+      leadSeconds: ODDS_CLOSING_LEAD_SECONDS
+    });
+    const eventIds = new Set(schedule.map(poll => poll.event.id));
+    const closingScheduled = schedule.filter(poll => poll.closing).length;
+    console.log(`🎯 ${eventIds.size} events, ${schedule.length} polls scheduled (${closingScheduled} closing)`);
+    
+    if (!schedule.length) {
+      return {
+        success: true,
+        mode: 'closing',
+        message: `No final-hour polls in the next ${ODDS_CLOSING_WINDOW_MINUTES} minutes`,
+        quota: quota.summary(),
+        dryRun: finishDryRun()
+      };
+    }
+    
+    const { plan, budgetReport } = planBudget(schedule.length, quota);
+    if (plan.refused) return refusedResult(plan, budgetReport, quota);
+    
+    const run = createRunState(plan, quota);
+    
+    await checkTableSchema();
+    if (HAS_PLAYER_MARKETS) {
+      run.players = await loadPlayerResolver(getSeasonForDate(now));
+    }
+    
+    let polls = 0;
+    let closingCaptured = 0;
+    let closingMissed = 0;
+    let totalLines = 0;
+    
+    for (const poll of schedule) {
+      if (run.stoppedForQuota) break;
+      
+      const waitMs = poll.at.getTime() - Date.now();
+      if (waitMs > 0) {
+        console.log(`\n⏳ Next poll at ${poll.at.toISOString()} (${Math.round(waitMs / 1000)}s)`);
+        await sleep(waitMs);
+      }
+      
+      // Kickoff may have been reached while earlier polls ran; lines by then
+      // are in-game, so a late closing poll is dropped rather than mislabeled
+      if (Date.now() >= new Date(poll.event.commence_time).getTime()) {
+        if (poll.closing) {
+          closingMissed++;
+          console.log(`\n⚠️ Missed closing line for ${poll.event.away_team} @ ${poll.event.home_team}: kicked off at ${poll.event.commence_time}`);
+        }
+        continue;
+      }
+      
+      totalLines += await syncEvent(poll.event, run, { closing: poll.closing });
+      polls++;
+      if (poll.closing) closingCaptured++;
+    }
+    await saveReviewQueue(run);
+    
+    const result = {
+      success: true,
+      mode: 'closing',
+      message: 'Completed',
+      eventsCaptured: closingCaptured,
+      eventsMissed: closingMissed,
+      eventsScheduled: closingScheduled,
+      eventsPolled: eventIds.size,
+      polls,
+      totalLinesInserted: totalLines,
+      linesByGroup: run.linesByGroup,
+      snapshotsRecorded: run.snapshots,
+      opportunities: summarizeAnalysis(run.analysis),
+      players: summarizePlayers(run),
+      deadLettered: run.deadLettered,
+      stoppedForQuota: run.stoppedForQuota,
+      quota: { ...quota.summary(), ...budgetReport },
+      dryRun: finishDryRun(),
+      timestamp: new Date().toISOString(),
+      testMode
+    };
+    
+    console.log('\n🎉 CLOSING-LINE CAPTURE FINISHED!');
+    console.log(`🔒 ${result.eventsCaptured}/${result.eventsScheduled} closing lines captured in ${polls} polls`);
+    console.log(`💳 ${result.quota.creditsUsed} credits used (${result.quota.remaining ?? 'unknown'} remaining)`);
     
     return result;
     
@@ -280,16 +851,52 @@ async function runUpdater() {
     console.error('❌ Fatal error:', err?.message || err);
     return {
       success: false,
+      mode: 'closing',
       error: String(err?.message || err),
+      quota: quota.summary(),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Dead-Letter Replay (--replay-failed)
+// ─────────────────────────────────────────────────────────────
+// Writes the dead-lettered lines of every market group again. No Odds API
+// calls; lines that still fail stay dead-lettered.
+async function runReplay() {
+  try {
+    const tables = [...new Set(Object.values(MARKET_GROUPS).map(group => group.table))];
+    await checkTableSchema();
+    console.log(`📮 Replaying dead-lettered lines from ${deadLetters.description}...`);
+    
+    if (testMode) {
+      const pending = await deadLetters.list(tables);
+      console.log(`🧪 TEST: Would replay ${pending.length} lines`);
+      return { success: true, mode: 'replay', pending: pending.length, testMode };
+    }
+    
+    const replay = await replayDeadLetters(storage, deadLetters, tables, { source: 'odds' });
+    console.log(`📮 ${replay.written.length} of ${replay.pending} lines replayed, ${replay.failed} still failing`);
+    return {
+      success: replay.failed === 0,
+      mode: 'replay',
+      pending: replay.pending,
+      replayed: replay.written.length,
+      stillFailing: replay.failed,
       timestamp: new Date().toISOString()
     };
+  } catch (err) {
+    console.error('❌ Fatal error:', err?.message || err);
+    return { success: false, mode: 'replay', error: String(err?.message || err) };
   }
 }
 
 // Run the updater
-runUpdater()
-  .then(result => {
+(replayFailed ? runReplay() : closingMode ? runClosingCapture() : runUpdater())
+  .then(async result => {
     console.log('\n📋 Final Result:', JSON.stringify(result, null, 2));
+    await storage.close();
     process.exit(result.success ? 0 : 1);
   })
   .catch(error => {
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const { TABLES, getTable } = require('./lib/tables');
+const { renderMigrations, renderTable } = require('./lib/ddl');
+const { verifyTableSchema } = require('./lib/schema-check');
+const { createStorage } = require('./lib/storage');
+
+// Usage:
+//   node schema.js generate         write migrations/*.sql from lib/tables.js
+//   node schema.js print [table]    print the SQL to stdout
+//   node schema.js verify [table]   compare the live tables (STORAGE backend) with lib/tables.js
+const [command = 'print', ...args] = process.argv.slice(2);
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function generate() {
+  fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+  for (const { file, sql } of renderMigrations(TABLES)) {
+    fs.writeFileSync(path.join(MIGRATIONS_DIR, file), sql);
+    console.log(`📝 migrations/${file}`);
+  }
+  console.log('✅ Apply in order with the Supabase SQL editor or `psql "$DATABASE_URL" -f <file>`');
+  return true;
+}
+
+function print() {
+  const tables = args.length ? args.map(getTable) : TABLES;
+  if (args.length) {
+    process.stdout.write(tables.map(renderTable).join('\n'));
+  } else {
+    process.stdout.write(renderMigrations(tables).map(m => m.sql).join('\n'));
+  }
+  return true;
+}
+
+async function verify() {
+  let storage;
+  try {
+    storage = createStorage();
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    return false;
+  }
+
+  const tables = args.filter(arg => !arg.startsWith('--')).map(getTable);
+  let ok = true;
+
+  for (const table of tables.length ? tables : TABLES) {
+    const report = await verifyTableSchema(storage, table.name);
+    ok = ok && report.ok;
+  }
+  await storage.close();
+  return ok;
+}
+
+const COMMANDS = { generate, print, verify };
+
+async function main() {
+  const run = COMMANDS[command];
+  if (!run) {
+    console.error(`❌ Unknown command "${command}" (expected ${Object.keys(COMMANDS).join(', ')})`);
+    return false;
+  }
+  return run();
+}
+
+main()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildClosingSchedule } = require('../lib/closing-schedule');
+
+// Hourly cron, default timing: polls every 10 minutes through the final hour
+// and a closing poll 60 seconds before kickoff
+const OPTIONS = { windowMinutes: 60, intervalMinutes: 10, leadSeconds: 60 };
+
+function pollTimes(kickoff, runs) {
+  const event = { id: 'e1', commence_time: kickoff };
+  return runs.flatMap(run => buildClosingSchedule([event], new Date(run), OPTIONS)
+    .map(poll => `${poll.at.toISOString().slice(11, 19)}${poll.closing ? '*' : ''}`));
+}
+
+// Cron ticks land a few seconds after the hour
+const HOURLY_RUNS = ['17', '18', '19', '20', '21'].map(hour => `2026-10-18T${hour}:00:05Z`);
+
+const FINAL_HOURS = {
+  '20:00': ['19:00:05', '19:10:00', '19:20:00', '19:30:00', '19:40:00', '19:50:00', '19:59:00*'],
+  '20:05': ['19:05:00', '19:15:00', '19:25:00', '19:35:00', '19:45:00', '19:55:00', '20:04:00*'],
+  '20:15': ['19:15:00', '19:25:00', '19:35:00', '19:45:00', '19:55:00', '20:05:00', '20:14:00*'],
+  '20:25': ['19:25:00', '19:35:00', '19:45:00', '19:55:00', '20:05:00', '20:15:00', '20:24:00*']
+};
+
+for (const [kickoff, expected] of Object.entries(FINAL_HOURS)) {
+  test(`${kickoff} kickoff is polled through its whole final hour`, () => {
+    assert.deepStrictEqual(pollTimes(`2026-10-18T${kickoff}:00Z`, HOURLY_RUNS), expected);
+  });
+}
+
+test('primetime kickoff after midnight UTC gets seven polls', () => {
+  const runs = ['2026-10-18T23:00:05Z', '2026-10-19T00:00:05Z'];
+  assert.deepStrictEqual(pollTimes('2026-10-19T00:20:00Z', runs), [
+    '23:20:00', '23:30:00', '23:40:00', '23:50:00', '00:00:05', '00:10:00', '00:19:00*'
+  ]);
+});
+
+test('a run that starts late still makes the poll at the tick', () => {
+  const polls = pollTimes('2026-10-18T21:00:00Z', ['2026-10-18T20:00:07Z']);
+  assert.deepStrictEqual(polls, ['20:00:07', '20:10:00', '20:20:00', '20:30:00', '20:40:00', '20:50:00', '20:59:00*']);
+});
+
+test('overdue polls collapse into one immediate poll', () => {
+  const polls = pollTimes('2026-10-18T20:25:00Z', ['2026-10-18T20:18:00Z']);
+  assert.deepStrictEqual(polls, ['20:18:00', '20:24:00*']);
+});
+
+test('games kicking off after the next slot are left to later runs', () => {
+  assert.deepStrictEqual(pollTimes('2026-10-18T21:00:00Z', ['2026-10-18T19:00:05Z']), []);
+});